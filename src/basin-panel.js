@@ -0,0 +1,312 @@
+/**
+ * BasinPanel - Basin-of-attraction field drawn over the canvas
+ *
+ * Draws the state-transition graph from analyzeBasins (basins.js) the way
+ * DDLab does: each basin's attractor cycle is a ring of states, with the
+ * trees of transient states growing outward from it, one ring of depth per
+ * generation. Basins equal up to rotation are drawn once and counted. Large
+ * trees are pruned to their biggest branches so the panel stays responsive.
+ *
+ * @version 1.0.0
+ */
+
+class BasinPanel {
+    /**
+     * Initialize an empty panel (hidden until shown)
+     */
+    constructor() {
+        // Analysis shown: graph from analyzeBasins and the rule it was made for
+        this.graph = null;
+        this.rule = null;
+        this.status = '';           // Shown instead of the graph while computing or on failure
+
+        // Layout settings
+        this.maxBasins = 16;         // Basin groups drawn (largest first)
+        this.maxEdges = 6000;        // Tree edges drawn over the whole panel
+        this.cycleRadius = 0.3;      // Attractor ring radius, as a share of a basin's radius
+
+        // Per-basin layout in unit coordinates: { group, edges: Float32Array, cycle: Float32Array }
+        this.layouts = [];
+        this.hiddenBasins = 0;       // Basin groups past maxBasins
+
+        // Display settings
+        this.visible = false;
+        this.width = 720;
+        this.height = 480;
+        this.padding = 10;
+        this.headerHeight = 46;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            headline: '#00ff00',
+            bg: 'rgba(10, 10, 20, 0.92)',
+            text: '#00b8b8',
+            tree: '#ff00ff',
+            attractor: '#ffff00'
+        };
+    }
+
+    /**
+     * Show a message instead of the graph (e.g. while computing)
+     * @param {string} status - Message
+     */
+    setStatus(status) {
+        this.graph = null;
+        this.layouts = [];
+        this.status = status;
+    }
+
+    /**
+     * Show a state-transition graph
+     * @param {Object} graph - Result of analyzeBasins
+     * @param {number|bigint|string} rule - Rule the graph was built for (for the title)
+     */
+    setGraph(graph, rule) {
+        this.graph = graph;
+        this.rule = rule;
+        this.status = '';
+        this._layout();
+    }
+
+    /**
+     * Lay out the largest basin groups: sectors of the attractor ring are
+     * shared out by tree size, and every branch gets a share of its parent's
+     * sector in proportion to its size
+     * @private
+     */
+    _layout() {
+        const { next, depth, stateCount, maxTransient } = this.graph;
+        const groups = this.graph.groups.slice(0, this.maxBasins);
+
+        // Predecessor lists (CSR) of transient states, and tree sizes
+        const offsets = new Uint32Array(stateCount + 1);
+        for (let s = 0; s < stateCount; s++) {
+            if (depth[s] > 0) offsets[next[s] + 1]++;
+        }
+        for (let s = 0; s < stateCount; s++) {
+            offsets[s + 1] += offsets[s];
+        }
+        const predecessors = new Uint32Array(offsets[stateCount]);
+        const fill = offsets.slice(0, stateCount);
+        for (let s = 0; s < stateCount; s++) {
+            if (depth[s] > 0) predecessors[fill[next[s]]++] = s;
+        }
+        const size = this._treeSizes(next, depth, stateCount, maxTransient);
+
+        const budget = Math.max(1, Math.floor(this.maxEdges / Math.max(1, groups.length)));
+        const ringStep = (1 - this.cycleRadius) / Math.max(1, maxTransient);
+
+        this.layouts = groups.map((group) => {
+            const attractor = this.graph.attractors[group.attractor];
+
+            // Cycle states in order around the ring
+            const cycle = [attractor.state];
+            for (let s = next[attractor.state]; s !== attractor.state; s = next[s]) {
+                cycle.push(s);
+            }
+
+            // Branches smaller than this are pruned so the basin fits its edge budget
+            const minSize = Math.ceil(attractor.basinSize / budget);
+            const edges = [];
+            const cyclePoints = [];
+            let angle = -Math.PI / 2;
+
+            for (const root of cycle) {
+                const sector = 2 * Math.PI * size[root] / attractor.basinSize;
+                const mid = angle + sector / 2;
+                cyclePoints.push(this.cycleRadius * Math.cos(mid), this.cycleRadius * Math.sin(mid));
+
+                // Depth-first over the tree, each entry [state, sector start, sector width]
+                const stack = [[root, angle, sector]];
+                while (stack.length > 0 && edges.length < 4 * budget) {
+                    const [s, from, width] = stack.pop();
+                    const r = this.cycleRadius + depth[s] * ringStep;
+                    const a = from + width / 2;
+                    const x = r * Math.cos(a);
+                    const y = r * Math.sin(a);
+
+                    let start = from;
+                    const total = size[s] - 1;
+                    for (let i = offsets[s]; i < offsets[s + 1]; i++) {
+                        const child = predecessors[i];
+                        const share = total > 0 ? width * size[child] / total : 0;
+                        if (size[child] >= minSize) {
+                            const cr = r + ringStep;
+                            const ca = start + share / 2;
+                            edges.push(x, y, cr * Math.cos(ca), cr * Math.sin(ca));
+                            stack.push([child, start, share]);
+                        }
+                        start += share;
+                    }
+                }
+
+                angle += sector;
+            }
+
+            return { group, edges: Float32Array.from(edges), cycle: Float32Array.from(cyclePoints) };
+        });
+
+        this.hiddenBasins = this.graph.groups.length - groups.length;
+    }
+
+    /**
+     * Size of the tree rooted at every state (itself plus all its transient ancestors)
+     * Deepest states are added into their successors first.
+     * @param {Uint32Array} next - Successor of each state
+     * @param {Uint32Array} depth - Transient length of each state
+     * @param {number} stateCount - Number of states
+     * @param {number} maxTransient - Largest depth
+     * @returns {Uint32Array} Tree sizes
+     * @private
+     */
+    _treeSizes(next, depth, stateCount, maxTransient) {
+        const size = new Uint32Array(stateCount).fill(1);
+
+        // Counting sort of the states by depth
+        const starts = new Uint32Array(maxTransient + 2);
+        for (let s = 0; s < stateCount; s++) {
+            starts[depth[s] + 1]++;
+        }
+        for (let d = 0; d <= maxTransient; d++) {
+            starts[d + 1] += starts[d];
+        }
+        const byDepth = new Uint32Array(stateCount);
+        const fill = starts.slice(0, maxTransient + 1);
+        for (let s = 0; s < stateCount; s++) {
+            byDepth[fill[depth[s]]++] = s;
+        }
+
+        for (let i = stateCount - 1; i >= starts[1]; i--) {
+            const s = byDepth[i];
+            size[next[s]] += size[s];
+        }
+
+        return size;
+    }
+
+    /**
+     * Render the basin field to the canvas
+     * @param {p5} p - p5.js instance
+     */
+    render(p) {
+        if (!this.visible) return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Centered panel, shrunk to fit the canvas
+        const panelWidth = Math.min(this.width, p.width - 2 * this.padding);
+        const panelHeight = Math.min(this.height, p.height - 2 * this.padding);
+        const posX = -panelWidth / 2;
+        const posY = -panelHeight / 2;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, panelWidth, panelHeight);
+
+        p.textAlign(p.LEFT, p.TOP);
+        p.textSize(20);
+        p.fill(this.colors.headline);
+        p.text('BASINS OF ATTRACTION', posX + this.padding, posY + this.padding);
+
+        p.textSize(11);
+        p.fill(this.colors.text);
+        if (!this.graph) {
+            p.text(this.status, posX + this.padding, posY + this.padding + 28);
+            p.pop();
+            return;
+        }
+
+        const g = this.graph;
+        const shown = this.hiddenBasins > 0 ? ` (largest ${this.layouts.length} shown)` : '';
+        p.text(
+            `Rule ${this.rule} · ${g.width} cells · ${g.stateCount} states · ` +
+            `${g.attractors.length} basins, ${g.groups.length} up to rotation${shown} · ` +
+            `GoE ${(100 * g.gardenOfEden / g.stateCount).toFixed(1)}% · max transient ${g.maxTransient}`,
+            posX + this.padding,
+            posY + this.padding + 28
+        );
+
+        this._drawBasins(p, posX, posY + this.headerHeight, panelWidth, panelHeight - this.headerHeight);
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Draw the laid-out basins in a grid, each labelled with its count, period and size
+     * @param {p5} p - p5.js instance
+     * @param {number} posX - Left of the grid
+     * @param {number} posY - Top of the grid
+     * @param {number} gridWidth - Grid width
+     * @param {number} gridHeight - Grid height
+     * @private
+     */
+    _drawBasins(p, posX, posY, gridWidth, gridHeight) {
+        const count = this.layouts.length;
+        const columns = Math.ceil(Math.sqrt(count * gridWidth / Math.max(1, gridHeight)));
+        const rows = Math.ceil(count / columns);
+        const cellWidth = gridWidth / columns;
+        const cellHeight = gridHeight / rows;
+        const labelHeight = 14;
+
+        this.layouts.forEach((layout, i) => {
+            const cellX = posX + (i % columns) * cellWidth;
+            const cellY = posY + Math.floor(i / columns) * cellHeight;
+            const radius = Math.max(1, Math.min(cellWidth, cellHeight - labelHeight) / 2 - 4);
+            const cx = cellX + cellWidth / 2;
+            const cy = cellY + (cellHeight - labelHeight) / 2;
+
+            // Transient trees
+            p.stroke(this.colors.tree);
+            p.strokeWeight(1);
+            const edges = layout.edges;
+            for (let e = 0; e < edges.length; e += 4) {
+                p.line(cx + radius * edges[e], cy + radius * edges[e + 1], cx + radius * edges[e + 2], cy + radius * edges[e + 3]);
+            }
+
+            // Attractor cycle
+            p.stroke(this.colors.attractor);
+            const cycle = layout.cycle;
+            const points = cycle.length / 2;
+            for (let c = 0; c < points; c++) {
+                const d = (c + 1) % points;
+                p.line(cx + radius * cycle[2 * c], cy + radius * cycle[2 * c + 1], cx + radius * cycle[2 * d], cy + radius * cycle[2 * d + 1]);
+            }
+            p.noStroke();
+            p.fill(this.colors.attractor);
+            for (let c = 0; c < points; c++) {
+                p.circle(cx + radius * cycle[2 * c], cy + radius * cycle[2 * c + 1], 3);
+            }
+
+            // Label: copies up to rotation, period and basin size
+            const { group } = layout;
+            p.fill(this.colors.text);
+            p.textAlign(p.CENTER, p.TOP);
+            p.text(
+                `${group.count > 1 ? `×${group.count} ` : ''}p${group.period} · ${group.basinSize}`,
+                cx,
+                cellY + cellHeight - labelHeight
+            );
+        });
+    }
+
+    /**
+     * Show or hide the basin panel
+     * @param {boolean} visible - Whether to display the panel
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
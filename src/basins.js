@@ -0,0 +1,221 @@
+/**
+ * Basins of attraction
+ *
+ * Global dynamics of a rule on a small ring, after Wuensche's DDLab. Every
+ * one of the k^n rows of an n-cell ring is stepped once with a CAEngine,
+ * giving the state-transition graph: each state has exactly one successor,
+ * so the graph splits into basins, each an attractor cycle with trees of
+ * transient states hanging from it. Leaves of the trees have no predecessor
+ * (Gardens of Eden). On a periodic ring rotating a basin gives a basin of
+ * the same shape, so basins are grouped by rotation.
+ *
+ * A state is the row read as a base-k number, cell 0 most significant.
+ */
+
+/**
+ * Most states (k^n) enumerated: binary rings up to 22 cells
+ * @constant {number}
+ */
+const MAX_BASIN_STATES = 1 << 22;
+
+/**
+ * Number of states of a ring
+ *
+ * @param {number} width - Ring width in cells
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {number} k^width
+ */
+function basinStateCount(width, states = 2) {
+  return states ** width;
+}
+
+/**
+ * Build the state-transition graph of an engine's rule and find its basins
+ *
+ * @param {CAEngine} engine - Engine of the ring's width (at least 2 rows high), set up with the
+ *   rule and boundary to analyze; its run is overwritten
+ * @returns {Object|null} Graph, or null if the ring has more than MAX_BASIN_STATES states
+ *   - width, states, stateCount: ring width, cell states k, k^width
+ *   - next: Uint32Array successor of each state
+ *   - depth: Uint32Array transient length of each state (0 on the attractor)
+ *   - basin: Uint32Array index into attractors of each state's basin
+ *   - attractors: one per basin, largest basin first:
+ *     { state (smallest state on the cycle), period, basinSize, maxTransient, gardenOfEden, group }
+ *   - groups: basins equal up to rotation, largest first:
+ *     { attractor (index of a representative), count, period, basinSize, maxTransient }
+ *   - gardenOfEden, maxTransient: totals over the whole graph
+ */
+function analyzeBasins(engine) {
+  const width = engine.width;
+  const states = engine.getStateCount();
+  const stateCount = basinStateCount(width, states);
+  if (stateCount > MAX_BASIN_STATES) {
+    return null;
+  }
+
+  // Successor of every state, one engine step each
+  const next = new Uint32Array(stateCount);
+  const row = new Uint8Array(width);
+  for (let s = 0; s < stateCount; s++) {
+    for (let x = width - 1, rest = s; x >= 0; x--, rest = Math.floor(rest / states)) {
+      row[x] = rest % states;
+    }
+    engine.setInitialCondition(row);
+    engine.step();
+
+    const state = engine.getState();
+    const offset = (1 % engine.height) * width;
+    let successor = 0;
+    for (let x = 0; x < width; x++) {
+      successor = successor * states + state[offset + x];
+    }
+    next[s] = successor;
+  }
+
+  // Walk from each unvisited state until the walk meets a known state or closes a cycle
+  const UNSEEN = 0xFFFFFFFF;
+  const basin = new Uint32Array(stateCount).fill(UNSEEN);
+  const depth = new Uint32Array(stateCount);
+  const onPath = new Uint8Array(stateCount);
+  const hasPredecessor = new Uint8Array(stateCount);
+  const attractors = [];
+  const path = [];
+
+  for (let s = 0; s < stateCount; s++) {
+    hasPredecessor[next[s]] = 1;
+  }
+
+  for (let s = 0; s < stateCount; s++) {
+    if (basin[s] !== UNSEEN) continue;
+
+    path.length = 0;
+    let t = s;
+    while (basin[t] === UNSEEN && !onPath[t]) {
+      onPath[t] = 1;
+      path.push(t);
+      t = next[t];
+    }
+
+    let end = path.length;
+    if (onPath[t]) {
+      // A new attractor: the path's tail from t on is the cycle
+      const index = attractors.length;
+      const start = path.indexOf(t);
+      let smallest = t;
+      for (let i = start; i < path.length; i++) {
+        basin[path[i]] = index;
+        smallest = Math.min(smallest, path[i]);
+      }
+      attractors.push({ state: smallest, period: path.length - start, basinSize: 0, maxTransient: 0, gardenOfEden: 0 });
+      end = start;
+    }
+
+    // Transient states take the basin of the state they lead into, one step further out
+    for (let i = end - 1; i >= 0; i--) {
+      const u = path[i];
+      basin[u] = basin[next[u]];
+      depth[u] = depth[next[u]] + 1;
+    }
+    for (const u of path) {
+      onPath[u] = 0;
+    }
+  }
+
+  let gardenOfEden = 0;
+  let maxTransient = 0;
+  for (let s = 0; s < stateCount; s++) {
+    const attractor = attractors[basin[s]];
+    attractor.basinSize++;
+    attractor.maxTransient = Math.max(attractor.maxTransient, depth[s]);
+    if (!hasPredecessor[s]) {
+      attractor.gardenOfEden++;
+      gardenOfEden++;
+    }
+    maxTransient = Math.max(maxTransient, depth[s]);
+  }
+
+  // Largest basins first (state indices follow the new order)
+  const order = attractors.map((_, i) => i).sort((a, b) =>
+    attractors[b].basinSize - attractors[a].basinSize || attractors[a].state - attractors[b].state);
+  const rank = new Uint32Array(attractors.length);
+  order.forEach((i, r) => { rank[i] = r; });
+  for (let s = 0; s < stateCount; s++) {
+    basin[s] = rank[basin[s]];
+  }
+  const sorted = order.map((i) => attractors[i]);
+
+  const groups = groupBasins(sorted, next, width, states, engine.getBoundary().mode === 'periodic');
+
+  return {
+    width,
+    states,
+    stateCount,
+    next,
+    depth,
+    basin,
+    attractors: sorted,
+    groups,
+    gardenOfEden,
+    maxTransient
+  };
+}
+
+/**
+ * Group basins that are rotations of each other (periodic rings only)
+ * Rotating a state rotates its whole basin, so the smallest rotation of any
+ * state on an attractor identifies the group.
+ *
+ * @param {Object[]} attractors - Attractors, largest basin first (group is set on each)
+ * @param {Uint32Array} next - Successor of each state
+ * @param {number} width - Ring width
+ * @param {number} states - Number of cell states k
+ * @param {boolean} periodic - Whether rotations are symmetries of the rule
+ * @returns {Object[]} Groups, largest basin first
+ * @private
+ */
+function groupBasins(attractors, next, width, states, periodic) {
+  const groups = [];
+  const byKey = new Map();
+  const high = states ** (width - 1);
+
+  attractors.forEach((attractor, index) => {
+    let key = index;
+    if (periodic) {
+      // Smallest rotation over the cycle's states
+      key = Infinity;
+      let s = attractor.state;
+      for (let i = 0; i < attractor.period; i++) {
+        let rotated = s;
+        for (let r = 0; r < width; r++) {
+          key = Math.min(key, rotated);
+          rotated = (rotated % high) * states + Math.floor(rotated / high);
+        }
+        s = next[s];
+      }
+    }
+
+    if (!byKey.has(key)) {
+      byKey.set(key, groups.length);
+      groups.push({
+        attractor: index,
+        count: 0,
+        period: attractor.period,
+        basinSize: attractor.basinSize,
+        maxTransient: attractor.maxTransient
+      });
+    }
+    attractor.group = byKey.get(key);
+    groups[attractor.group].count++;
+  });
+
+  return groups;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_BASIN_STATES,
+    basinStateCount,
+    analyzeBasins
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Elementary Cellular Automata Engine
- * Implements all 256 ECA rules with efficient computation and toroidal wrapping
+ * Implements all 256 ECA rules with efficient computation and selectable boundaries
  *
  * @author Claude (Sonnet 4.5)
  * @date 2025-10-21
@@ -23,253 +23,2683 @@ function computeRule(left, center, right, rule) {
   return (rule >> index) & 1;
 }
 
+/**
+ * Supported rule encodings
+ * - wolfram: one output digit per neighborhood, neighborhood read as a base-k number
+ * - totalistic: one output digit per neighborhood sum (0 to (k-1)(2r+1))
+ * - outer-totalistic: output digit k*s + c for outer sum s and center cell c
+ * Codes are read in base k (k = number of cell states; 2 for binary rules).
+ * @constant {string[]}
+ */
+const RULE_ENCODINGS = ['wolfram', 'totalistic', 'outer-totalistic'];
+
+/**
+ * Largest supported neighborhood radius
+ * @constant {number}
+ */
+const MAX_RULE_RADIUS = 3;
+
+/**
+ * Largest supported number of cell states (colors)
+ * @constant {number}
+ */
+const MAX_CELL_STATES = 5;
+
+/**
+ * Number of base-k digits in a rule code for a given radius, encoding and state count
+ *
+ * @param {number} radius - Neighborhood radius (1-3)
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {number} Code length in digits (8 for elementary rules)
+ */
+function ruleCodeDigits(radius, encoding, states = 2) {
+  const size = 2 * radius + 1;
+
+  if (encoding === 'totalistic') return (states - 1) * size + 1;
+  if (encoding === 'outer-totalistic') return states * ((states - 1) * (size - 1) + 1);
+  return states ** size;
+}
+
+/**
+ * Number of distinct rule codes for a given radius, encoding and state count
+ *
+ * @param {number} radius - Neighborhood radius (1-3)
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {bigint} Code count (256n for elementary rules); valid codes are 0 to count-1
+ */
+function ruleCodeCount(radius, encoding, states = 2) {
+  return BigInt(states) ** BigInt(ruleCodeDigits(radius, encoding, states));
+}
+
+/**
+ * Parse a rule code given as a number, BigInt, decimal string or hex string
+ *
+ * @param {number|bigint|string} value - e.g. 30, 1771476584n, "0x6996", "6996" (hex)
+ * @returns {bigint|null} Parsed code, or null if it cannot be parsed
+ */
+function parseRuleCode(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? BigInt(value) : null;
+  }
+
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (/^(0x)?[0-9a-f]+$/.test(text)) {
+      // Plain digits are decimal; anything with a-f or a 0x prefix is hex
+      if (/^[0-9]+$/.test(text)) return BigInt(text);
+      return BigInt(text.startsWith('0x') ? text : `0x${text}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the neighborhood lookup table for a rule code
+ * Index = neighborhood cells read left to right as a base-k number
+ *
+ * @param {bigint} code - Rule code
+ * @param {number} radius - Neighborhood radius
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {Uint8Array} Lookup table of k^(2r+1) next states
+ */
+function buildRuleTable(code, radius, encoding, states = 2) {
+  const size = 2 * radius + 1;
+  const table = new Uint8Array(states ** size);
+
+  // Base-k digits of the code, least significant first
+  const codeDigits = code.toString(states).split('').reverse().map(Number);
+
+  for (let i = 0; i < table.length; i++) {
+    let digit = i;
+
+    if (encoding !== 'wolfram') {
+      let sum = 0;
+      for (let rest = i; rest > 0; rest = Math.floor(rest / states)) {
+        sum += rest % states;
+      }
+
+      const center = Math.floor(i / states ** radius) % states;
+      digit = encoding === 'totalistic' ? sum : states * (sum - center) + center;
+    }
+
+    table[i] = codeDigits[digit] || 0;
+  }
+
+  return table;
+}
+
+/**
+ * Supported boundary conditions
+ * - periodic: toroidal wrapping (default)
+ * - fixed0: cells beyond the edges are always 0
+ * - fixed1: cells beyond the edges are always 1
+ * - reflective: cells beyond the edges mirror the edge cell
+ * - driven: cells beyond the edges follow a user-supplied bit sequence
+ * @constant {string[]}
+ */
+const BOUNDARY_MODES = ['periodic', 'fixed0', 'fixed1', 'reflective', 'driven'];
+
+/**
+ * Supported lattice modes
+ * - ring: fixed-width row of cells with the selected boundary condition (default)
+ * - growing: unbounded row that widens with the light cone; state shows a movable window into it
+ * @constant {string[]}
+ */
+const LATTICE_MODES = ['ring', 'growing'];
+
+/**
+ * Supported stepping backends
+ * - scalar: one cell at a time through the lookup table
+ * - bitpacked: 32 cells per Uint32 word using boolean formulas derived from the rule
+ * Both produce identical results.
+ * @constant {string[]}
+ */
+const ENGINE_BACKENDS = ['scalar', 'bitpacked'];
+
+/**
+ * Named initial-condition patterns (see CAEngine.setInitialCondition)
+ * @constant {string[]}
+ */
+const INITIAL_PATTERNS = ['single', 'random', 'points', 'block', 'tile', 'gradient', 'window', 'text'];
+
+/**
+ * Initial-condition patterns drawn from the seeded PRNG
+ * @constant {string[]}
+ */
+const RANDOM_PATTERNS = ['random', 'gradient', 'window'];
+
+/**
+ * Normalize a PRNG seed to an unsigned 32-bit integer
+ * Strings are hashed (FNV-1a), so "run-1" is as good a seed as 12345.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  return Math.floor(Number(seed) || 0) >>> 0;
+}
+
+/**
+ * Parse a rule schedule
+ * Entries are "rule*generations" separated by commas or spaces, e.g.
+ * "30*1, 45*1" (alternate every generation) or "90*50, 150*50". The schedule
+ * loops; a last entry without a count (e.g. "90*50, 150") instead holds
+ * that rule forever. Rule codes may be decimal or hex ("0x...").
+ *
+ * @param {string} text - Schedule text
+ * @returns {{entries: Array<{rule: bigint, generations: number}>, loop: boolean}|null}
+ *   Parsed schedule, or null if the text is empty or invalid
+ */
+function parseRuleSchedule(text) {
+  const parts = String(text).split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  const entries = [];
+  for (let i = 0; i < parts.length; i++) {
+    const match = parts[i].match(/^(0x[0-9a-f]+|[^*:]+)(?:[*:](\d+))?$/i);
+    const rule = match ? parseRuleCode(match[1]) : null;
+    const isLast = i === parts.length - 1;
+
+    if (rule === null || (!match[2] && !isLast)) {
+      return null;
+    }
+
+    const generations = match[2] ? parseInt(match[2], 10) : Infinity;
+    if (generations < 1) {
+      return null;
+    }
+
+    entries.push({ rule, generations });
+  }
+
+  return { entries, loop: isFinite(entries[entries.length - 1].generations) };
+}
+
+/**
+ * Most generations of state hashes kept for measuring a cycle's transient
+ * @constant {number}
+ */
+const CYCLE_HISTORY_LIMIT = 1 << 20;
+
+/**
+ * Start index of the lexicographically least rotation of a cyclic sequence (Booth's algorithm)
+ *
+ * @param {Uint8Array} cells - Cyclic sequence
+ * @param {Int32Array} failure - Scratch buffer of at least 2 * cells.length entries
+ * @returns {number} Rotation start index
+ */
+function leastRotation(cells, failure) {
+  const n = cells.length;
+  failure.fill(-1, 0, 2 * n);
+  let k = 0;
+
+  for (let j = 1; j < 2 * n; j++) {
+    const cj = cells[j % n];
+    let i = failure[j - k - 1];
+    while (i !== -1 && cj !== cells[(k + i + 1) % n]) {
+      if (cj < cells[(k + i + 1) % n]) {
+        k = j - i - 1;
+      }
+      i = failure[i];
+    }
+
+    if (i === -1 && cj !== cells[(k + i + 1) % n]) {
+      if (cj < cells[(k + i + 1) % n]) {
+        k = j;
+      }
+      failure[j - k] = -1;
+    } else {
+      failure[j - k] = i + 1;
+    }
+  }
+
+  return k % n;
+}
+
+/**
+ * Additive form of a rule table: next = offset + sum of coefficients[j] * cell[x - r + j] (mod k)
+ *
+ * @param {Uint8Array} table - Rule lookup table (see buildRuleTable)
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {{offset: number, coefficients: number[]}|null} Offset and per-cell coefficients
+ *   (leftmost cell first), or null if the rule is not additive
+ */
+function additiveRuleForm(table, radius, states = 2) {
+  const size = 2 * radius + 1;
+  const offset = table[0];
+
+  // Coefficient of each cell = response to a single 1 in that position
+  const coefficients = [];
+  for (let j = 0; j < size; j++) {
+    coefficients.push((table[states ** (size - 1 - j)] - offset + states) % states);
+  }
+
+  for (let index = 0; index < table.length; index++) {
+    let expected = offset;
+    let rest = index;
+    for (let j = size - 1; j >= 0; j--) {
+      expected += coefficients[j] * (rest % states);
+      rest = Math.floor(rest / states);
+    }
+
+    if (expected % states !== table[index]) {
+      return null;
+    }
+  }
+
+  return { offset, coefficients };
+}
+
+/**
+ * Advance a periodic row of an additive rule by many generations at once
+ * One step is a cyclic convolution with the rule's kernel (multiplication by a
+ * polynomial in Z_k[x]/(x^n - 1)) plus the offset, so t steps are the t-th
+ * power of that map, built by repeated squaring in O(log t) convolutions.
+ * Over GF(2) squaring is just x^d -> x^2d (the cross terms cancel, as in
+ * Lucas's theorem), so binary rules cost O(n) per squaring. The all-ones row
+ * is an eigenvector (eigenvalue = kernel sum), which keeps affine offsets a
+ * single number.
+ *
+ * @param {Uint8Array} row - Current row (periodic)
+ * @param {{offset: number, coefficients: number[]}} form - Additive form (see additiveRuleForm)
+ * @param {number} radius - Neighborhood radius
+ * @param {number} states - Number of cell states k
+ * @param {number} steps - Generations to advance (a safe integer)
+ * @returns {Uint8Array} Row after the given number of generations
+ */
+function jumpAdditiveRow(row, form, radius, states, steps) {
+  const n = row.length;
+
+  // One step: next[x] = offset + sum over d of kernel[d] * row[(x + d) mod n]
+  let kernel = new Uint8Array(n);
+  form.coefficients.forEach((c, j) => {
+    const d = ((j - radius) % n + n) % n;
+    kernel[d] = (kernel[d] + c) % states;
+  });
+  let offset = form.offset;
+
+  // next[x] = offset + sum of kernel[d] * cells[(x + d) mod n]
+  const apply = (cells) => {
+    const out = new Uint32Array(n).fill(offset);
+    for (let d = 0; d < n; d++) {
+      const c = kernel[d];
+      if (c === 0) continue;
+      for (let x = 0; x < n; x++) {
+        out[x] += c * cells[(x + d) % n];
+      }
+    }
+    return Uint8Array.from(out, (value) => value % states);
+  };
+
+  // Kernel of the map applied twice
+  const square = () => {
+    const out = new Uint32Array(n);
+    for (let d1 = 0; d1 < n; d1++) {
+      if (kernel[d1] === 0) continue;
+      if (states === 2) {
+        out[(2 * d1) % n] ^= 1;
+        continue;
+      }
+      for (let d2 = 0; d2 < n; d2++) {
+        out[(d1 + d2) % n] += kernel[d1] * kernel[d2];
+      }
+    }
+    return Uint8Array.from(out, (value) => value % states);
+  };
+
+  let result = Uint8Array.from(row);
+  for (let t = steps; t > 0; t = Math.floor(t / 2)) {
+    if (t % 2 === 1) {
+      result = apply(result);
+    }
+    if (t > 1) {
+      // (K, b) twice is (K*K, b * sum(K) + b)
+      const eigenvalue = kernel.reduce((sum, c) => sum + c, 0) % states;
+      offset = (offset * eigenvalue + offset) % states;
+      kernel = square();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Supported update schemes
+ * - synchronous: every cell updates at once from the previous row (default)
+ * - random-sequential: cells update one at a time in a fresh random order each generation
+ * - alpha: each cell updates (synchronously) with probability alpha, otherwise keeps its state
+ * - sweep: cells update one at a time, left to right
+ * - block: contiguous blocks update left to right, cells within a block synchronously
+ * Sequential schemes read neighbors already updated this generation.
+ * @constant {string[]}
+ */
+const UPDATE_SCHEMES = ['synchronous', 'random-sequential', 'alpha', 'sweep', 'block'];
+
+/**
+ * Supported memory types (after Alonso-Sanz): the rule is applied to each
+ * cell's effective state, a weighted vote over its last depth states
+ * - none: the current state (default)
+ * - majority: the most frequent of the last depth states
+ * - alpha: each past state weighted by alpha^age (the current state by 1)
+ * Ties keep the current state.
+ * @constant {string[]}
+ */
+const MEMORY_TYPES = ['none', 'majority', 'alpha'];
+
+/**
+ * Maps a 4-bit nibble of packed cells to four little-endian cell bytes,
+ * so unpacking writes four cells with a single Uint32 store
+ * @constant {Uint32Array}
+ */
+const NIBBLE_TO_CELLS = new Uint32Array(16).map((_, n) =>
+  (n & 1) | (((n >> 1) & 1) << 8) | (((n >> 2) & 1) << 16) | (((n >> 3) & 1) << 24)
+);
+
+/**
+ * Parse a driven-boundary bit sequence
+ *
+ * @param {string|number[]|Uint8Array} sequence - Bits as "0110" or an array of 0/1
+ * @returns {Uint8Array} Parsed bit sequence (at least one bit long)
+ */
+function parseBoundarySequence(sequence) {
+  let bits = [];
+
+  if (typeof sequence === 'string') {
+    bits = sequence.replace(/[^01]/g, '').split('').map(Number);
+  } else if (sequence && typeof sequence.length === 'number') {
+    bits = Array.from(sequence, (bit) => (bit ? 1 : 0));
+  }
+
+  if (bits.length === 0) {
+    bits = [0];
+  }
+
+  return Uint8Array.from(bits);
+}
+
 /**
  * Elementary Cellular Automata Engine
  *
  * Features:
  * - All 256 ECA rules with precomputed lookup table
- * - Toroidal wrapping for infinite grid simulation
+ * - Radius 2-3 and totalistic / outer-totalistic rule codes
+ * - Multi-state (k-color, up to 5) rules
+ * - Second-order reversible rules ("30R") with backwards stepping
+ * - Stochastic rules (flip noise, rule mixing, probabilistic tables) from a seeded PRNG
+ * - Asynchronous and block-sequential update schemes
+ * - Hybrid rules via a per-cell rule map
+ * - Time-varying rule schedules
+ * - Cycle detection (transient, period and spatial shift)
+ * - Selectable boundary conditions (toroidal wrapping by default)
+ * - Growing-lattice mode for unbounded light-cone growth
+ * - Bit-parallel stepping backend (32 cells per word)
  * - Center-outward infinite generation
  * - Circular buffer for generation history
  * - Optimized Uint8Array for efficient memory usage
  */
 class CAEngine {
   /**
-   * Create a new CA engine
-   *
-   * @param {number} rule - ECA rule number (0-255)
-   * @param {number} width - Grid width (number of cells)
-   * @param {number} height - Grid height (number of generations to track)
+   * Create a new CA engine
+   *
+   * @param {number} rule - ECA rule number (0-255)
+   * @param {number} width - Grid width (number of cells)
+   * @param {number} height - Grid height (number of generations to track)
+   */
+  constructor(rule, width, height) {
+    this.rule = rule;
+    this.width = width;
+    this.height = height;
+
+    // Current generation index (for circular buffer)
+    this.currentGeneration = 0;
+
+    // State buffer: 2D array stored as 1D Uint8Array for efficiency
+    // Layout: [row0_col0, row0_col1, ..., row1_col0, row1_col1, ...]
+    this.state = new Uint8Array(width * height);
+
+    // Working buffers for computation
+    this.currentRow = new Uint8Array(width);
+    this.nextRow = new Uint8Array(width);
+
+    // Neighborhood radius, rule encoding and cell state count
+    // (elementary rules by default)
+    this.radius = 1;
+    this.ruleEncoding = 'wolfram';
+    this.states = 2;
+    this.ruleCode = 0n;
+
+    // Second-order (Fredkin) rules: next = rule(current) - previous (mod k),
+    // i.e. XOR with the previous row for binary rules. Exactly reversible.
+    this.reversible = false;
+
+    // Stochastic rule application (off by default). All randomness comes
+    // from a seeded mulberry32 stream, so runs with the same seed repeat.
+    // ruleBLookup / probabilityTable are rebuilt whenever the rule changes.
+    this.noise = {
+      flipProbability: 0,      // Chance a cell's new state is flipped
+      ruleB: null,             // Alternate rule code, same rule space as rule A
+      ruleBProbability: 0,     // Chance a cell is updated with rule B instead
+      neighborhoodProbabilities: null  // P(next = 1) per neighborhood (binary rules)
+    };
+    this.ruleBLookup = null;
+    this.probabilityTable = null;
+    this.seed = normalizeSeed(Math.random() * 0x100000000);
+    this.randomState = this.seed;
+
+    // Update scheme (synchronous by default). Non-synchronous schemes draw
+    // from the same seeded PRNG; updateOrder is the random-sequential scratch.
+    this.updateScheme = 'synchronous';
+    this.updateAlpha = 0.5;
+    this.updateBlockSize = 8;
+    this.updateOrder = new Uint32Array(width);
+
+    // Memory (off by default): see setMemory. The window is read from the
+    // circular buffer, so depth is capped at its height; memoryWeights is the
+    // per-cell, per-state vote scratch.
+    this.memory = { type: 'none', depth: 3, alpha: 0.75 };
+    this.memoryWeights = new Float64Array(width * MAX_CELL_STATES);
+
+    // Hybrid rules: ruleMap[x] picks the rule for cell x (null = main rule
+    // everywhere). Zone 0 is the main rule, zone i >= 1 is zoneRules[i - 1];
+    // zoneLookups holds one lookup table per zone.
+    this.ruleMap = null;
+    this.zoneRules = [];
+    this.zoneLookups = [];
+
+    // Rule map that produced each row of the circular buffer (null = main rule
+    // everywhere, or a row no rule produced). Rows share one copy of the map
+    // per edit; ruleMapSnapshot is that copy (null until a row needs it).
+    this.rowRuleMaps = new Array(height).fill(null);
+    this.ruleMapSnapshot = null;
+
+    // Cycle detection (off by default): Brent's algorithm over hashed states,
+    // see _trackCycle. cycleCells / cycleFailure are per-step scratch buffers.
+    this.cycleDetection = false;
+    this.cycleTracker = null;
+    this.cycleCells = new Uint8Array(width);
+    this.cycleFailure = new Int32Array(2 * width);
+
+    // Rule schedule (null = the main rule every generation). While a schedule
+    // is active, ruleLookup / ruleMinterms hold the table of the entry for the
+    // current generation; scheduleTables has one { lookup, minterms } per entry.
+    this.schedule = null;
+    this.scheduleTables = [];
+    this.scheduleIndex = -1;
+
+    // Memoized fast-forward for jumps of rules that are not additive (null = step
+    // instead); see setFastForward. A shared cache, not part of clone()/restore().
+    this.fastForward = null;
+
+    // Precompute lookup table for current rule (performance optimization)
+    this.ruleLookup = new Uint8Array(8);
+    this.ruleMinterms = [];
+    this.setRule(rule);
+
+    // Bit-packed backend: every row of the circular buffer is kept packed
+    // 32 cells per word (bit j of word w is cell w*32+j). The byte state
+    // buffer is only unpacked from it when read (see _syncState), so
+    // stepping never touches individual cells.
+    this.backend = 'bitpacked';
+    this.state32 = new Uint32Array(this.state.buffer, 0, this.state.length >>> 2);
+    this.wordCount = Math.ceil(width / 32);
+    this.packedHistory = new Uint32Array(this.wordCount * height);
+    this.packedDirty = true;  // Packed current row is stale
+    this.unsyncedRows = 0;    // Newest rows not yet unpacked into state
+
+    // Boundary condition (toroidal wrapping by default)
+    this.boundary = 'periodic';
+    this.boundarySequence = new Uint8Array([0]);
+
+    // Growing lattice: only the active region (cells differing from the
+    // uniform background) is stored, at absolute position activeOrigin.
+    // viewOffset is the absolute x shown in column 0 of the state buffer.
+    this.latticeMode = 'ring';
+    this.activeCells = new Uint8Array(0);
+    this.activeOrigin = 0;
+    this.background = 0;
+    this.viewOffset = 0;
+    this.growthHistory = new Array(height).fill(null);
+
+    // Initialize with default pattern
+    this.setInitialCondition('single');
+  }
+
+  /**
+   * Build lookup table for current rule
+   * Maps (2r+1)-cell neighborhood (as a base-k number) to next state
+   * @private
+   */
+  _buildRuleLookup() {
+    this.ruleLookup = buildRuleTable(this.ruleCode, this.radius, this.ruleEncoding, this.states);
+    this.ruleMinterms = this._buildMinterms(this.ruleLookup);
+  }
+
+  /**
+   * Sum-of-products form for the bit-packed backend: one minterm per
+   * neighborhood that maps to 1 (binary radius-1 rules only)
+   *
+   * @param {Uint8Array} lookup - Rule lookup table
+   * @returns {number[]} Neighborhood indices mapping to 1
+   * @private
+   */
+  _buildMinterms(lookup) {
+    const minterms = [];
+    if (this.radius === 1 && this.states === 2) {
+      for (let i = 0; i < 8; i++) {
+        if (lookup[i]) {
+          minterms.push(i);
+        }
+      }
+    }
+    return minterms;
+  }
+
+  /**
+   * Get cell state at specific position, applying the boundary condition
+   * for coordinates outside the grid
+   *
+   * @param {Uint8Array} buffer - Buffer to read from
+   * @param {number} x - X coordinate
+   * @returns {number} Cell state (0 to k-1)
+   * @private
+   */
+  _getCell(buffer, x) {
+    if (x >= 0 && x < this.width) {
+      return buffer[x];
+    }
+
+    const index = this._boundaryIndex(x);
+    return index >= 0 ? buffer[index] : ~index;
+  }
+
+  /**
+   * Resolve a coordinate outside the grid under the boundary condition
+   *
+   * @param {number} x - X coordinate (< 0 or >= width)
+   * @returns {number} Index of the cell it reads, or ~value (-1 for 0, -2 for 1)
+   *   when the boundary supplies the value itself
+   * @private
+   */
+  _boundaryIndex(x) {
+    switch (this.boundary) {
+      case 'fixed0':
+        return ~0;
+
+      case 'fixed1':
+        return ~1;
+
+      case 'reflective':
+        // Mirror across the edge: x = -1 reads cell 0, x = width reads cell width-1
+        return x < 0 ? -x - 1 : 2 * this.width - x - 1;
+
+      case 'driven':
+        return ~this.boundarySequence[this.currentGeneration % this.boundarySequence.length];
+
+      default:
+        // Toroidal wrapping: wrap around edges
+        return ((x % this.width) + this.width) % this.width;
+    }
+  }
+
+  /**
+   * Set cell state at specific position
+   *
+   * @param {Uint8Array} buffer - Buffer to write to
+   * @param {number} x - X coordinate
+   * @param {number} value - Cell state (0 to k-1)
+   * @private
+   */
+  _setCell(buffer, x, value) {
+    buffer[x] = value;
+  }
+
+  /**
+   * Compute next generation using current rule
+   * Updates the state buffer with new generation
+   */
+  step() {
+    this._syncScheduledRule();
+
+    if (this.latticeMode === 'growing') {
+      this._stepGrowing();
+    } else if (this.backend === 'bitpacked' && this.radius === 1 && this.states === 2 &&
+        !this.isStochastic() && this.updateScheme === 'synchronous' && !this.ruleMap && !this.hasMemory()) {
+      this._stepBitPacked();
+    } else {
+      this._stepScalar();
+    }
+
+    // Remember which zones produced the new row (rule maps apply to the ring lattice only)
+    this.rowRuleMaps[this.currentGeneration % this.height] =
+      this.latticeMode === 'ring' ? this._getRuleMapSnapshot() : null;
+
+    if (this.cycleTracker) {
+      this._trackCycle();
+    }
+  }
+
+  /**
+   * Compute next generation one cell at a time using the lookup table
+   * @private
+   */
+  _stepScalar() {
+    // Read from up-to-date cells; the packed row no longer mirrors them afterwards
+    this._syncState();
+    this.packedDirty = true;
+
+    // Get current row from circular buffer
+    const currentRowIndex = this.currentGeneration % this.height;
+    const currentRowOffset = currentRowIndex * this.width;
+
+    // Copy current row to working buffer (effective states under memory)
+    if (this.hasMemory()) {
+      this._applyMemory(this.currentRow);
+    } else {
+      for (let i = 0; i < this.width; i++) {
+        this.currentRow[i] = this.state[currentRowOffset + i];
+      }
+    }
+
+    // Compute next generation
+    if (this.updateScheme !== 'synchronous') {
+      this._applyRuleAsync(this.currentRow, this.nextRow,
+        this.state.subarray(currentRowOffset, currentRowOffset + this.width));
+    } else if (this.isStochastic()) {
+      this._applyRuleStochastic(this.currentRow, this.nextRow);
+    } else {
+      this._applyRule(this.currentRow, this.nextRow);
+    }
+
+    // Second-order rules subtract the previous generation (XOR for binary rules)
+    if (this.reversible) {
+      const previousRowIndex = (this.currentGeneration + this.height - 1) % this.height;
+      this._subtractRow(this.nextRow, previousRowIndex * this.width);
+    }
+
+    // Update circular buffer with new generation
+    this.currentGeneration++;
+    const nextRowIndex = this.currentGeneration % this.height;
+    const nextRowOffset = nextRowIndex * this.width;
+
+    // Copy next row to state buffer
+    for (let i = 0; i < this.width; i++) {
+      this.state[nextRowOffset + i] = this.nextRow[i];
+    }
+  }
+
+  /**
+   * Apply the rule to every cell of a row
+   * Uses a sliding (2r+1)-cell window, read as a base-k number
+   *
+   * @param {Uint8Array} source - Current row
+   * @param {Uint8Array} target - Row to write the next states into
+   * @private
+   */
+  _applyRule(source, target) {
+    const radius = this.radius;
+    const states = this.states;
+    const tableSize = this.ruleLookup.length;
+    const ruleMap = this.ruleMap;
+    let neighborhood = 0;
+    for (let dx = -radius; dx < radius; dx++) {
+      neighborhood = neighborhood * states + this._getCell(source, dx);
+    }
+
+    for (let x = 0; x < this.width; x++) {
+      neighborhood = (neighborhood * states + this._getCell(source, x + radius)) % tableSize;
+
+      // Use lookup table for fast rule application (the cell's zone table on hybrid rules)
+      target[x] = ruleMap ? this.zoneLookups[ruleMap[x]][neighborhood] : this.ruleLookup[neighborhood];
+    }
+  }
+
+  /**
+   * Apply the rule to every cell of a row with the configured noise
+   * Per cell: the probabilistic table (if set) or rule A / rule B picks the
+   * next state, which is then flipped with the flip probability.
+   *
+   * @param {Uint8Array} source - Current row
+   * @param {Uint8Array} target - Row to write the next states into
+   * @private
+   */
+  _applyRuleStochastic(source, target) {
+    const radius = this.radius;
+    const states = this.states;
+    const tableSize = this.ruleLookup.length;
+    const { flipProbability, ruleBProbability } = this.noise;
+    const ruleBLookup = this.ruleBLookup;
+    const probabilityTable = this.probabilityTable;
+
+    let neighborhood = 0;
+    for (let dx = -radius; dx < radius; dx++) {
+      neighborhood = neighborhood * states + this._getCell(source, dx);
+    }
+
+    for (let x = 0; x < this.width; x++) {
+      neighborhood = (neighborhood * states + this._getCell(source, x + radius)) % tableSize;
+
+      let cell;
+      if (probabilityTable) {
+        cell = this._random() < probabilityTable[neighborhood] ? 1 : 0;
+      } else if (ruleBLookup && this._random() < ruleBProbability) {
+        cell = ruleBLookup[neighborhood];
+      } else {
+        cell = (this.ruleMap ? this.zoneLookups[this.ruleMap[x]] : this.ruleLookup)[neighborhood];
+      }
+
+      // Flip to a different state (uniformly among the other k-1)
+      if (flipProbability > 0 && this._random() < flipProbability) {
+        cell = (cell + 1 + Math.floor(this._random() * (states - 1))) % states;
+      }
+
+      target[x] = cell;
+    }
+  }
+
+  /**
+   * Apply the rule to a row under the selected non-synchronous update scheme
+   * The deterministic rule is used; noise settings only affect synchronous updates.
+   *
+   * @param {Uint8Array} source - Current row (effective states under memory)
+   * @param {Uint8Array} target - Row to write the next states into
+   * @param {Uint8Array} [current=source] - Actual current states, kept by cells that do not fire
+   * @private
+   */
+  _applyRuleAsync(source, target, current = source) {
+    const width = this.width;
+
+    if (this.updateScheme === 'alpha') {
+      // Synchronous update, then cells that did not fire keep their state
+      this._applyRule(source, target);
+      for (let x = 0; x < width; x++) {
+        if (this._random() >= this.updateAlpha) {
+          target[x] = current[x];
+        }
+      }
+      return;
+    }
+
+    // Sequential schemes update the target row in place
+    target.set(source);
+
+    if (this.updateScheme === 'sweep') {
+      for (let x = 0; x < width; x++) {
+        target[x] = this._updateCell(target, x);
+      }
+
+    } else if (this.updateScheme === 'random-sequential') {
+      // Fisher-Yates shuffle: every cell updates exactly once per generation
+      const order = this.updateOrder;
+      for (let i = 0; i < width; i++) {
+        order[i] = i;
+      }
+      for (let i = width - 1; i > 0; i--) {
+        const j = Math.floor(this._random() * (i + 1));
+        const tmp = order[i];
+        order[i] = order[j];
+        order[j] = tmp;
+      }
+      for (let i = 0; i < width; i++) {
+        target[order[i]] = this._updateCell(target, order[i]);
+      }
+
+    } else if (this.updateScheme === 'block') {
+      const blockSize = this.updateBlockSize;
+      const block = new Uint8Array(blockSize);
+      for (let start = 0; start < width; start += blockSize) {
+        const end = Math.min(width, start + blockSize);
+        for (let x = start; x < end; x++) {
+          block[x - start] = this._updateCell(target, x);
+        }
+        target.set(block.subarray(0, end - start), start);
+      }
+    }
+  }
+
+  /**
+   * Effective state of every cell: the weighted vote over its last memory
+   * depth states in the circular buffer (fewer just after the seed)
+   *
+   * @param {Uint8Array} target - Row to write the effective states into
+   * @private
+   */
+  _applyMemory(target) {
+    const width = this.width;
+    const states = this.states;
+    const weights = this.memoryWeights;
+    const decay = this.memory.type === 'alpha' ? this.memory.alpha : 1;
+    const depth = Math.min(this.memory.depth, this.currentGeneration + 1, this.height);
+    const currentOffset = (this.currentGeneration % this.height) * width;
+
+    weights.fill(0, 0, width * states);
+    let weight = 1;
+    for (let age = 0; age < depth; age++) {
+      const offset = ((this.currentGeneration - age) % this.height) * width;
+      for (let x = 0; x < width; x++) {
+        weights[x * states + this.state[offset + x]] += weight;
+      }
+      weight *= decay;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const votes = x * states;
+      let best = this.state[currentOffset + x];
+      for (let s = 0; s < states; s++) {
+        if (weights[votes + s] > weights[votes + best]) {
+          best = s;
+        }
+      }
+      target[x] = best;
+    }
+  }
+
+  /**
+   * New state of one cell from its neighborhood in a row
+   *
+   * @param {Uint8Array} row - Row to read neighbors from
+   * @param {number} x - Cell position
+   * @returns {number} Next cell state
+   * @private
+   */
+  _updateCell(row, x) {
+    const radius = this.radius;
+    const states = this.states;
+    let neighborhood = 0;
+    for (let dx = -radius; dx <= radius; dx++) {
+      neighborhood = neighborhood * states + this._getCell(row, x + dx);
+    }
+    return (this.ruleMap ? this.zoneLookups[this.ruleMap[x]] : this.ruleLookup)[neighborhood];
+  }
+
+  /**
+   * Next number in [0, 1) from the seeded PRNG (mulberry32)
+   *
+   * @returns {number} Uniform random number
+   * @private
+   */
+  _random() {
+    let t = (this.randomState = (this.randomState + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Subtract a state buffer row from a row, cell by cell (mod k)
+   *
+   * @param {Uint8Array} row - Row to update in place
+   * @param {number} offset - State buffer offset of the row to subtract
+   * @private
+   */
+  _subtractRow(row, offset) {
+    const states = this.states;
+    for (let x = 0; x < this.width; x++) {
+      row[x] = (row[x] - this.state[offset + x] + states) % states;
+    }
+  }
+
+  /**
+   * Compute next generation 32 cells at a time
+   * Each word of left/center/right neighbors is combined with the rule's
+   * minterms, so a whole word is updated with a handful of bitwise ops.
+   * @private
+   */
+  _stepBitPacked() {
+    const width = this.width;
+    const wordCount = this.wordCount;
+    const tailBits = width % 32;
+    const tailMask = tailBits === 0 ? 0xffffffff : (1 << tailBits) - 1;
+
+    const currentRowIndex = this.currentGeneration % this.height;
+    const nextRowIndex = (this.currentGeneration + 1) % this.height;
+    const previousRowIndex = (this.currentGeneration + this.height - 1) % this.height;
+    const words = this.packedHistory.subarray(currentRowIndex * wordCount, (currentRowIndex + 1) * wordCount);
+    const next = this.packedHistory.subarray(nextRowIndex * wordCount, (nextRowIndex + 1) * wordCount);
+    const previous = this.packedHistory.subarray(previousRowIndex * wordCount, (previousRowIndex + 1) * wordCount);
+
+    if (this.packedDirty) {
+      this._syncState();
+      this._packRow(this.state.subarray(currentRowIndex * width, (currentRowIndex + 1) * width), words);
+      this._packRow(this.state.subarray(previousRowIndex * width, (previousRowIndex + 1) * width), previous);
+      this.packedDirty = false;
+    }
+
+    // Second-order rules XOR in the previous generation
+    const reversible = this.reversible;
+
+    // Boundary cells just outside each edge
+    const ghostLeft = this._getPackedCell(words, -1);
+    const ghostRight = this._getPackedCell(words, width);
+
+    const minterms = this.ruleMinterms;
+    const termCount = minterms.length;
+
+    for (let w = 0; w < wordCount; w++) {
+      let center = words[w];
+      const isLast = w === wordCount - 1;
+
+      // Place the right ghost cell just past the last valid bit
+      if (isLast && tailBits !== 0) {
+        center = (center & tailMask) | (ghostRight << tailBits);
+      }
+
+      const prev = w === 0 ? ghostLeft << 31 : words[w - 1];
+      const following = isLast ? (tailBits === 0 ? ghostRight : 0) : words[w + 1];
+
+      const left = (center << 1) | (prev >>> 31);
+      const right = (center >>> 1) | (following << 31);
+
+      let result = 0;
+      for (let t = 0; t < termCount; t++) {
+        const m = minterms[t];
+        result |= ((m & 4) ? left : ~left) & ((m & 2) ? center : ~center) & ((m & 1) ? right : ~right);
+      }
+
+      if (reversible) {
+        result ^= previous[w];
+      }
+
+      next[w] = isLast ? result & tailMask : result;
+    }
+
+    // Update circular buffer with new generation (unpacked lazily)
+    this.currentGeneration++;
+    this.unsyncedRows = Math.min(this.height, this.unsyncedRows + 1);
+  }
+
+  /**
+   * Read a cell from a packed row, applying the boundary condition
+   *
+   * @param {Uint32Array} words - Packed row
+   * @param {number} x - X coordinate
+   * @returns {number} Cell state (0 or 1)
+   * @private
+   */
+  _getPackedCell(words, x) {
+    const index = (x >= 0 && x < this.width) ? x : this._boundaryIndex(x);
+    return index >= 0 ? (words[index >>> 5] >>> (index & 31)) & 1 : ~index;
+  }
+
+  /**
+   * Pack a row of cells into 32-bit words
+   *
+   * @param {Uint8Array} row - Row of cells (0 or 1)
+   * @param {Uint32Array} words - Destination words
+   * @private
+   */
+  _packRow(row, words) {
+    words.fill(0);
+    for (let x = 0; x < row.length; x++) {
+      if (row[x]) {
+        words[x >>> 5] |= 1 << (x & 31);
+      }
+    }
+  }
+
+  /**
+   * Unpack rows computed by the bit-packed backend into the state buffer
+   * @private
+   */
+  _syncState() {
+    const width = this.width;
+    const wordCount = this.wordCount;
+    const state = this.state;
+    const state32 = this.state32;
+
+    for (let n = this.unsyncedRows - 1; n >= 0; n--) {
+      const rowIndex = (this.currentGeneration - n) % this.height;
+      const words = this.packedHistory.subarray(rowIndex * wordCount, (rowIndex + 1) * wordCount);
+      const offset = rowIndex * width;
+      let x = 0;
+
+      // Single cells up to the first 4-byte aligned position
+      for (; x < width && ((offset + x) & 3) !== 0; x++) {
+        state[offset + x] = (words[x >>> 5] >>> (x & 31)) & 1;
+      }
+
+      // Four cells per aligned Uint32 store
+      for (; x + 4 <= width; x += 4) {
+        const shift = x & 31;
+        let nibble = words[x >>> 5] >>> shift;
+        if (shift > 28) {
+          nibble |= words[(x >>> 5) + 1] << (32 - shift);
+        }
+        state32[(offset + x) >>> 2] = NIBBLE_TO_CELLS[nibble & 15];
+      }
+
+      // Remaining tail cells
+      for (; x < width; x++) {
+        state[offset + x] = (words[x >>> 5] >>> (x & 31)) & 1;
+      }
+    }
+
+    this.unsyncedRows = 0;
+  }
+
+  /**
+   * Compute next generation on the growing lattice
+   * @private
+   */
+  _stepGrowing() {
+    const current = {
+      cells: this.activeCells,
+      origin: this.activeOrigin,
+      background: this.background
+    };
+    const previous = this.reversible ? this._getGrowingEntry(this.currentGeneration - 1) : null;
+    const next = this._evolveGrowingRow(current, previous);
+
+    this.activeCells = next.cells;
+    this.activeOrigin = next.origin;
+    this.background = next.background;
+
+    this.currentGeneration++;
+    this._storeGrowingRow(this.currentGeneration % this.height);
+  }
+
+  /**
+   * Apply the rule to a growing-lattice row
+   * The row widens by r cells per side (and to cover the subtracted row, if
+   * any), then is trimmed back to the cells that differ from the (possibly
+   * alternating) background
+   *
+   * @param {Object} row - { cells, origin, background } active region to evolve
+   * @param {Object|null} subtract - Row subtracted afterwards (mod k) for second-order rules
+   * @returns {Object} Next row as { cells, origin, background }
+   * @private
+   */
+  _evolveGrowingRow(row, subtract) {
+    const { cells, origin, background: bg } = row;
+    const length = cells.length;
+    const radius = this.radius;
+    const states = this.states;
+    const tableSize = this.ruleLookup.length;
+
+    let start = origin - radius;
+    let end = origin + length + radius;
+    if (subtract && subtract.cells.length > 0) {
+      start = Math.min(start, subtract.origin);
+      end = Math.max(end, subtract.origin + subtract.cells.length);
+    }
+
+    const next = new Uint8Array(end - start);
+
+    // Preload the window left of the first output cell
+    let neighborhood = 0;
+    for (let x = start - radius; x < start + radius; x++) {
+      const i = x - origin;
+      neighborhood = neighborhood * states + ((i >= 0 && i < length) ? cells[i] : bg);
+    }
+
+    // Sliding (2r+1)-cell window over [start, end)
+    for (let n = 0; n < next.length; n++) {
+      const i = start + n + radius - origin;
+      neighborhood = (neighborhood * states + ((i >= 0 && i < length) ? cells[i] : bg)) % tableSize;
+      next[n] = this.ruleLookup[neighborhood];
+    }
+
+    // A uniform background evolves as a uniform neighborhood
+    let uniformIndex = 0;
+    for (let i = 0; i <= 2 * radius; i++) {
+      uniformIndex = uniformIndex * states + bg;
+    }
+    let nextBackground = this.ruleLookup[uniformIndex];
+
+    if (subtract) {
+      const subCells = subtract.cells;
+      for (let n = 0; n < next.length; n++) {
+        const i = start + n - subtract.origin;
+        const sub = (i >= 0 && i < subCells.length) ? subCells[i] : subtract.background;
+        next[n] = (next[n] - sub + states) % states;
+      }
+      nextBackground = (nextBackground - subtract.background + states) % states;
+    }
+
+    return this._trimRow(next, start, nextBackground);
+  }
+
+  /**
+   * Trim background cells from both ends of a row
+   *
+   * @param {Uint8Array} cells - Row cells
+   * @param {number} origin - Absolute x coordinate of cells[0]
+   * @param {number} background - Background state to trim
+   * @returns {Object} Trimmed row as { cells, origin, background }
+   * @private
+   */
+  _trimRow(cells, origin, background) {
+    let start = 0;
+    let end = cells.length;
+
+    while (start < end && cells[start] === background) start++;
+    while (end > start && cells[end - 1] === background) end--;
+
+    return {
+      cells: cells.slice(start, end),
+      origin: origin + start,
+      background
+    };
+  }
+
+  /**
+   * Make a row the growing lattice's active region, trimmed against the current background
+   *
+   * @param {Uint8Array} cells - Row cells
+   * @param {number} origin - Absolute x coordinate of cells[0]
+   * @private
+   */
+  _setActiveRegion(cells, origin) {
+    const trimmed = this._trimRow(cells, origin, this.background);
+    this.activeCells = trimmed.cells;
+    this.activeOrigin = trimmed.origin;
+  }
+
+  /**
+   * Get a recorded growing-lattice row; generations before the seed (or
+   * never recorded) read as an empty zero background
+   *
+   * @param {number} generation - Generation number
+   * @returns {Object} Row as { cells, origin, background }
+   * @private
+   */
+  _getGrowingEntry(generation) {
+    const entry = generation >= 0 ? this.growthHistory[generation % this.height] : null;
+    return entry || { cells: new Uint8Array(0), origin: 0, background: 0 };
+  }
+
+  /**
+   * Record the active region in the growth history and draw the visible
+   * window of it into the state buffer
+   *
+   * @param {number} rowIndex - Circular buffer row index
+   * @private
+   */
+  _storeGrowingRow(rowIndex) {
+    this.growthHistory[rowIndex] = {
+      cells: this.activeCells,
+      origin: this.activeOrigin,
+      background: this.background
+    };
+
+    this._drawGrowingRow(rowIndex);
+  }
+
+  /**
+   * Draw the visible window of a recorded growing-lattice row into the state buffer
+   *
+   * @param {number} rowIndex - Circular buffer row index
+   * @private
+   */
+  _drawGrowingRow(rowIndex) {
+    const offset = rowIndex * this.width;
+    const entry = this.growthHistory[rowIndex];
+
+    if (!entry) {
+      this.state.fill(0, offset, offset + this.width);
+      return;
+    }
+
+    const { cells, origin, background } = entry;
+    for (let x = 0; x < this.width; x++) {
+      const i = this.viewOffset + x - origin;
+      this.state[offset + x] = (i >= 0 && i < cells.length) ? cells[i] : background;
+    }
+  }
+
+  /**
+   * Step one generation backwards (second-order rules only)
+   * The newest row is replaced by the row that scrolled out of the circular
+   * buffer, rebuilt as row[t-1] = rule(row[t]) - row[t+1] (mod k), so the
+   * buffer keeps showing a consistent window ending at the current generation.
+   *
+   * @returns {boolean} True if a step was taken; false at generation 0 or for first-order rules
+   */
+  stepBack() {
+    if (!this.reversible) {
+      console.warn('stepBack() requires a second-order (reversible) rule, e.g. "30R".');
+      return false;
+    }
+
+    if (this.hasMemory()) {
+      console.warn('stepBack() does not support memory.');
+      return false;
+    }
+
+    if (this.updateScheme !== 'synchronous') {
+      console.warn('stepBack() requires the synchronous update scheme.');
+      return false;
+    }
+
+    if (this.currentGeneration === 0) {
+      return false;
+    }
+
+    const height = this.height;
+    const slot = this.currentGeneration % height;
+    const oldest = this.currentGeneration - height;
+    const canRebuild = oldest >= 0 && height >= 3;
+
+    if (this.latticeMode === 'growing') {
+      // Rebuild with the rule that stepped from generation oldest + 1
+      const generation = this.currentGeneration;
+      this.currentGeneration = oldest + 1;
+      this._syncScheduledRule();
+      this.growthHistory[slot] = canRebuild
+        ? this._evolveGrowingRow(this._getGrowingEntry(oldest + 1), this._getGrowingEntry(oldest + 2))
+        : null;
+      this.currentGeneration = generation;
+      this._drawGrowingRow(slot);
+
+      this.currentGeneration--;
+      const current = this._getGrowingEntry(this.currentGeneration);
+      this.activeCells = current.cells;
+      this.activeOrigin = current.origin;
+      this.background = current.background;
+      this._resetCycleTracking();
+      return true;
+    }
+
+    this._syncState();
+    const offset = slot * this.width;
+
+    if (canRebuild) {
+      const sourceOffset = ((oldest + 1) % height) * this.width;
+      this.currentRow.set(this.state.subarray(sourceOffset, sourceOffset + this.width));
+
+      // Driven boundaries and schedules must see the generation the row was stepped from
+      const generation = this.currentGeneration;
+      this.currentGeneration = oldest + 1;
+      this._syncScheduledRule();
+      this._applyRule(this.currentRow, this.nextRow);
+      this.currentGeneration = generation;
+
+      this._subtractRow(this.nextRow, ((oldest + 2) % height) * this.width);
+      this.state.set(this.nextRow, offset);
+      this.rowRuleMaps[slot] = this._getRuleMapSnapshot();
+    } else {
+      // Before the seed: blank, like an unfilled buffer
+      this.state.fill(0, offset, offset + this.width);
+      this.rowRuleMaps[slot] = null;
+    }
+
+    this.currentGeneration--;
+    this.packedDirty = true;
+    this._resetCycleTracking();
+    return true;
+  }
+
+  /**
+   * Whether jumpTo computes rows directly instead of stepping: additive rules
+   * on a periodic ring, updated synchronously without noise, zones, schedules
+   * or memory
+   *
+   * @returns {boolean} True if jumps take O(log n) convolutions
+   */
+  canJumpDirectly() {
+    return this.latticeMode === 'ring' && this.boundary === 'periodic' && !this.reversible &&
+      this.updateScheme === 'synchronous' && !this.isStochastic() && !this.ruleMap && !this.schedule &&
+      !this.hasMemory() &&
+      additiveRuleForm(this.ruleLookup, this.radius, this.states) !== null;
+  }
+
+  /**
+   * Attach a memoized fast-forward cache (see HashLife) for jumpTo
+   *
+   * @param {HashLife|null} fastForward - Cache with advance(row, steps, table, states), or null to step
+   */
+  setFastForward(fastForward) {
+    this.fastForward = fastForward;
+  }
+
+  /**
+   * Get the attached fast-forward cache
+   *
+   * @returns {HashLife|null} Cache, or null if jumps step
+   */
+  getFastForward() {
+    return this.fastForward;
+  }
+
+  /**
+   * Whether jumpTo can use the fast-forward cache: radius-1 rules on a
+   * periodic ring, updated synchronously without noise, zones, schedules or memory
+   *
+   * @returns {boolean} True if a fast-forward cache is attached and applies
+   */
+  canFastForward() {
+    return this.fastForward !== null && this.radius === 1 &&
+      this.latticeMode === 'ring' && this.boundary === 'periodic' && !this.reversible &&
+      this.updateScheme === 'synchronous' && !this.isStochastic() && !this.ruleMap && !this.schedule &&
+      !this.hasMemory();
+  }
+
+  /**
+   * Advance to a later generation
+   * Additive rules (60, 90, 102, 150, their complements, ...) compute the
+   * oldest visible row directly (see jumpAdditiveRow) and step only through the
+   * visible window, so generation 10^12 is instant. Other rules use the
+   * fast-forward cache if attached (fast on regular evolutions such as rule 184
+   * or rule 110's ether) and otherwise step all the way.
+   *
+   * @param {number} generation - Target generation (a safe integer, not before the current one)
+   * @returns {boolean} False if the target is invalid or in the past, or the evolution is
+   *   too irregular for the fast-forward cache (the run is then left unchanged)
+   */
+  jumpTo(generation) {
+    if (!Number.isSafeInteger(generation) || generation < this.currentGeneration) {
+      console.warn(`Cannot jump to generation ${generation} from ${this.currentGeneration}.`);
+      return false;
+    }
+
+    // Every row of the circular buffer gets overwritten, so only the first needs the jump
+    const first = generation - this.height + 1;
+    const direct = this.canJumpDirectly();
+    if (first > this.currentGeneration && (direct || this.canFastForward())) {
+      this._syncState();
+      const offset = (this.currentGeneration % this.height) * this.width;
+      const current = this.state.subarray(offset, offset + this.width);
+      const steps = first - this.currentGeneration;
+      const row = direct
+        ? jumpAdditiveRow(current, additiveRuleForm(this.ruleLookup, this.radius, this.states),
+          this.radius, this.states, steps)
+        : this.fastForward.advance(current, steps, this.ruleLookup, this.states);
+
+      if (!row) {
+        console.warn(`Rule ${this.rule} is too irregular to fast-forward ${steps} generations.`);
+        return false;
+      }
+
+      this.currentGeneration = first;
+      this.state.set(row, (first % this.height) * this.width);
+      this.rowRuleMaps[first % this.height] = null;
+      this.currentRow.set(row);
+      this.packedDirty = true;
+      this._resetCycleTracking();
+    }
+
+    while (this.currentGeneration < generation) {
+      this.step();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get current state buffer
+   *
+   * @returns {Uint8Array} Current state buffer (read-only reference)
+   */
+  getState() {
+    this._syncState();
+    return this.state;
+  }
+
+  /**
+   * Get current generation number
+   *
+   * @returns {number} Current generation count
+   */
+  getGeneration() {
+    return this.currentGeneration;
+  }
+
+  /**
+   * Get a specific row from the state buffer
+   *
+   * @param {number} rowIndex - Row index (0 to height-1)
+   * @returns {Uint8Array} Row data (new array, not a reference)
+   */
+  getRow(rowIndex) {
+    this._syncState();
+    const offset = rowIndex * this.width;
+    const row = new Uint8Array(this.width);
+
+    for (let i = 0; i < this.width; i++) {
+      row[i] = this.state[offset + i];
+    }
+
+    return row;
+  }
+
+  /**
+   * Build the first row for an initial-condition pattern
+   *
+   * @param {string|Uint8Array} pattern - Pattern name or custom row (see setInitialCondition)
+   * @param {Object} options - Pattern parameters (see setInitialCondition)
+   * @returns {Uint8Array} Initial row, width cells long
+   * @private
+   */
+  _buildInitialRow(pattern, options) {
+    const width = this.width;
+    const row = new Uint8Array(width);
+    const centerX = Math.floor(width / 2);
+
+    // Live cells of random patterns take a random non-zero state
+    const randomCell = (density) =>
+      this._random() < density ? 1 + Math.floor(this._random() * (this.states - 1)) : 0;
+
+    if (pattern === 'single') {
+      // Single alive cell in the center
+      row[centerX] = 1;
+
+    } else if (pattern === 'random') {
+      // Random noise with specified density
+      const { density = 0.5 } = options;
+      for (let x = 0; x < width; x++) {
+        row[x] = randomCell(density);
+      }
+
+    } else if (pattern === 'points') {
+      // Evenly spaced points, each centered in its share of the row
+      const count = Math.max(1, Math.min(width, Math.floor(options.count || 2)));
+      for (let i = 0; i < count; i++) {
+        row[Math.floor((i + 0.5) * width / count)] = 1;
+      }
+
+    } else if (pattern === 'block') {
+      // Centered block of live cells
+      const blockWidth = Math.max(1, Math.min(width, Math.floor(options.blockWidth || 10)));
+      const start = centerX - Math.floor(blockWidth / 2);
+      row.fill(1, start, start + blockWidth);
+
+    } else if (pattern === 'tile') {
+      // Periodic tile, anchored at the left edge
+      const digits = String(options.tile || '110').replace(/[^0-9]/g, '');
+      const tile = (digits || '1').split('').map((d) => Math.min(this.states - 1, Number(d)));
+      for (let x = 0; x < width; x++) {
+        row[x] = tile[x % tile.length];
+      }
+
+    } else if (pattern === 'gradient') {
+      // Density ramps linearly from left edge to right edge
+      const { densityStart = 0, densityEnd = 1 } = options;
+      for (let x = 0; x < width; x++) {
+        const t = width > 1 ? x / (width - 1) : 0;
+        row[x] = randomCell(densityStart + (densityEnd - densityStart) * t);
+      }
+
+    } else if (pattern === 'window') {
+      // Random noise in a central window, quiescent elsewhere
+      const { density = 0.5 } = options;
+      const windowWidth = Math.max(1, Math.min(width, Math.floor(options.windowWidth || width / 4)));
+      const start = centerX - Math.floor(windowWidth / 2);
+      for (let x = start; x < start + windowWidth; x++) {
+        row[x] = randomCell(density);
+      }
+
+    } else if (pattern === 'text') {
+      // ASCII bits, 8 per character (most significant first), centered and clipped to the row
+      const text = options.text === undefined ? 'CA' : String(options.text);
+      const bits = [];
+      for (const char of text) {
+        const code = char.charCodeAt(0) & 0xFF;
+        for (let b = 7; b >= 0; b--) {
+          bits.push((code >> b) & 1);
+        }
+      }
+      const start = centerX - Math.floor(bits.length / 2);
+      for (let i = 0; i < bits.length; i++) {
+        if (start + i >= 0 && start + i < width) {
+          row[start + i] = bits[i];
+        }
+      }
+
+    } else if (pattern instanceof Uint8Array) {
+      // Custom pattern
+      if (pattern.length !== width) {
+        console.warn(`Custom pattern length (${pattern.length}) does not match width (${width}). Truncating or padding.`);
+      }
+
+      row.set(pattern.subarray(0, Math.min(pattern.length, width)));
+
+    } else {
+      console.warn(`Unknown pattern type: ${pattern}. Using single cell.`);
+      row[centerX] = 1;
+    }
+
+    return row;
+  }
+
+  /**
+   * Set initial condition for the CA
+   *
+   * @param {string|Uint8Array} pattern - One of INITIAL_PATTERNS or a custom initial state
+   *   - "single": Single alive cell in center
+   *   - "random": Random noise
+   *   - "points": N evenly spaced live cells
+   *   - "block": Centered block of live cells
+   *   - "tile": Bitstring (e.g. "110") repeated across the row
+   *   - "gradient": Random noise whose density ramps across the row
+   *   - "window": Random noise confined to a central window
+   *   - "text": ASCII text as bits (8 per character, most significant first), centered
+   *   - Uint8Array: Custom pattern (must be width long)
+   * @param {Object} options - Additional options
+   * @param {number} options.density - Density for random / window patterns (0.0-1.0, default 0.5)
+   * @param {number} options.count - Number of points (default 2)
+   * @param {number} options.blockWidth - Block width in cells (default 10)
+   * @param {string} options.tile - Tile digits for "tile" (default "110"); digits above k-1 are clamped
+   * @param {number} options.densityStart - Gradient density at the left edge (default 0)
+   * @param {number} options.densityEnd - Gradient density at the right edge (default 1)
+   * @param {number} options.windowWidth - Noise window width in cells (default a quarter of the row)
+   * @param {string} options.text - Text for "text" (default "CA")
+   * @param {number|string} options.seed - PRNG seed for the run. A random pattern (random,
+   *   gradient, window) without a seed draws a fresh one; read it back with getSeed() to
+   *   recreate the run.
+   */
+  setInitialCondition(pattern, options = {}) {
+    const { seed } = options;
+
+    if (seed !== undefined) {
+      this.seed = normalizeSeed(seed);
+    } else if (RANDOM_PATTERNS.includes(pattern)) {
+      this.seed = normalizeSeed(Math.random() * 0x100000000);
+    }
+
+    // Clear entire state buffer
+    this.state.fill(0);
+    this.rowRuleMaps.fill(null);
+
+    // Reset generation counter
+    this.currentGeneration = 0;
+
+    // Every run replays the same pattern and noise for the same seed
+    this.randomState = this.seed;
+
+    // Set initial row (row 0)
+    const initialRow = this._buildInitialRow(pattern, options);
+
+    // Copy initial row to state buffer (row 0)
+    for (let i = 0; i < this.width; i++) {
+      this.state[i] = initialRow[i];
+    }
+
+    // Copy to current row buffer for next step
+    for (let i = 0; i < this.width; i++) {
+      this.currentRow[i] = initialRow[i];
+    }
+
+    // Bit-packed backend must repack from the new row
+    this.packedDirty = true;
+    this.unsyncedRows = 0;
+
+    // Growing lattice starts from the initial row on a zero background
+    if (this.latticeMode === 'growing') {
+      this.background = 0;
+      this.viewOffset = 0;
+      this.growthHistory.fill(null);
+      this._setActiveRegion(initialRow, 0);
+      this._storeGrowingRow(0);
+    }
+
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Reset the CA with optional new rule
+   *
+   * @param {number|bigint|string} [newRule] - New rule code, or keep current rule if undefined
+   * @param {Object} [ruleOptions] - Radius, encoding and states for the new rule (see setRule)
+   */
+  reset(newRule, ruleOptions = {}) {
+    if (newRule !== undefined) {
+      this.setRule(newRule, ruleOptions);
+    }
+
+    // Reset to initial condition (single cell by default)
+    this.setInitialCondition('single');
+  }
+
+  /**
+   * Perturb the current row: each listed cell moves to the next state (a bit
+   * flip for binary rules). Used to fork a damage-spreading copy of a run.
+   *
+   * @param {number[]} positions - Cell indices in the current row
+   * @returns {boolean} False on a growing lattice, where cells are not fixed columns
+   */
+  perturb(positions) {
+    return this._editCurrentRow(positions, (state) => (state + 1) % this.states);
+  }
+
+  /**
+   * Overwrite cells of the current row (e.g. drawing a row by hand)
+   *
+   * @param {number[]} positions - Cell indices in the current row
+   * @param {number} value - New cell state (0 to k-1)
+   * @returns {boolean} False on a growing lattice, where cells are not fixed columns
+   */
+  setCells(positions, value) {
+    return this._editCurrentRow(positions, () => value % this.states);
+  }
+
+  /**
+   * Change cells of the current row in place
+   *
+   * @param {number[]} positions - Cell indices (wrapped onto the row)
+   * @param {Function} edit - Maps a cell's state to its new state
+   * @returns {boolean} False on a growing lattice
+   * @private
+   */
+  _editCurrentRow(positions, edit) {
+    if (this.latticeMode !== 'ring') {
+      return false;
+    }
+
+    // The bit-packed backend leaves currentRow stale, so work from the state buffer
+    this._syncState();
+    const offset = (this.currentGeneration % this.height) * this.width;
+    const row = this.state.subarray(offset, offset + this.width);
+
+    for (const position of positions) {
+      const x = ((position % this.width) + this.width) % this.width;
+      row[x] = edit(row[x]);
+    }
+    this.currentRow.set(row);
+
+    this.packedDirty = true;
+    this._resetCycleTracking();
+    return true;
+  }
+
+  /**
+   * Change the active rule
+   * With no options this is an elementary rule (radius 1, Wolfram code 0-255).
+   *
+   * @param {number|bigint|string} rule - Rule code; large codes as BigInt or hex string ("0x...").
+   *   A trailing "R" (e.g. "30R") selects the second-order reversible version.
+   * @param {Object} options - Rule options
+   * @param {number} options.radius - Neighborhood radius (1-3, default 1)
+   * @param {string} options.encoding - One of RULE_ENCODINGS (default 'wolfram')
+   * @param {number} options.states - Number of cell states k (2-5, default 2)
+   * @param {boolean} options.reversible - Second-order rule: next = rule(current) - previous (mod k)
+   */
+  setRule(rule, options = {}) {
+    let { radius = 1, encoding = 'wolfram', states = 2, reversible = false } = options;
+
+    // "30R" shorthand for the second-order version of rule 30
+    if (typeof rule === 'string' && /r$/i.test(rule.trim())) {
+      rule = rule.trim().slice(0, -1);
+      reversible = true;
+    }
+
+    if (!Number.isInteger(radius) || radius < 1 || radius > MAX_RULE_RADIUS) {
+      console.warn(`Invalid rule radius: ${radius}. Must be 1-${MAX_RULE_RADIUS}. Using 1.`);
+      radius = 1;
+    }
+
+    if (!RULE_ENCODINGS.includes(encoding)) {
+      console.warn(`Unknown rule encoding: ${encoding}. Using wolfram.`);
+      encoding = 'wolfram';
+    }
+
+    if (!Number.isInteger(states) || states < 2 || states > MAX_CELL_STATES) {
+      console.warn(`Invalid state count: ${states}. Must be 2-${MAX_CELL_STATES}. Using 2.`);
+      states = 2;
+    }
+
+    let code = parseRuleCode(rule);
+    const maxCode = ruleCodeCount(radius, encoding, states) - 1n;
+
+    if (code === null) {
+      console.warn(`Invalid rule code: ${rule}. Using 0.`);
+      code = 0n;
+    } else if (code < 0n || code > maxCode) {
+      console.warn(`Invalid rule number: ${rule}. Must be 0-${maxCode}. Clamping.`);
+      code = code < 0n ? 0n : maxCode;
+    }
+
+    this.radius = radius;
+    this.ruleEncoding = encoding;
+    this.states = states;
+    this.reversible = Boolean(reversible);
+    this.ruleCode = code;
+    this.rule = code <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(code) : code;
+    this._buildRuleLookup();
+    this._buildZoneLookups();
+    this._buildNoiseTables();
+    this._buildScheduleTables();
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Configure stochastic rule application
+   * Noise applies to the ring lattice; the growing lattice and stepBack()
+   * always use the deterministic rule. Omitted options keep their values.
+   *
+   * @param {Object} options - Noise parameters
+   * @param {number} options.flipProbability - Chance (0-1) each new cell state is flipped
+   * @param {number|bigint|string|null} options.ruleB - Alternate rule code in the current
+   *   rule space, or null for none
+   * @param {number} options.ruleBProbability - Chance (0-1) a cell is updated with rule B
+   * @param {number[]|null} options.neighborhoodProbabilities - Probabilistic CA table:
+   *   P(next = 1) for each neighborhood index (8 entries for elementary rules; binary
+   *   rules only), or null for none. Replaces rules A and B when set.
+   */
+  setNoise(options = {}) {
+    const clampProbability = (p) => Math.min(1, Math.max(0, Number(p) || 0));
+    const noise = { ...this.noise };
+
+    if (options.flipProbability !== undefined) {
+      noise.flipProbability = clampProbability(options.flipProbability);
+    }
+    if (options.ruleBProbability !== undefined) {
+      noise.ruleBProbability = clampProbability(options.ruleBProbability);
+    }
+    if (options.ruleB !== undefined) {
+      noise.ruleB = options.ruleB === null ? null : parseRuleCode(options.ruleB);
+      if (options.ruleB !== null && noise.ruleB === null) {
+        console.warn(`Invalid rule B: ${options.ruleB}. Ignoring.`);
+      }
+    }
+    if (options.neighborhoodProbabilities !== undefined) {
+      noise.neighborhoodProbabilities = options.neighborhoodProbabilities === null
+        ? null
+        : Array.from(options.neighborhoodProbabilities, clampProbability);
+    }
+
+    this.noise = noise;
+    this._buildNoiseTables();
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Get the stochastic rule parameters
+   *
+   * @returns {{flipProbability: number, ruleB: bigint|null, ruleBProbability: number,
+   *   neighborhoodProbabilities: number[]|null}} Current noise parameters
+   */
+  getNoise() {
+    return {
+      ...this.noise,
+      neighborhoodProbabilities: this.noise.neighborhoodProbabilities
+        ? this.noise.neighborhoodProbabilities.slice()
+        : null
+    };
+  }
+
+  /**
+   * Whether any noise parameter is active
+   *
+   * @returns {boolean} True if stepping is stochastic
+   */
+  isStochastic() {
+    return this.noise.flipProbability > 0 ||
+      (this.ruleBLookup !== null && this.noise.ruleBProbability > 0) ||
+      this.probabilityTable !== null;
+  }
+
+  /**
+   * Set a per-cell rule map (hybrid CA)
+   * Cell x is updated by zone map[x]: zone 0 is the main rule (see setRule),
+   * zone i >= 1 is rules[i - 1]. Zone rules share the main rule's radius,
+   * encoding and state count. Applies to the ring lattice; the growing
+   * lattice always uses the main rule.
+   *
+   * @param {Uint8Array|number[]|null} map - Zone index per cell (width long), or null to clear
+   * @param {Array<number|bigint|string>} rules - Rule codes for zones 1, 2, ... (up to 255)
+   */
+  setRuleMap(map, rules = []) {
+    if (map === null) {
+      this.clearRuleMap();
+      return;
+    }
+
+    if (map.length !== this.width) {
+      console.warn(`Rule map length (${map.length}) does not match width (${this.width}). Truncating or padding.`);
+    }
+
+    this.zoneRules = Array.from(rules).slice(0, 255).map((rule) => parseRuleCode(rule));
+    this.ruleMap = new Uint8Array(this.width);
+    for (let x = 0; x < Math.min(map.length, this.width); x++) {
+      // Unknown zones fall back to the main rule
+      this.ruleMap[x] = map[x] <= this.zoneRules.length ? map[x] : 0;
+    }
+
+    this.ruleMapSnapshot = null;
+    this._buildZoneLookups();
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Remove the rule map so every cell uses the main rule
+   */
+  clearRuleMap() {
+    this.ruleMap = null;
+    this.ruleMapSnapshot = null;
+    this.zoneRules = [];
+    this._buildZoneLookups();
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Build one lookup table per rule-map zone for the current rule space
+   * Zone rules that are invalid or out of range fall back to the main rule.
+   * @private
+   */
+  _buildZoneLookups() {
+    const count = ruleCodeCount(this.radius, this.ruleEncoding, this.states);
+
+    this.zoneLookups = [this.ruleLookup];
+    for (const code of this.zoneRules) {
+      if (code === null || code < 0n || code >= count) {
+        console.warn(`Zone rule ${code} is not valid for this rule space. Using the main rule.`);
+        this.zoneLookups.push(this.ruleLookup);
+      } else {
+        this.zoneLookups.push(buildRuleTable(code, this.radius, this.ruleEncoding, this.states));
+      }
+    }
+  }
+
+  /**
+   * Paint cells [start, end) with a rule, adding it as a zone if it is new
+   * Painting the main rule's code paints zone 0.
+   *
+   * @param {number} start - First cell (inclusive)
+   * @param {number} end - Last cell (exclusive)
+   * @param {number|bigint|string} rule - Rule code for the painted cells
+   * @returns {number} Zone index painted, or -1 if the rule is invalid or there are too many zones
+   */
+  paintRuleZone(start, end, rule) {
+    const code = parseRuleCode(rule);
+    if (code === null || code < 0n || code >= ruleCodeCount(this.radius, this.ruleEncoding, this.states)) {
+      console.warn(`Invalid zone rule: ${rule}.`);
+      return -1;
+    }
+
+    let zone = code === this.ruleCode ? 0 : this.zoneRules.indexOf(code) + 1;
+    if (zone === 0 && code !== this.ruleCode) {
+      if (this.zoneRules.length >= 255) {
+        console.warn('Rule map is limited to 255 zone rules.');
+        return -1;
+      }
+
+      this.zoneRules.push(code);
+      this._buildZoneLookups();
+      zone = this.zoneRules.length;
+    }
+
+    if (!this.ruleMap) {
+      this.ruleMap = new Uint8Array(this.width);
+    }
+
+    this.ruleMap.fill(zone, Math.max(0, start), Math.min(this.width, end));
+    this.ruleMapSnapshot = null;
+    this._resetCycleTracking();
+    return zone;
+  }
+
+  /**
+   * Copy of the rule map shared by the rows stepped since its last edit
+   *
+   * @returns {Uint8Array|null} Zone index per cell, or null without a rule map
+   * @private
+   */
+  _getRuleMapSnapshot() {
+    if (!this.ruleMap) {
+      return null;
+    }
+    if (!this.ruleMapSnapshot) {
+      this.ruleMapSnapshot = new Uint8Array(this.ruleMap);
+    }
+    return this.ruleMapSnapshot;
+  }
+
+  /**
+   * Rule map that produced each row of the state buffer
+   *
+   * @returns {Array<Uint8Array|null>} Zone index per cell for each grid row (null where every
+   *   cell used the main rule, and for the seed row); read-only references
+   */
+  getRowRuleMaps() {
+    return this.rowRuleMaps;
+  }
+
+  /**
+   * Get the rule map
+   *
+   * @returns {{map: Uint8Array, rules: Array<number|bigint>}|null} Zone index per cell and the
+   *   rule codes of zones 1, 2, ...; null when every cell uses the main rule
+   */
+  getRuleMap() {
+    if (!this.ruleMap) {
+      return null;
+    }
+
+    return {
+      map: new Uint8Array(this.ruleMap),
+      rules: this.zoneRules.map((code) =>
+        code !== null && code <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(code) : code)
+    };
+  }
+
+  /**
+   * Follow a rule schedule instead of a single fixed rule
+   * Scheduled rules share the main rule's radius, encoding, state count and
+   * second-order flag. Generation g is stepped with the entry covering g,
+   * counting from generation 0.
+   *
+   * @param {string|Object|null} schedule - Schedule text (see parseRuleSchedule), a parsed
+   *   schedule { entries: [{ rule, generations }], loop }, or null to go back to the main rule
+   * @returns {boolean} True if the schedule was applied
+   */
+  setRuleSchedule(schedule) {
+    if (schedule === null || schedule === '') {
+      this.clearRuleSchedule();
+      return true;
+    }
+
+    const parsed = typeof schedule === 'string' ? parseRuleSchedule(schedule) : schedule;
+    if (!parsed || !parsed.entries || parsed.entries.length === 0) {
+      console.warn(`Invalid rule schedule: ${schedule}. Keeping the current rule.`);
+      return false;
+    }
+
+    this.schedule = {
+      entries: parsed.entries.map(({ rule, generations }) => ({
+        rule: parseRuleCode(rule),
+        generations: generations === undefined ? Infinity : generations
+      })),
+      loop: parsed.loop !== false
+    };
+    this._buildScheduleTables();
+    this._resetCycleTracking();
+    return true;
+  }
+
+  /**
+   * Stop following the rule schedule; every generation uses the main rule again
+   */
+  clearRuleSchedule() {
+    this.schedule = null;
+    this._buildScheduleTables();
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Get the rule schedule
+   *
+   * @returns {{entries: Array<{rule: number|bigint, generations: number}>, loop: boolean}|null}
+   *   Active schedule, or null when the main rule is used every generation
+   */
+  getRuleSchedule() {
+    if (!this.schedule) {
+      return null;
+    }
+
+    return {
+      entries: this.schedule.entries.map(({ rule, generations }) => ({
+        rule: rule !== null && rule <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(rule) : rule,
+        generations
+      })),
+      loop: this.schedule.loop
+    };
+  }
+
+  /**
+   * Rule that steps a generation, following the schedule
+   *
+   * @param {number} [generation] - Generation number (default: current)
+   * @returns {number|bigint} Rule code
+   */
+  getRuleAt(generation = this.currentGeneration) {
+    if (!this.schedule) {
+      return this.rule;
+    }
+
+    const rule = this.schedule.entries[this._scheduleIndexAt(generation)].rule;
+    return rule !== null && rule <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(rule) : rule;
+  }
+
+  /**
+   * Generations in a range where the scheduled rule changes, i.e. where the
+   * rule stepping generation g differs from the one that stepped g - 1
+   *
+   * @param {number} from - First generation (inclusive)
+   * @param {number} to - Last generation (inclusive)
+   * @returns {number[]} Switch generations in ascending order
+   */
+  getRuleSwitches(from, to) {
+    const switches = [];
+    if (!this.schedule || this.schedule.entries.length < 2) {
+      return switches;
+    }
+
+    let previous = this._scheduleIndexAt(Math.max(0, from - 1));
+    for (let g = Math.max(1, from); g <= to; g++) {
+      const index = this._scheduleIndexAt(g);
+      if (index !== previous) {
+        switches.push(g);
+      }
+      previous = index;
+    }
+    return switches;
+  }
+
+  /**
+   * Schedule entry covering a generation
+   *
+   * @param {number} generation - Generation number
+   * @returns {number} Entry index
+   * @private
+   */
+  _scheduleIndexAt(generation) {
+    const { entries, loop } = this.schedule;
+
+    let g = generation;
+    if (loop) {
+      const period = entries.reduce((sum, entry) => sum + entry.generations, 0);
+      g %= period;
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+      if (g < entries[i].generations) {
+        return i;
+      }
+      g -= entries[i].generations;
+    }
+    return entries.length - 1;
+  }
+
+  /**
+   * Build one lookup table per schedule entry for the current rule space
+   * Entries that are invalid or out of range fall back to the main rule.
+   * @private
+   */
+  _buildScheduleTables() {
+    this.scheduleTables = [];
+    this.scheduleIndex = -1;
+
+    // Back to the main rule's table (also for the zone-0 table of rule maps)
+    if (!this.schedule) {
+      this._buildRuleLookup();
+      this.zoneLookups[0] = this.ruleLookup;
+      return;
+    }
+
+    const count = ruleCodeCount(this.radius, this.ruleEncoding, this.states);
+    for (const { rule } of this.schedule.entries) {
+      const code = rule !== null && rule >= 0n && rule < count ? rule : this.ruleCode;
+      if (code !== rule) {
+        console.warn(`Scheduled rule ${rule} is not valid for this rule space. Using the main rule.`);
+      }
+
+      const lookup = buildRuleTable(code, this.radius, this.ruleEncoding, this.states);
+      this.scheduleTables.push({ lookup, minterms: this._buildMinterms(lookup) });
+    }
+
+    this._syncScheduledRule();
+  }
+
+  /**
+   * Point ruleLookup at the schedule entry for the current generation
+   * @private
    */
-  constructor(rule, width, height) {
-    this.rule = rule;
-    this.width = width;
-    this.height = height;
+  _syncScheduledRule() {
+    if (!this.schedule) {
+      return;
+    }
 
-    // Current generation index (for circular buffer)
-    this.currentGeneration = 0;
+    const index = this._scheduleIndexAt(this.currentGeneration);
+    if (index !== this.scheduleIndex) {
+      const table = this.scheduleTables[index];
+      this.scheduleIndex = index;
+      this.ruleLookup = table.lookup;
+      this.ruleMinterms = table.minterms;
+      this.zoneLookups[0] = table.lookup;
+    }
+  }
 
-    // State buffer: 2D array stored as 1D Uint8Array for efficiency
-    // Layout: [row0_col0, row0_col1, ..., row1_col0, row1_col1, ...]
-    this.state = new Uint8Array(width * height);
+  /**
+   * Turn cycle detection on or off
+   * Every finite deterministic run becomes periodic. With detection on, each
+   * step hashes the state (the row, plus the previous row for second-order
+   * rules, plus the phase of driven edges and rule schedules) and runs
+   * Brent's algorithm on the hashes. On periodic edges without a rule map,
+   * rows are compared up to rotation, so moving cycles report their shift.
+   * Tracking restarts from the current generation whenever the rule, edges
+   * or pattern change.
+   *
+   * @param {boolean} enabled - Whether to track cycles
+   */
+  setCycleDetection(enabled) {
+    this.cycleDetection = Boolean(enabled);
+    this._resetCycleTracking();
+  }
 
-    // Working buffers for computation
-    this.currentRow = new Uint8Array(width);
-    this.nextRow = new Uint8Array(width);
+  /**
+   * Get the cycle detection result
+   *
+   * @returns {Object} { status } where status is 'off', 'unsupported' (growing lattice or
+   *   random dynamics), 'searching' or 'found'. Searching and found also give startGeneration
+   *   (where tracking began); found adds transient (generations before the cycle is entered,
+   *   counted from startGeneration; null if too long to measure), period, shift (cells per
+   *   period, positive = rightward) and detectedAt (generation of detection).
+   */
+  getCycleInfo() {
+    if (!this.cycleDetection) {
+      return { status: 'off' };
+    }
 
-    // Precompute lookup table for current rule (performance optimization)
-    this.ruleLookup = new Uint8Array(8);
-    this._buildRuleLookup();
+    if (!this._isCycleTrackable() || !this.cycleTracker) {
+      return { status: 'unsupported' };
+    }
 
-    // Initialize with default pattern
-    this.setInitialCondition('single');
+    const tracker = this.cycleTracker;
+    return {
+      status: tracker.result ? 'found' : 'searching',
+      startGeneration: tracker.startGeneration,
+      ...tracker.result
+    };
   }
 
   /**
-   * Build lookup table for current rule
-   * Maps 3-bit neighborhood (0-7) to next state (0 or 1)
+   * Whether the run is deterministic on a finite lattice, so cycles can be tracked
+   *
+   * @returns {boolean} True if cycle detection applies
    * @private
    */
-  _buildRuleLookup() {
-    for (let i = 0; i < 8; i++) {
-      this.ruleLookup[i] = (this.rule >> i) & 1;
+  _isCycleTrackable() {
+    return this.latticeMode === 'ring' &&
+      !this.isStochastic() &&
+      !this.hasMemory() &&
+      this.updateScheme !== 'random-sequential' &&
+      this.updateScheme !== 'alpha';
+  }
+
+  /**
+   * Restart cycle tracking from the current generation
+   * @private
+   */
+  _resetCycleTracking() {
+    if (!this.cycleDetection || !this._isCycleTrackable()) {
+      this.cycleTracker = null;
+      return;
     }
+
+    const key = this._cycleKey();
+    this.cycleTracker = {
+      startGeneration: this.currentGeneration,
+      tortoise: key,
+      power: 1,
+      lambda: 1,
+      // Ring of [hashA, hashB, offset] per generation since startGeneration,
+      // the oldest overwritten once CYCLE_HISTORY_LIMIT are held
+      history: [key.hashA, key.hashB, key.offset],
+      count: 1,
+      result: null
+    };
   }
 
   /**
-   * Get cell state at specific position with toroidal wrapping
-   *
-   * @param {Uint8Array} buffer - Buffer to read from
-   * @param {number} x - X coordinate
-   * @returns {number} Cell state (0 or 1)
+   * Advance Brent's algorithm by the generation just computed
+   * The hare is the newest state; the tortoise jumps to it whenever the
+   * search window (a power of two) is used up.
    * @private
    */
-  _getCell(buffer, x) {
-    // Toroidal wrapping: wrap around edges
-    const wrappedX = ((x % this.width) + this.width) % this.width;
-    return buffer[wrappedX];
+  _trackCycle() {
+    const tracker = this.cycleTracker;
+    if (tracker.result) {
+      return;
+    }
+
+    const key = this._cycleKey();
+    const slot = 3 * (tracker.count % CYCLE_HISTORY_LIMIT);
+    tracker.history[slot] = key.hashA;
+    tracker.history[slot + 1] = key.hashB;
+    tracker.history[slot + 2] = key.offset;
+    tracker.count++;
+
+    if (key.hashA === tracker.tortoise.hashA && key.hashB === tracker.tortoise.hashB) {
+      tracker.result = this._measureCycle(tracker.lambda);
+      return;
+    }
+
+    if (tracker.power === tracker.lambda) {
+      tracker.tortoise = key;
+      tracker.power *= 2;
+      tracker.lambda = 0;
+    }
+    tracker.lambda++;
   }
 
   /**
-   * Set cell state at specific position
+   * Transient and shift of a detected cycle, from the hash history
    *
-   * @param {Uint8Array} buffer - Buffer to write to
-   * @param {number} x - X coordinate
-   * @param {number} value - Cell state (0 or 1)
+   * @param {number} period - Cycle period found by Brent's algorithm
+   * @returns {{transient: number|null, period: number, shift: number, detectedAt: number}} Cycle report
    * @private
    */
-  _setCell(buffer, x, value) {
-    buffer[x] = value;
+  _measureCycle(period) {
+    const { history, count } = this.cycleTracker;
+    const oldest = Math.max(0, count - CYCLE_HISTORY_LIMIT);
+    const slot = (i) => 3 * (i % CYCLE_HISTORY_LIMIT);
+
+    // First state that recurs one period later. If that is the oldest one
+    // still held, the cycle may have been entered before it: unknown.
+    let transient = null;
+    for (let i = oldest; i + period < count; i++) {
+      const a = slot(i);
+      const b = slot(i + period);
+      if (history[a] === history[b] && history[a + 1] === history[b + 1]) {
+        transient = i === oldest && oldest > 0 ? null : i;
+        break;
+      }
+    }
+
+    // Rotation between two states one period apart, reduced modulo the
+    // row's own rotational symmetry (a blank row has shift 0)
+    let shift = 0;
+    const last = count - 1;
+    if (last - period >= oldest) {
+      const cells = this.cycleCells;
+      const width = this.width;
+      let symmetry = width;
+      for (let d = 1; d < width; d++) {
+        if (width % d !== 0) continue;
+        let same = true;
+        for (let x = 0; x < width && same; x++) {
+          same = cells[x] === cells[(x + d) % width];
+        }
+        if (same) {
+          symmetry = d;
+          break;
+        }
+      }
+
+      const rotation = history[slot(last) + 2] - history[slot(last - period) + 2];
+      shift = ((rotation % symmetry) + symmetry) % symmetry;
+      if (shift > symmetry / 2) {
+        shift -= symmetry;
+      }
+    }
+
+    return { transient, period, shift, detectedAt: this.currentGeneration };
   }
 
   /**
-   * Compute next generation using current rule
-   * Updates the state buffer with new generation
+   * Hash the current state for cycle detection
+   * Leaves the state's cells (combined with the previous row for
+   * second-order rules) in cycleCells.
+   *
+   * @returns {{hashA: number, hashB: number, offset: number}} Two independent 32-bit hashes and
+   *   the rotation the row was canonicalized with (0 when rows are compared as-is)
+   * @private
    */
-  step() {
-    // Get current row from circular buffer
-    const currentRowIndex = this.currentGeneration % this.height;
-    const currentRowOffset = currentRowIndex * this.width;
+  _cycleKey() {
+    this._syncState();
 
-    // Copy current row to working buffer
-    for (let i = 0; i < this.width; i++) {
-      this.currentRow[i] = this.state[currentRowOffset + i];
+    const width = this.width;
+    const height = this.height;
+    const states = this.states;
+    const generation = this.currentGeneration;
+    const offset = (generation % height) * width;
+    const previousOffset = ((generation + height - 1) % height) * width;
+    const cells = this.cycleCells;
+
+    for (let x = 0; x < width; x++) {
+      cells[x] = this.reversible
+        ? this.state[previousOffset + x] * states + this.state[offset + x]
+        : this.state[offset + x];
     }
 
-    // Compute next generation
-    for (let x = 0; x < this.width; x++) {
-      const left = this._getCell(this.currentRow, x - 1);
-      const center = this._getCell(this.currentRow, x);
-      const right = this._getCell(this.currentRow, x + 1);
+    // Compare rows up to rotation only where the dynamics are translation invariant
+    const rotation = this.boundary === 'periodic' && !this.ruleMap
+      ? leastRotation(cells, this.cycleFailure)
+      : 0;
 
-      // Use lookup table for fast rule application
-      const neighborhood = (left << 2) | (center << 1) | right;
-      this.nextRow[x] = this.ruleLookup[neighborhood];
-    }
+    let hashA = 0x811c9dc5;
+    let hashB = 0x9747b28c;
+    const mix = (value) => {
+      hashA = Math.imul(hashA ^ value, 0x01000193);
+      hashB = Math.imul(hashB ^ value, 0x5bd1e995);
+      hashB ^= hashB >>> 15;
+    };
 
-    // Update circular buffer with new generation
-    this.currentGeneration++;
-    const nextRowIndex = this.currentGeneration % this.height;
-    const nextRowOffset = nextRowIndex * this.width;
+    for (let i = 0; i < width; i++) {
+      mix(cells[(i + rotation) % width]);
+    }
 
-    // Copy next row to state buffer
-    for (let i = 0; i < this.width; i++) {
-      this.state[nextRowOffset + i] = this.nextRow[i];
+    // Generation-dependent inputs: driven edge bit and schedule position
+    if (this.boundary === 'driven') {
+      mix(256 + generation % this.boundarySequence.length);
     }
+    if (this.schedule) {
+      const entries = this.schedule.entries;
+      const finite = entries.reduce((sum, entry) => sum + (isFinite(entry.generations) ? entry.generations : 0), 0);
+      const phase = this.schedule.loop ? generation % finite : Math.min(generation, finite);
+      mix(phase & 0xFF);
+      mix((phase >>> 8) & 0xFF);
+      mix(phase >>> 16);
+    }
+
+    return { hashA: hashA >>> 0, hashB: hashB >>> 0, offset: rotation };
   }
 
   /**
-   * Get current state buffer
+   * Change the update scheme
+   * Schemes apply to the ring lattice; the growing lattice always updates synchronously.
    *
-   * @returns {Uint8Array} Current state buffer (read-only reference)
+   * @param {string} scheme - One of UPDATE_SCHEMES
+   * @param {Object} options - Scheme parameters (omitted ones keep their values)
+   * @param {number} options.alpha - Update probability for 'alpha' (0-1, default 0.5)
+   * @param {number} options.blockSize - Block size in cells for 'block' (default 8)
    */
-  getState() {
-    return this.state;
+  setUpdateScheme(scheme, options = {}) {
+    if (!UPDATE_SCHEMES.includes(scheme)) {
+      console.warn(`Unknown update scheme: ${scheme}. Using synchronous.`);
+      scheme = 'synchronous';
+    }
+
+    this.updateScheme = scheme;
+
+    if (options.alpha !== undefined) {
+      this.updateAlpha = Math.min(1, Math.max(0, Number(options.alpha) || 0));
+    }
+    if (options.blockSize !== undefined) {
+      this.updateBlockSize = Math.max(1, Math.min(this.width, Math.floor(options.blockSize) || 1));
+    }
+
+    this._resetCycleTracking();
   }
 
   /**
-   * Get current generation number
+   * Get the update scheme and its parameters
    *
-   * @returns {number} Current generation count
+   * @returns {{scheme: string, alpha: number, blockSize: number}} Active update scheme
    */
-  getGeneration() {
-    return this.currentGeneration;
+  getUpdateScheme() {
+    return {
+      scheme: this.updateScheme,
+      alpha: this.updateAlpha,
+      blockSize: this.updateBlockSize
+    };
   }
 
   /**
-   * Get a specific row from the state buffer
+   * Change the memory
+   * Memory applies to the ring lattice; the growing lattice always uses the
+   * current states. Binary rules need alpha above 0.5 for alpha memory to
+   * change anything (the current state outweighs all older ones otherwise).
    *
-   * @param {number} rowIndex - Row index (0 to height-1)
-   * @returns {Uint8Array} Row data (new array, not a reference)
+   * @param {string} type - One of MEMORY_TYPES
+   * @param {Object} options - Memory parameters (omitted ones keep their values)
+   * @param {number} options.depth - Past states voted over, the current one included
+   *   (1 to the buffer height, default 3; 1 is no memory)
+   * @param {number} options.alpha - Decay per generation of age for 'alpha' (0-1, default 0.75)
    */
-  getRow(rowIndex) {
-    const offset = rowIndex * this.width;
-    const row = new Uint8Array(this.width);
+  setMemory(type, options = {}) {
+    if (!MEMORY_TYPES.includes(type)) {
+      console.warn(`Unknown memory type: ${type}. Using none.`);
+      type = 'none';
+    }
 
-    for (let i = 0; i < this.width; i++) {
-      row[i] = this.state[offset + i];
+    const memory = { ...this.memory, type };
+    if (options.depth !== undefined) {
+      memory.depth = Math.max(1, Math.min(this.height, Math.floor(options.depth) || 1));
+    }
+    if (options.alpha !== undefined) {
+      memory.alpha = Math.min(1, Math.max(0, Number(options.alpha) || 0));
     }
 
-    return row;
+    this.memory = memory;
+    this._resetCycleTracking();
   }
 
   /**
-   * Set initial condition for the CA
+   * Get the memory type and its parameters
    *
-   * @param {string|Uint8Array} pattern - Pattern type or custom initial state
-   *   - "single": Single alive cell in center
-   *   - "random": Random noise
-   *   - Uint8Array: Custom pattern (must be width long)
-   * @param {Object} options - Additional options
-   * @param {number} options.density - Density for random pattern (0.0-1.0, default 0.5)
+   * @returns {{type: string, depth: number, alpha: number}} Active memory
    */
-  setInitialCondition(pattern, options = {}) {
-    const { density = 0.5 } = options;
+  getMemory() {
+    return { ...this.memory };
+  }
 
-    // Clear entire state buffer
-    this.state.fill(0);
+  /**
+   * Whether cells remember past states (a memory type with depth above 1)
+   *
+   * @returns {boolean} True if the rule sees effective states
+   */
+  hasMemory() {
+    return this.memory.type !== 'none' && this.memory.depth > 1 && this.latticeMode === 'ring';
+  }
 
-    // Reset generation counter
-    this.currentGeneration = 0;
+  /**
+   * Set the PRNG seed and restart the random stream
+   *
+   * @param {number|string} seed - Seed (strings are hashed)
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.randomState = this.seed;
+  }
 
-    // Set initial row (row 0)
-    const initialRow = new Uint8Array(this.width);
+  /**
+   * Get the PRNG seed
+   *
+   * @returns {number} Unsigned 32-bit seed
+   */
+  getSeed() {
+    return this.seed;
+  }
 
-    if (pattern === 'single') {
-      // Single alive cell in the center
-      const centerX = Math.floor(this.width / 2);
-      initialRow[centerX] = 1;
+  /**
+   * Build rule B's lookup table and the probabilistic table for the current rule space
+   * Parameters that do not fit the rule space are dropped with a warning.
+   * @private
+   */
+  _buildNoiseTables() {
+    const { ruleB, neighborhoodProbabilities } = this.noise;
+    const tableSize = this.ruleLookup.length;
 
-    } else if (pattern === 'random') {
-      // Random noise with specified density
-      for (let x = 0; x < this.width; x++) {
-        initialRow[x] = Math.random() < density ? 1 : 0;
+    this.ruleBLookup = null;
+    if (ruleB !== null) {
+      if (ruleB < 0n || ruleB >= ruleCodeCount(this.radius, this.ruleEncoding, this.states)) {
+        console.warn(`Rule B ${ruleB} is out of range for this rule space. Ignoring.`);
+      } else {
+        this.ruleBLookup = buildRuleTable(ruleB, this.radius, this.ruleEncoding, this.states);
       }
+    }
 
-    } else if (pattern instanceof Uint8Array) {
-      // Custom pattern
-      if (pattern.length !== this.width) {
-        console.warn(`Custom pattern length (${pattern.length}) does not match width (${this.width}). Truncating or padding.`);
+    this.probabilityTable = null;
+    if (neighborhoodProbabilities) {
+      if (this.states !== 2 || neighborhoodProbabilities.length !== tableSize) {
+        console.warn(`Probabilistic table needs ${tableSize} entries on a binary rule. Ignoring.`);
+      } else {
+        this.probabilityTable = Float64Array.from(neighborhoodProbabilities);
       }
+    }
+  }
 
-      const copyLength = Math.min(pattern.length, this.width);
-      for (let i = 0; i < copyLength; i++) {
-        initialRow[i] = pattern[i];
-      }
+  /**
+   * Get current rule number
+   *
+   * @returns {number|bigint} Current rule (a BigInt when too large for a number)
+   */
+  getRule() {
+    return this.rule;
+  }
 
-    } else {
-      console.warn(`Unknown pattern type: ${pattern}. Using single cell.`);
-      const centerX = Math.floor(this.width / 2);
-      initialRow[centerX] = 1;
+  /**
+   * Get the full rule specification
+   *
+   * @returns {{rule: number|bigint, radius: number, encoding: string, states: number, reversible: boolean}}
+   *   Rule code, radius, encoding, number of cell states and second-order flag
+   */
+  getRuleSpec() {
+    return {
+      rule: this.rule,
+      radius: this.radius,
+      encoding: this.ruleEncoding,
+      states: this.states,
+      reversible: this.reversible
+    };
+  }
+
+  /**
+   * Whether the active rule is second-order (and so can step backwards)
+   *
+   * @returns {boolean} True for reversible rules
+   */
+  isReversible() {
+    return this.reversible;
+  }
+
+  /**
+   * Get the number of cell states (colors)
+   *
+   * @returns {number} k (2 for binary rules)
+   */
+  getStateCount() {
+    return this.states;
+  }
+
+  /**
+   * Change the boundary condition
+   *
+   * @param {string} mode - One of BOUNDARY_MODES ('periodic', 'fixed0', 'fixed1', 'reflective', 'driven')
+   * @param {Object} options - Additional options
+   * @param {string|number[]} options.sequence - Bit sequence for 'driven' edges (e.g. "0110"),
+   *   cycled one bit per generation
+   */
+  setBoundary(mode, options = {}) {
+    if (!BOUNDARY_MODES.includes(mode)) {
+      console.warn(`Unknown boundary mode: ${mode}. Using periodic.`);
+      mode = 'periodic';
     }
 
-    // Copy initial row to state buffer (row 0)
-    for (let i = 0; i < this.width; i++) {
-      this.state[i] = initialRow[i];
+    this.boundary = mode;
+
+    if (options.sequence !== undefined) {
+      this.boundarySequence = parseBoundarySequence(options.sequence);
     }
 
-    // Copy to current row buffer for next step
-    for (let i = 0; i < this.width; i++) {
-      this.currentRow[i] = initialRow[i];
+    this._resetCycleTracking();
+  }
+
+  /**
+   * Get the active boundary condition
+   *
+   * @returns {{mode: string, sequence: string}} Boundary mode and driven bit sequence
+   */
+  getBoundary() {
+    return {
+      mode: this.boundary,
+      sequence: Array.from(this.boundarySequence).join('')
+    };
+  }
+
+  /**
+   * Choose the stepping backend
+   *
+   * @param {string} backend - One of ENGINE_BACKENDS ('scalar', 'bitpacked')
+   */
+  setBackend(backend) {
+    if (!ENGINE_BACKENDS.includes(backend)) {
+      console.warn(`Unknown engine backend: ${backend}. Using bitpacked.`);
+      backend = 'bitpacked';
     }
+
+    this._syncState();
+    this.backend = backend;
+    this.packedDirty = true;
   }
 
   /**
-   * Reset the CA with optional new rule
+   * Get the active stepping backend
    *
-   * @param {number} [newRule] - New rule number (0-255), or keep current rule if undefined
+   * @returns {string} 'scalar' or 'bitpacked'
    */
-  reset(newRule) {
-    if (newRule !== undefined) {
-      this.setRule(newRule);
+  getBackend() {
+    return this.backend;
+  }
+
+  /**
+   * Change the lattice mode
+   * Switching modes restarts from the current row
+   *
+   * @param {string} mode - One of LATTICE_MODES ('ring', 'growing')
+   */
+  setLatticeMode(mode) {
+    if (!LATTICE_MODES.includes(mode)) {
+      console.warn(`Unknown lattice mode: ${mode}. Using ring.`);
+      mode = 'ring';
     }
 
-    // Reset to initial condition (single cell by default)
-    this.setInitialCondition('single');
+    if (mode === this.latticeMode) {
+      return;
+    }
+
+    const currentRow = this.getRow(this.currentGeneration % this.height);
+    this.latticeMode = mode;
+    this.setInitialCondition(currentRow);
   }
 
   /**
-   * Change the active rule
+   * Get the active lattice mode
+   *
+   * @returns {string} 'ring' or 'growing'
+   */
+  getLatticeMode() {
+    return this.latticeMode;
+  }
+
+  /**
+   * Move the visible window of the growing lattice
+   * Redraws the whole history so earlier generations line up with the new window
    *
-   * @param {number} rule - New rule number (0-255)
+   * @param {number} offset - Absolute x coordinate shown in column 0
    */
-  setRule(rule) {
-    if (rule < 0 || rule > 255) {
-      console.warn(`Invalid rule number: ${rule}. Must be 0-255. Clamping.`);
-      rule = Math.max(0, Math.min(255, rule));
+  setViewOffset(offset) {
+    this.viewOffset = Math.round(offset);
+
+    if (this.latticeMode !== 'growing') {
+      return;
     }
 
-    this.rule = rule;
-    this._buildRuleLookup();
+    for (let row = 0; row < this.height; row++) {
+      this._drawGrowingRow(row);
+    }
   }
 
   /**
-   * Get current rule number
+   * Get the absolute x coordinate shown in column 0
    *
-   * @returns {number} Current rule (0-255)
+   * @returns {number} View offset in cells
    */
-  getRule() {
-    return this.rule;
+  getViewOffset() {
+    return this.viewOffset;
+  }
+
+  /**
+   * Get the extent of the growing lattice's active region
+   *
+   * @returns {{start: number, end: number, background: number}} Absolute
+   *   coordinates [start, end) of cells differing from the background
+   */
+  getActiveRegion() {
+    return {
+      start: this.activeOrigin,
+      end: this.activeOrigin + this.activeCells.length,
+      background: this.background
+    };
   }
 
   /**
@@ -294,13 +2724,13 @@ class CAEngine {
   }
 
   /**
-   * Get a binary string representation of the current rule
+   * Get a binary (base-k for multi-state rules) string representation of the current rule
    * Useful for debugging
    *
-   * @returns {string} 8-bit binary string
+   * @returns {string} One digit per code digit (8 bits for elementary rules)
    */
   getRuleBinary() {
-    return this.rule.toString(2).padStart(8, '0');
+    return this.ruleCode.toString(this.states).padStart(ruleCodeDigits(this.radius, this.ruleEncoding, this.states), '0');
   }
 
   /**
@@ -309,11 +2739,37 @@ class CAEngine {
    * @returns {Object} Object containing cloned state data
    */
   clone() {
+    this._syncState();
+
     return {
       rule: this.rule,
+      radius: this.radius,
+      ruleEncoding: this.ruleEncoding,
+      states: this.states,
+      reversible: this.reversible,
+      noise: this.getNoise(),
+      seed: this.seed,
+      randomState: this.randomState,
+      updateScheme: this.updateScheme,
+      updateAlpha: this.updateAlpha,
+      updateBlockSize: this.updateBlockSize,
+      memory: this.getMemory(),
+      ruleMap: this.ruleMap ? new Uint8Array(this.ruleMap) : null,
+      rowRuleMaps: this.rowRuleMaps.slice(),
+      schedule: this.getRuleSchedule(),
+      zoneRules: this.zoneRules.slice(),
       width: this.width,
       height: this.height,
       currentGeneration: this.currentGeneration,
+      boundary: this.boundary,
+      boundarySequence: new Uint8Array(this.boundarySequence),
+      backend: this.backend,
+      latticeMode: this.latticeMode,
+      activeCells: new Uint8Array(this.activeCells),
+      activeOrigin: this.activeOrigin,
+      background: this.background,
+      viewOffset: this.viewOffset,
+      growthHistory: this.growthHistory.slice(),
       state: new Uint8Array(this.state)
     };
   }
@@ -325,13 +2781,69 @@ class CAEngine {
    */
   restore(clonedState) {
     this.rule = clonedState.rule;
+    this.ruleCode = BigInt(clonedState.rule);
+    this.radius = clonedState.radius || 1;
+    this.ruleEncoding = clonedState.ruleEncoding || 'wolfram';
+    this.states = clonedState.states || 2;
+    this.reversible = Boolean(clonedState.reversible);
     this.currentGeneration = clonedState.currentGeneration;
 
-    // Rebuild lookup table
+    // Restore boundary condition (older clones predate boundaries)
+    this.boundary = clonedState.boundary || 'periodic';
+    this.boundarySequence = new Uint8Array(clonedState.boundarySequence || [0]);
+
+    // Restore growing lattice
+    this.latticeMode = clonedState.latticeMode || 'ring';
+    this.activeCells = new Uint8Array(clonedState.activeCells || 0);
+    this.activeOrigin = clonedState.activeOrigin || 0;
+    this.background = clonedState.background || 0;
+    this.viewOffset = clonedState.viewOffset || 0;
+    this.growthHistory = clonedState.growthHistory
+      ? clonedState.growthHistory.slice()
+      : new Array(this.height).fill(null);
+
+    // Restore update scheme (older clones are synchronous)
+    this.updateScheme = clonedState.updateScheme || 'synchronous';
+    this.updateAlpha = clonedState.updateAlpha !== undefined ? clonedState.updateAlpha : 0.5;
+    this.updateBlockSize = clonedState.updateBlockSize || 8;
+
+    // Restore memory (older clones have none)
+    this.memory = clonedState.memory ? { ...clonedState.memory } : { type: 'none', depth: 3, alpha: 0.75 };
+
+    // Restore noise and the PRNG stream position
+    if (clonedState.noise) {
+      this.noise = { ...clonedState.noise };
+    }
+    if (clonedState.seed !== undefined) {
+      this.seed = clonedState.seed;
+      this.randomState = clonedState.randomState;
+    }
+
+    // Restore rule map
+    this.ruleMap = clonedState.ruleMap ? new Uint8Array(clonedState.ruleMap) : null;
+    this.ruleMapSnapshot = null;
+    this.rowRuleMaps = clonedState.rowRuleMaps
+      ? clonedState.rowRuleMaps.slice()
+      : new Array(this.height).fill(null);
+    this.zoneRules = clonedState.zoneRules ? clonedState.zoneRules.slice() : [];
+
+    // Restore rule schedule
+    this.schedule = null;
+    if (clonedState.schedule) {
+      this.setRuleSchedule(clonedState.schedule);
+    }
+
+    // Rebuild lookup tables
     this._buildRuleLookup();
+    this._buildZoneLookups();
+    this._buildNoiseTables();
+    this._buildScheduleTables();
 
     // Copy state data
     this.state.set(clonedState.state);
+    this.backend = clonedState.backend || this.backend;
+    this.packedDirty = true;
+    this.unsyncedRows = 0;
 
     // Update current row buffer
     const currentRowIndex = this.currentGeneration % this.height;
@@ -339,10 +2851,34 @@ class CAEngine {
     for (let i = 0; i < this.width; i++) {
       this.currentRow[i] = this.state[currentRowOffset + i];
     }
+
+    this._resetCycleTracking();
   }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { CAEngine, computeRule };
+  module.exports = {
+    CAEngine,
+    computeRule,
+    RULE_ENCODINGS,
+    MAX_RULE_RADIUS,
+    MAX_CELL_STATES,
+    ruleCodeDigits,
+    ruleCodeCount,
+    parseRuleCode,
+    buildRuleTable,
+    BOUNDARY_MODES,
+    LATTICE_MODES,
+    ENGINE_BACKENDS,
+    parseBoundarySequence,
+    normalizeSeed,
+    INITIAL_PATTERNS,
+    UPDATE_SCHEMES,
+    MEMORY_TYPES,
+    parseRuleSchedule,
+    leastRotation,
+    additiveRuleForm,
+    jumpAdditiveRow
+  };
 }
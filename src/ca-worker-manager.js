@@ -28,12 +28,21 @@ class CAWorkerManager {
   /**
    * Initialize the worker and CA engine
    *
-   * @param {number} rule - ECA rule number (0-255)
+   * @param {number|bigint|string} rule - Rule code (ECA rule number 0-255 by default), or a
+   *   B/S rulestring in Life mode
    * @param {number} width - Grid width in cells
    * @param {number} height - Grid height in cells
+   * @param {Object} [options] - Additional engine options
+   * @param {string} [options.mode] - 'eca' (1D, default) or 'life' (2D Life-like world)
+   * @param {number} [options.radius] - Neighborhood radius (default: 1)
+   * @param {string} [options.encoding] - 'wolfram', 'totalistic' or 'outer-totalistic' (default: 'wolfram')
+   * @param {number} [options.states] - Number of cell states, 2-5 (default: 2)
+   * @param {string} [options.boundary] - Boundary mode (default: 'periodic')
+   * @param {string} [options.boundarySequence] - Bit sequence for 'driven' boundaries
+   * @param {number|string} [options.seed] - PRNG seed for random initial conditions
    * @returns {Promise<void>}
    */
-  async init(rule, width, height) {
+  async init(rule, width, height, options = {}) {
     // Create worker
     this.worker = new Worker('src/workers/ca-worker.js');
 
@@ -51,9 +60,16 @@ class CAWorkerManager {
     // Initialize CA engine in worker
     await this._sendMessage({
       type: 'init',
+      mode: options.mode,
       rule,
       width,
-      height
+      height,
+      radius: options.radius,
+      encoding: options.encoding,
+      states: options.states,
+      boundary: options.boundary,
+      boundarySequence: options.boundarySequence,
+      seed: options.seed
     });
 
     this.isInitialized = true;
@@ -79,12 +95,35 @@ class CAWorkerManager {
     return response;
   }
 
+  /**
+   * Jump to a later generation
+   * Additive rules (e.g. 90, 150) compute it directly, so 10^12 is instant;
+   * other rules step there one generation at a time in the worker.
+   *
+   * @param {number} generation - Target generation (not before the current one)
+   * @returns {Promise<{state: Uint8Array, generation: number}>} State and generation number
+   */
+  async jumpTo(generation) {
+    if (!this.isInitialized) {
+      throw new Error('Worker not initialized. Call init() first.');
+    }
+
+    const response = await this._sendMessage({
+      type: 'jumpTo',
+      generation
+    });
+
+    this.currentGeneration = response.generation;
+    return response;
+  }
+
   /**
    * Set initial condition pattern
    *
-   * @param {string|Uint8Array} pattern - Pattern type ('single', 'random') or custom Uint8Array
-   * @param {Object} options - Additional options (e.g., density for random pattern)
-   * @returns {Promise<{state: Uint8Array, generation: number}>} Updated state and generation number
+   * @param {string|Uint8Array} pattern - Pattern name (see INITIAL_PATTERNS in ca-engine.js) or custom Uint8Array
+   * @param {Object} options - Pattern parameters and seed (see CAEngine.setInitialCondition)
+   * @returns {Promise<{state: Uint8Array, generation: number, seed: number}>} Updated state,
+   *   generation number and the seed the pattern was drawn with
    */
   async setInitialCondition(pattern, options = {}) {
     if (!this.isInitialized) {
@@ -104,40 +143,137 @@ class CAWorkerManager {
   /**
    * Change the active CA rule
    *
-   * @param {number} rule - New rule number (0-255)
-   * @returns {Promise<{rule: number}>} Confirmation with new rule
+   * @param {number|bigint|string} rule - New rule code (0-255 for elementary rules, a B/S
+   *   rulestring in Life mode)
+   * @param {Object} [options] - Rule options
+   * @param {number} [options.radius] - Neighborhood radius (default: 1)
+   * @param {string} [options.encoding] - Rule encoding (default: 'wolfram')
+   * @param {number} [options.states] - Number of cell states (default: 2)
+   * @returns {Promise<{rule: number|bigint, radius: number, encoding: string, states: number}>} Confirmation with new rule
    */
-  async setRule(rule) {
+  async setRule(rule, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Worker not initialized. Call init() first.');
     }
 
     return await this._sendMessage({
       type: 'setRule',
-      rule
+      rule,
+      radius: options.radius,
+      encoding: options.encoding,
+      states: options.states
+    });
+  }
+
+  /**
+   * Change the boundary condition
+   *
+   * @param {string} mode - Boundary mode ('periodic', 'fixed0', 'fixed1', 'reflective', 'driven')
+   * @param {string} [sequence] - Bit sequence for 'driven' boundaries (e.g. "0110")
+   * @returns {Promise<{mode: string, sequence: string}>} Confirmation with new boundary
+   */
+  async setBoundary(mode, sequence) {
+    if (!this.isInitialized) {
+      throw new Error('Worker not initialized. Call init() first.');
+    }
+
+    return await this._sendMessage({
+      type: 'setBoundary',
+      mode,
+      sequence
+    });
+  }
+
+  /**
+   * Set the per-cell rule map (hybrid CA)
+   *
+   * @param {Uint8Array|null} map - Zone index per cell (0 = main rule), or null to clear
+   * @param {Array<number|bigint|string>} [rules] - Rule codes for zones 1, 2, ...
+   * @returns {Promise<{zones: number}>} Confirmation with the number of zone rules
+   */
+  async setRuleMap(map, rules = []) {
+    if (!this.isInitialized) {
+      throw new Error('Worker not initialized. Call init() first.');
+    }
+
+    return await this._sendMessage({
+      type: 'setRuleMap',
+      map,
+      rules
     });
   }
 
   /**
    * Reset the CA with optional new rule
    *
-   * @param {number} [newRule] - New rule number (0-255), or keep current rule if undefined
+   * @param {number|bigint|string} [newRule] - New rule code, or keep current rule if undefined
+   * @param {Object} [ruleOptions] - Radius, encoding and states for the new rule (see setRule)
    * @returns {Promise<{state: Uint8Array, generation: number}>} Reset state and generation number
    */
-  async reset(newRule) {
+  async reset(newRule, ruleOptions = {}) {
     if (!this.isInitialized) {
       throw new Error('Worker not initialized. Call init() first.');
     }
 
     const response = await this._sendMessage({
       type: 'reset',
-      newRule
+      newRule,
+      radius: ruleOptions.radius,
+      encoding: ruleOptions.encoding,
+      states: ruleOptions.states
     });
 
     this.currentGeneration = response.generation;
     return response;
   }
 
+  /**
+   * Build the state-transition graph of the current rule and boundary on a
+   * small ring and find its basins of attraction (see analyzeBasins in basins.js)
+   *
+   * @param {number} width - Ring width in cells (k^width states at most MAX_BASIN_STATES)
+   * @returns {Promise<Object>} Graph: successors, transient depths, basins, attractors and groups
+   */
+  async analyzeBasins(width) {
+    if (!this.isInitialized) {
+      throw new Error('Worker not initialized. Call init() first.');
+    }
+
+    // Millions of states can take a while
+    return await this._sendMessage({
+      type: 'analyzeBasins',
+      width
+    }, 120000);
+  }
+
+  /**
+   * Sample the attractors of elementary rules on rings of a range of widths
+   * (see censusRule in census.js)
+   *
+   * @param {number[]} rules - Elementary rules (0-255)
+   * @param {number[]} widths - Smallest and largest ring width, inclusive
+   * @param {Object} [options] - Sampling settings
+   * @param {number} [options.samples] - Random seeds per rule and width (default: 32)
+   * @param {number} [options.maxGenerations] - Generations a seed may run (default: 10000)
+   * @param {number} [options.seed] - Seed of the first run (default: 1)
+   * @returns {Promise<{records: Object[]}>} One record per rule and width
+   */
+  async census(rules, widths, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Worker not initialized. Call init() first.');
+    }
+
+    // Wide rings of chaotic rules run many generations
+    return await this._sendMessage({
+      type: 'census',
+      rules,
+      widths,
+      samples: options.samples,
+      maxGenerations: options.maxGenerations,
+      seed: options.seed
+    }, 120000);
+  }
+
   /**
    * Get current CA state
    *
@@ -187,10 +323,11 @@ class CAWorkerManager {
    * Send message to worker and return promise for response
    *
    * @param {Object} message - Message data to send
+   * @param {number} [timeout=30000] - Milliseconds to wait for the response
    * @returns {Promise<Object>} Promise that resolves with worker response
    * @private
    */
-  _sendMessage(message) {
+  _sendMessage(message, timeout = 30000) {
     return new Promise((resolve, reject) => {
       const id = this.nextMessageId++;
 
@@ -200,13 +337,13 @@ class CAWorkerManager {
       // Send message with ID
       this.worker.postMessage({ ...message, id });
 
-      // Set timeout for response (30 seconds)
+      // Set timeout for response
       setTimeout(() => {
         if (this.messageHandlers.has(id)) {
           this.messageHandlers.delete(id);
           reject(new Error(`Worker timeout: No response for message type '${message.type}'`));
         }
-      }, 30000);
+      }, timeout);
     });
   }
 
@@ -0,0 +1,89 @@
+/**
+ * CA Worker Pool
+ * Spreads batch analyses over several CA workers (one CAWorkerManager each)
+ *
+ * Features:
+ * - One worker per hardware thread by default
+ * - Work queue: each worker takes the next batch as soon as it is free
+ * - Progress callbacks as batches finish
+ * - Terminating the pool rejects the batches still running
+ */
+
+class CAWorkerPool {
+  /**
+   * Create a pool (workers start on init)
+   *
+   * @param {number} [size] - Number of workers (default: hardware threads, at least 1)
+   */
+  constructor(size) {
+    const threads = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+    this.size = Math.max(1, size || threads || 4);
+    this.workers = [];
+  }
+
+  /**
+   * Start the workers
+   *
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.workers = Array.from({ length: this.size }, () => new CAWorkerManager());
+    await Promise.all(this.workers.map((worker) => worker.init(0, 1, 1)));
+  }
+
+  /**
+   * Sample the attractors of elementary rules over a range of ring widths
+   * (see censusRule in census.js), a few rules per batch
+   *
+   * @param {number[]} rules - Elementary rules (0-255)
+   * @param {number[]} widths - Smallest and largest ring width, inclusive
+   * @param {Object} [options] - Sampling settings (see CAWorkerManager.census)
+   * @param {Function} [onProgress] - Called with (rules done, rules total) after each batch
+   * @param {number} [batchSize=4] - Rules per batch
+   * @returns {Promise<Object[]>} One record per rule and width, by rule then width
+   */
+  async census(rules, widths, options = {}, onProgress = null, batchSize = 4) {
+    if (this.workers.length === 0) {
+      throw new Error('Worker pool not initialized. Call init() first.');
+    }
+
+    const batches = [];
+    for (let i = 0; i < rules.length; i += batchSize) {
+      batches.push(rules.slice(i, i + batchSize));
+    }
+
+    const records = [];
+    let done = 0;
+
+    // Each worker keeps taking the next batch until the queue is empty
+    const drain = async (worker) => {
+      while (batches.length > 0) {
+        const batch = batches.shift();
+        const response = await worker.census(batch, widths, options);
+        records.push(...response.records);
+        done += batch.length;
+        if (onProgress) {
+          onProgress(done, rules.length);
+        }
+      }
+    };
+    await Promise.all(this.workers.map(drain));
+
+    return records.sort((a, b) => a.rule - b.rule || a.width - b.width);
+  }
+
+  /**
+   * Terminate every worker
+   */
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CAWorkerPool };
+}
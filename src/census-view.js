@@ -0,0 +1,378 @@
+/**
+ * CensusView - Results of the whole-rule-space attractor census
+ *
+ * Shows one record per rule and ring width (see censusRule in census.js) as
+ * a sortable table and as a heatmap of rules (columns) against widths
+ * (rows), colored by the chosen metric on a log scale. Clicking a heatmap
+ * cell or a table row loads that rule. The records export as JSON or CSV.
+ * Injects its panel below the canvas, hidden until a census starts.
+ *
+ * @version 1.0.0
+ */
+
+class CensusView {
+    /**
+     * Initialize an empty census view
+     */
+    constructor() {
+        // Census records (by rule, then width) and the settings they were made with
+        this.records = [];
+        this.settings = null;
+
+        // Table order and heatmap metric
+        this.sortKey = 'rule';
+        this.sortAscending = true;
+        this.metric = 'cycles';
+
+        // Columns: record key, heading and formatting
+        this.columns = [
+            { key: 'rule', label: 'Rule', format: (v) => String(v) },
+            { key: 'width', label: 'Width', format: (v) => String(v) },
+            { key: 'cycles', label: 'Cycles', format: (v) => String(v) },
+            { key: 'longestPeriod', label: 'Longest period', format: (v) => String(v) },
+            { key: 'meanTransient', label: 'Mean transient', format: (v) => (v === null ? '-' : v.toFixed(2)) },
+            { key: 'unresolved', label: 'Unresolved', format: (v) => String(v) }
+        ];
+
+        // Heatmap cell size in pixels
+        this.cellWidth = 3;
+        this.cellHeight = 12;
+
+        // Cyberpunk heatmap gradient, low to high
+        this.gradient = ['#0a0a14', '#ff00ff', '#ffff00'];
+
+        this.callbacks = {
+            onSelectRule: null
+        };
+    }
+
+    /**
+     * Inject the census panel below the canvas
+     */
+    setupUI() {
+        const censusHTML = `
+            <section id="census-panel" class="census-cyberpunk" style="display: none;">
+                <div class="census-header">
+                    <span class="census-title">RULE-SPACE CENSUS</span>
+                    <span id="census-status"></span>
+                    <label for="census-metric-select">Heatmap:</label>
+                    <select id="census-metric-select">
+                        <option value="cycles">Cycles</option>
+                        <option value="longestPeriod">Longest period</option>
+                        <option value="meanTransient">Mean transient</option>
+                    </select>
+                </div>
+                <canvas id="census-heatmap" title="Click a cell to load its rule"></canvas>
+                <div class="census-table-wrap">
+                    <table id="census-table"></table>
+                </div>
+            </section>
+
+            <style>
+                .census-cyberpunk {
+                    background: rgba(0, 0, 0, 0.3);
+                    border: 1px solid #00b8b8;
+                    border-radius: 6px;
+                    padding: 10px 15px;
+                    margin-top: 10px;
+                    font-family: 'Courier New', monospace;
+                    color: #00b8b8;
+                }
+
+                .census-cyberpunk .census-header {
+                    display: flex;
+                    align-items: center;
+                    gap: 12px;
+                    margin-bottom: 8px;
+                }
+
+                .census-cyberpunk .census-title {
+                    color: #ff00ff;
+                    font-weight: bold;
+                }
+
+                .census-cyberpunk #census-heatmap {
+                    display: block;
+                    max-width: 100%;
+                    cursor: crosshair;
+                    image-rendering: pixelated;
+                }
+
+                .census-cyberpunk .census-table-wrap {
+                    max-height: 240px;
+                    overflow-y: auto;
+                    margin-top: 8px;
+                }
+
+                .census-cyberpunk table {
+                    border-collapse: collapse;
+                    font-size: 12px;
+                }
+
+                .census-cyberpunk th {
+                    cursor: pointer;
+                    color: #ff00ff;
+                    text-align: right;
+                    padding: 2px 10px;
+                    position: sticky;
+                    top: 0;
+                    background: #0a0a14;
+                }
+
+                .census-cyberpunk td {
+                    text-align: right;
+                    padding: 1px 10px;
+                }
+
+                .census-cyberpunk tbody tr:hover {
+                    background: rgba(0, 184, 184, 0.2);
+                    cursor: pointer;
+                }
+            </style>
+        `;
+
+        // Inject below the canvas
+        const container = document.getElementById('canvas-container');
+        if (container) {
+            container.insertAdjacentHTML('afterend', censusHTML);
+        } else {
+            document.body.insertAdjacentHTML('beforeend', censusHTML);
+        }
+
+        this._attachEventListeners();
+    }
+
+    /**
+     * Attach event listeners to the table headings, metric selector and heatmap
+     * @private
+     */
+    _attachEventListeners() {
+        const table = document.getElementById('census-table');
+        if (table) {
+            table.addEventListener('click', (e) => {
+                const heading = e.target.closest('th');
+                if (heading) {
+                    // Same column flips the order; a new column sorts ascending
+                    const key = heading.dataset.key;
+                    this.sortAscending = key === this.sortKey ? !this.sortAscending : true;
+                    this.sortKey = key;
+                    this._renderTable();
+                    return;
+                }
+
+                const row = e.target.closest('tr[data-rule]');
+                if (row && this.callbacks.onSelectRule) {
+                    this.callbacks.onSelectRule(parseInt(row.dataset.rule, 10));
+                }
+            });
+        }
+
+        const metricSelect = document.getElementById('census-metric-select');
+        if (metricSelect) {
+            metricSelect.addEventListener('change', (e) => {
+                this.metric = e.target.value;
+                this._renderHeatmap();
+            });
+        }
+
+        const heatmap = document.getElementById('census-heatmap');
+        if (heatmap) {
+            heatmap.addEventListener('mousemove', (e) => {
+                const record = this._recordAt(heatmap, e);
+                heatmap.title = record
+                    ? `Rule ${record.rule}, width ${record.width}: ${record.cycles} cycles, ` +
+                      `longest period ${record.longestPeriod}, mean transient ` +
+                      `${record.meanTransient === null ? '-' : record.meanTransient.toFixed(2)}`
+                    : 'Click a cell to load its rule';
+            });
+
+            heatmap.addEventListener('click', (e) => {
+                const record = this._recordAt(heatmap, e);
+                if (record && this.callbacks.onSelectRule) {
+                    this.callbacks.onSelectRule(record.rule);
+                }
+            });
+        }
+    }
+
+    /**
+     * Start showing a new census
+     * @param {Object} settings - Census settings
+     * @param {number[]} settings.widths - Smallest and largest ring width
+     * @param {number} settings.samples - Random seeds per rule and width
+     * @param {number} settings.maxGenerations - Generations a seed may run
+     * @param {number} settings.seed - Seed of the first run
+     */
+    start(settings) {
+        this.settings = settings;
+        this.records = [];
+        this.setStatus('Starting...');
+        this._render();
+
+        const panel = document.getElementById('census-panel');
+        if (panel) panel.style.display = 'block';
+    }
+
+    /**
+     * Show census progress or an outcome
+     * @param {string} status - Status text
+     */
+    setStatus(status) {
+        const statusSpan = document.getElementById('census-status');
+        if (statusSpan) statusSpan.textContent = status;
+    }
+
+    /**
+     * Show the finished census
+     * @param {Object[]} records - One record per rule and width (see censusRule)
+     */
+    setRecords(records) {
+        this.records = records;
+        this._render();
+    }
+
+    /**
+     * Whether there are records to export
+     * @returns {boolean} True once a census has finished
+     */
+    hasRecords() {
+        return this.records.length > 0;
+    }
+
+    /**
+     * Census as JSON
+     * @returns {string} Settings and records
+     */
+    toJSON() {
+        return JSON.stringify({ settings: this.settings, records: this.records }, null, 2) + '\n';
+    }
+
+    /**
+     * Census as CSV
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const lines = [['rule', 'width', 'samples', 'cycles', 'longest_period', 'mean_transient', 'unresolved'].join(',')];
+        for (const record of this.records) {
+            lines.push([
+                record.rule,
+                record.width,
+                record.samples,
+                record.cycles,
+                record.longestPeriod,
+                record.meanTransient === null ? '' : record.meanTransient.toFixed(6),
+                record.unresolved
+            ].join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Redraw the table and the heatmap
+     * @private
+     */
+    _render() {
+        this._renderTable();
+        this._renderHeatmap();
+    }
+
+    /**
+     * Rebuild the table in the current sort order (rule and width break ties)
+     * @private
+     */
+    _renderTable() {
+        const table = document.getElementById('census-table');
+        if (!table) return;
+
+        const key = this.sortKey;
+        const direction = this.sortAscending ? 1 : -1;
+        const value = (record) => (record[key] === null ? -1 : record[key]);
+        const sorted = [...this.records].sort((a, b) =>
+            direction * (value(a) - value(b)) || a.rule - b.rule || a.width - b.width);
+
+        const headings = this.columns.map((column) => {
+            const arrow = column.key === key ? (this.sortAscending ? ' ▲' : ' ▼') : '';
+            return `<th data-key="${column.key}">${column.label}${arrow}</th>`;
+        }).join('');
+
+        const rows = sorted.map((record) =>
+            `<tr data-rule="${record.rule}">${this.columns.map((column) =>
+                `<td>${column.format(record[column.key])}</td>`).join('')}</tr>`
+        ).join('');
+
+        table.innerHTML = `<thead><tr>${headings}</tr></thead><tbody>${rows}</tbody>`;
+    }
+
+    /**
+     * Redraw the heatmap: one column per rule, one row per width, log-scaled color
+     * @private
+     */
+    _renderHeatmap() {
+        const heatmap = document.getElementById('census-heatmap');
+        if (!heatmap || !heatmap.getContext || !this.settings) return;
+
+        const [minWidth, maxWidth] = this.settings.widths;
+        heatmap.width = 256 * this.cellWidth;
+        heatmap.height = (maxWidth - minWidth + 1) * this.cellHeight;
+
+        const context = heatmap.getContext('2d');
+        context.fillStyle = this.gradient[0];
+        context.fillRect(0, 0, heatmap.width, heatmap.height);
+
+        const values = this.records.map((record) => record[this.metric] || 0);
+        const top = Math.log1p(Math.max(1, ...values));
+
+        for (const record of this.records) {
+            const t = Math.log1p(record[this.metric] || 0) / top;
+            context.fillStyle = this._colorAt(t);
+            context.fillRect(
+                record.rule * this.cellWidth,
+                (record.width - minWidth) * this.cellHeight,
+                this.cellWidth,
+                this.cellHeight
+            );
+        }
+    }
+
+    /**
+     * Color of a heatmap value
+     * @param {number} t - Value scaled to 0..1
+     * @returns {string} CSS color
+     * @private
+     */
+    _colorAt(t) {
+        const stops = this.gradient.length - 1;
+        const position = Math.min(Math.max(t, 0), 1) * stops;
+        const i = Math.min(Math.floor(position), stops - 1);
+        return interpolateColor(this.gradient[i], this.gradient[i + 1], position - i);
+    }
+
+    /**
+     * Record under the mouse on the heatmap
+     * @param {HTMLCanvasElement} heatmap - Heatmap canvas
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object|null} Record, or null outside the computed cells
+     * @private
+     */
+    _recordAt(heatmap, event) {
+        if (!this.settings) return null;
+
+        // The canvas may be scaled down to fit the page
+        const bounds = heatmap.getBoundingClientRect();
+        const x = (event.clientX - bounds.left) * (heatmap.width / bounds.width);
+        const y = (event.clientY - bounds.top) * (heatmap.height / bounds.height);
+        const rule = Math.floor(x / this.cellWidth);
+        const width = this.settings.widths[0] + Math.floor(y / this.cellHeight);
+
+        return this.records.find((record) => record.rule === rule && record.width === width) || null;
+    }
+
+    /**
+     * Register callback functions for census view events
+     * @param {Object} callbacks - Object containing callback functions
+     */
+    setCallbacks(callbacks) {
+        this.callbacks = { ...this.callbacks, ...callbacks };
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Attractor census
+ *
+ * Samples the attractors an elementary rule reaches on rings of a given
+ * width: each random seed is stepped with a CAEngine until a row repeats,
+ * which gives the seed's transient length and the period of the cycle it
+ * falls into. Cycles are told apart by their smallest state (the row read as
+ * a binary number, cell 0 most significant), so the census counts distinct
+ * cycles on the ring, not up to rotation. Seeds are drawn from the engine's
+ * PRNG, so the same seed reproduces the same census.
+ */
+
+/**
+ * Widest ring sampled (rows are keyed as exact integers)
+ * @constant {number}
+ */
+const CENSUS_MAX_WIDTH = 32;
+
+/**
+ * Sample the attractors of one rule on a ring
+ *
+ * @param {number} rule - Elementary rule (0-255)
+ * @param {number} width - Ring width (1 to CENSUS_MAX_WIDTH)
+ * @param {Object} [options] - Sampling settings
+ * @param {number} [options.samples=32] - Random seeds run
+ * @param {number} [options.maxGenerations=10000] - Generations a seed may run before it is
+ *   given up on (counted as unresolved)
+ * @param {number} [options.seed=1] - Seed of the first run; run i uses seed + i
+ * @returns {{rule: number, width: number, samples: number, cycles: number, longestPeriod: number,
+ *   meanTransient: number|null, unresolved: number}} Distinct cycles reached, longest period and
+ *   mean transient length (null if no seed reached a cycle)
+ */
+function censusRule(rule, width, options = {}) {
+  const { samples = 32, maxGenerations = 10000, seed = 1 } = options;
+
+  const engine = new CAEngine(0, width, 2);
+  engine.setRule(rule);
+
+  const cycles = new Set();
+  let longestPeriod = 0;
+  let transientSum = 0;
+  let resolved = 0;
+  let unresolved = 0;
+
+  for (let i = 0; i < samples; i++) {
+    engine.setInitialCondition('random', { density: 0.5, seed: seed + i });
+
+    // Generation each row was first seen, and the rows in order
+    const seen = new Map();
+    const history = [];
+    let key = censusRowKey(engine);
+
+    while (!seen.has(key) && history.length <= maxGenerations) {
+      seen.set(key, history.length);
+      history.push(key);
+      engine.step();
+      key = censusRowKey(engine);
+    }
+
+    if (!seen.has(key)) {
+      unresolved++;
+      continue;
+    }
+
+    const transient = seen.get(key);
+    const period = history.length - transient;
+    let smallest = key;
+    for (let g = transient; g < history.length; g++) {
+      smallest = Math.min(smallest, history[g]);
+    }
+
+    cycles.add(smallest);
+    longestPeriod = Math.max(longestPeriod, period);
+    transientSum += transient;
+    resolved++;
+  }
+
+  return {
+    rule,
+    width,
+    samples,
+    cycles: cycles.size,
+    longestPeriod,
+    meanTransient: resolved > 0 ? transientSum / resolved : null,
+    unresolved
+  };
+}
+
+/**
+ * Current row of an engine as a binary number (cell 0 most significant)
+ *
+ * @param {CAEngine} engine - Engine of an elementary rule
+ * @returns {number} Row key
+ * @private
+ */
+function censusRowKey(engine) {
+  const state = engine.getState();
+  const offset = (engine.getGeneration() % engine.height) * engine.width;
+  let key = 0;
+  for (let x = 0; x < engine.width; x++) {
+    key = key * 2 + state[offset + x];
+  }
+  return key;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CENSUS_MAX_WIDTH,
+    censusRule
+  };
+}
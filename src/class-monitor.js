@@ -0,0 +1,462 @@
+/**
+ * ClassMonitor - Live Wolfram class estimate for the current run
+ *
+ * Watches the space-time diagram as the engine produces it and estimates
+ * which of Wolfram's four classes the rule and seed fall into:
+ *   I   uniform  - everything dies out to a single state
+ *   II  periodic - settles into fixed or repeating (possibly moving) patterns
+ *   III chaotic  - disordered, high-entropy, incompressible
+ *   IV  complex  - localized structures moving over an ordered background
+ * Evidence: density convergence, period detection over a window of recent
+ * rows, local order (how much of the diagram repeats with a small period,
+ * like the ether behind rule 110's gliders), spatial block entropy and
+ * space-time compressibility (LZ78).
+ *
+ * @version 1.0.0
+ */
+
+class ClassMonitor {
+    /**
+     * Initialize the class estimator and its overlay
+     */
+    constructor() {
+        // Analysis settings
+        this.windowSize = 96;       // Recent rows kept for analysis
+        this.sampleWidth = 256;     // Columns analyzed (centered slice of wider rows)
+        this.warmup = 64;           // Generations before the first estimate
+        this.analyzeEvery = 16;     // Generations between analyses
+        this.maxLocalPeriod = 8;    // Longest background period looked for
+
+        // Run state
+        this.rows = [];             // Sampled recent rows, oldest first
+        this.keys = [];             // Row hashes (rotation-invariant on periodic rings)
+        this.offsets = [];          // Start of each row's least rotation (0 off periodic rings)
+        this.densities = [];        // Mean state per sampled row
+        this.lastGeneration = -1;
+        this.lastAnalysis = -1;
+        this.estimate = null;
+
+        // Scratch buffer for leastRotation
+        this.failure = new Int32Array(0);
+
+        // LZ78 phrase counts of random data, keyed by "length:states"
+        this.randomPhrases = new Map();
+
+        // Display settings
+        this.visible = true;
+        this.x = 10; // Position from bottom-left
+        this.y = 10;
+        this.width = 230;
+        this.height = 100;
+        this.padding = 10;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            I: '#888888',
+            II: '#00ff00',
+            III: '#ff0066',
+            IV: '#ffff00',
+            bg: 'rgba(10, 10, 20, 0.85)',
+            text: '#00b8b8',
+            accent: '#ff00ff'
+        };
+    }
+
+    /**
+     * Forget the current run (call when the run restarts or the rule changes)
+     */
+    reset() {
+        this.rows = [];
+        this.keys = [];
+        this.offsets = [];
+        this.densities = [];
+        this.lastGeneration = -1;
+        this.lastAnalysis = -1;
+        this.estimate = null;
+    }
+
+    /**
+     * Read the rows the engine produced since the last call and refresh the estimate
+     * @param {CAEngine} engine - Engine of the current run
+     */
+    update(engine) {
+        const generation = engine.getGeneration();
+        const height = engine.height;
+
+        // Stepping backwards or jumping past the buffer starts a fresh observation
+        if (generation < this.lastGeneration || generation - this.lastGeneration > height) {
+            this.reset();
+        }
+        if (generation === this.lastGeneration) {
+            return;
+        }
+
+        const first = Math.max(this.lastGeneration + 1, generation - Math.min(height, this.windowSize) + 1);
+        const periodic = engine.getBoundary().mode === 'periodic' && engine.getLatticeMode() === 'ring';
+
+        for (let g = first; g <= generation; g++) {
+            this._addRow(engine.getRow(g % height), engine.getStateCount(), periodic);
+        }
+        this.lastGeneration = generation;
+
+        if (generation >= this.warmup && generation - this.lastAnalysis >= this.analyzeEvery) {
+            this.estimate = this._classify(engine.getStateCount(), engine.getCycleInfo(), engine.getRow(generation % height));
+            this.lastAnalysis = generation;
+        }
+    }
+
+    /**
+     * Current estimate
+     * @returns {{wolframClass: string, reason: string, entropy: number, compression: number,
+     *   order: number, density: number, period: number|null}|null} Estimate, or null while warming up
+     */
+    getEstimate() {
+        return this.estimate;
+    }
+
+    /**
+     * Record one row: sampled cells, hash and density
+     * @param {Uint8Array} row - Full engine row
+     * @param {number} states - Number of cell states k
+     * @param {boolean} periodic - Whether the row is a periodic ring
+     * @private
+     */
+    _addRow(row, states, periodic) {
+        const start = Math.max(0, Math.floor((row.length - this.sampleWidth) / 2));
+        const cells = row.subarray(start, start + this.sampleWidth).slice();
+
+        // Hash the whole row from its least rotation, so moving patterns repeat too
+        if (this.failure.length < 2 * row.length) {
+            this.failure = new Int32Array(2 * row.length);
+        }
+        const offset = periodic ? leastRotation(row, this.failure) : 0;
+        let hash = 0x811c9dc5;
+        let sum = 0;
+        for (let i = 0; i < row.length; i++) {
+            const value = row[(offset + i) % row.length];
+            hash = Math.imul(hash ^ value, 0x01000193);
+            sum += value;
+        }
+
+        this.rows.push(cells);
+        this.keys.push(hash >>> 0);
+        this.offsets.push(offset);
+        this.densities.push(sum / (row.length * (states - 1)));
+
+        if (this.rows.length > this.windowSize) {
+            this.rows.shift();
+            this.keys.shift();
+            this.offsets.shift();
+            this.densities.shift();
+        }
+    }
+
+    /**
+     * Estimate the class from the window of recent rows
+     * @param {number} states - Number of cell states k
+     * @param {Object} cycleInfo - Result of CAEngine.getCycleInfo()
+     * @param {Uint8Array} row - Newest row (whole)
+     * @returns {Object} Estimate (see getEstimate)
+     * @private
+     */
+    _classify(states, cycleInfo, row) {
+        const entropy = this._blockEntropy(states);
+        const compression = this._compressibility(states);
+        const order = this._localOrder(states);
+        const density = this.densities[this.densities.length - 1];
+        const found = cycleInfo.status === 'found';
+        const period = found ? cycleInfo.period : this._windowPeriod();
+        const metrics = { entropy, compression, order, density, period };
+
+        // Class I: density has converged to a uniform row that stays uniform
+        const last = this.rows[this.rows.length - 1];
+        if (period === 1 && last.every((value) => value === last[0])) {
+            return { wolframClass: 'I', reason: 'Dies out to a uniform state', ...metrics };
+        }
+
+        // Class II: the row (up to rotation) repeats, possibly moved along the ring
+        if (period !== null) {
+            const shift = found ? cycleInfo.shift : this._windowShift(period, row);
+            const moved = `${Math.abs(shift)} cell${Math.abs(shift) === 1 ? '' : 's'} ${shift > 0 ? 'right' : 'left'}`;
+            let reason;
+            if (shift === 0) {
+                reason = period === 1 ? 'Freezes into a fixed pattern' : `Repeats with period ${period}`;
+            } else {
+                reason = period === 1 ? `Shifts ${moved} per generation` : `Repeats with period ${period}, shifted ${moved}`;
+            }
+            return { wolframClass: 'II', reason, ...metrics };
+        }
+
+        // Aperiodic: chaos has no ordered background, complexity has one with structures on it
+        if (order < 0.5 && compression > 0.5) {
+            return { wolframClass: 'III', reason: 'Disordered: no local order, incompressible', ...metrics };
+        }
+        if (order < 0.97) {
+            return { wolframClass: 'IV', reason: 'Structures moving over an ordered background', ...metrics };
+        }
+        return { wolframClass: 'II', reason: 'Nearly periodic: regular pattern', ...metrics };
+    }
+
+    /**
+     * Local order: how well the window predicts itself from a small space-time offset
+     * For each offset (period p, shift s) counts cells equal to the cell p rows
+     * earlier and s columns over, rescaled so chance agreement is 0 and a perfect
+     * match is 1, and keeps the best offset. Ordered backgrounds score high even
+     * with gliders crossing them; chaotic rows stay low.
+     * @param {number} states - Number of cell states k
+     * @returns {number} Order (about 0 for chaos, 1 for locally periodic patterns)
+     * @private
+     */
+    _localOrder(states) {
+        const rows = this.rows;
+        const maxPeriod = Math.min(this.maxLocalPeriod, rows.length - 1);
+        const width = rows[0].length;
+
+        // Chance that two cells agree, from the state frequencies
+        const frequencies = new Array(states).fill(0);
+        for (const row of rows) {
+            for (let x = 0; x < width; x++) frequencies[row[x]]++;
+        }
+        const chance = frequencies.reduce((sum, count) => sum + (count / (rows.length * width)) ** 2, 0);
+        if (chance >= 1) return 1;
+
+        let best = 0;
+        for (let p = 1; p <= maxPeriod; p++) {
+            for (let shift = -p; shift <= p; shift++) {
+                let agree = 0;
+                let total = 0;
+                for (let t = p; t < rows.length; t++) {
+                    const row = rows[t];
+                    const earlier = rows[t - p];
+                    for (let x = maxPeriod; x < width - maxPeriod; x++) {
+                        if (row[x] === earlier[x + shift]) agree++;
+                    }
+                    total += width - 2 * maxPeriod;
+                }
+                best = Math.max(best, (agree / total - chance) / (1 - chance));
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Smallest period (up to half the window) with which the recent row hashes repeat
+     * @returns {number|null} Period, or null if none
+     * @private
+     */
+    _windowPeriod() {
+        const keys = this.keys;
+        const span = Math.floor(keys.length / 2);
+
+        for (let period = 1; period <= span; period++) {
+            let repeats = true;
+            for (let t = keys.length - span; t < keys.length; t++) {
+                if (keys[t] !== keys[t - period]) {
+                    repeats = false;
+                    break;
+                }
+            }
+            if (repeats) {
+                return period;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Cells the newest row moved since the row one period earlier
+     * Difference of their least-rotation starts, modulo the row's own
+     * rotational symmetry (a blank row has shift 0).
+     * @param {number} period - Period found by _windowPeriod()
+     * @param {Uint8Array} row - Newest row (whole)
+     * @returns {number} Shift in cells (positive = rightward)
+     * @private
+     */
+    _windowShift(period, row) {
+        const width = row.length;
+        let symmetry = width;
+        for (let d = 1; d < width; d++) {
+            if (width % d !== 0) continue;
+            let same = true;
+            for (let x = 0; x < width && same; x++) {
+                same = row[x] === row[(x + d) % width];
+            }
+            if (same) {
+                symmetry = d;
+                break;
+            }
+        }
+
+        const last = this.offsets.length - 1;
+        const shift = (((this.offsets[last] - this.offsets[last - period]) % symmetry) + symmetry) % symmetry;
+        return shift > symmetry / 2 ? shift - symmetry : shift;
+    }
+
+    /**
+     * Spatial block entropy per cell, normalized to 0..1
+     * Blocks are as long as fits in 256 distinct values (8 cells for binary rules).
+     * @param {number} states - Number of cell states k
+     * @returns {number} Entropy (1 for uniformly random rows)
+     * @private
+     */
+    _blockEntropy(states) {
+        const blockLength = Math.max(2, Math.floor(Math.log(256) / Math.log(states)));
+        const counts = new Map();
+        let total = 0;
+
+        for (const row of this.rows) {
+            for (let x = 0; x + blockLength <= row.length; x++) {
+                let block = 0;
+                for (let i = 0; i < blockLength; i++) {
+                    block = block * states + row[x + i];
+                }
+                counts.set(block, (counts.get(block) || 0) + 1);
+                total++;
+            }
+        }
+
+        // Fewer samples than possible blocks cap the measurable entropy
+        const maxEntropy = Math.min(blockLength * Math.log2(states), Math.log2(total));
+        let entropy = 0;
+        for (const count of counts.values()) {
+            const p = count / total;
+            entropy -= p * Math.log2(p);
+        }
+
+        return maxEntropy > 0 ? entropy / maxEntropy : 0;
+    }
+
+    /**
+     * LZ78 complexity of the space-time window relative to random data
+     * @param {number} states - Number of cell states k
+     * @returns {number} Compressibility measure (about 1 for random data, low = compressible)
+     * @private
+     */
+    _compressibility(states) {
+        const cells = [];
+        for (const row of this.rows) {
+            for (let x = 0; x < row.length; x++) cells.push(row[x]);
+        }
+        if (cells.length === 0) return 0;
+
+        // Reference: the same amount of uniformly random cells (fixed PRNG, cached)
+        const key = `${cells.length}:${states}`;
+        if (!this.randomPhrases.has(key)) {
+            let state = 0x9e3779b9;
+            const random = cells.map(() => {
+                state = Math.imul(state ^ (state >>> 15), 0x2c1b3c6d) + 0x6d2b79f5 | 0;
+                return ((state >>> 0) % states);
+            });
+            this.randomPhrases.set(key, this._countPhrases(random, states));
+        }
+
+        return this._countPhrases(cells, states) / this.randomPhrases.get(key);
+    }
+
+    /**
+     * Number of phrases in the LZ78 parse of a sequence
+     * @param {number[]} cells - Cell states
+     * @param {number} states - Number of cell states k
+     * @returns {number} Phrase count
+     * @private
+     */
+    _countPhrases(cells, states) {
+        // Phrase trie: child index per (node, symbol)
+        const children = new Map();
+        let nodes = 1;
+        let node = 0;
+        let phrases = 0;
+
+        for (const value of cells) {
+            const child = children.get(node * states + value);
+            if (child === undefined) {
+                children.set(node * states + value, nodes++);
+                phrases++;
+                node = 0;
+            } else {
+                node = child;
+            }
+        }
+
+        return phrases;
+    }
+
+    /**
+     * Render the class estimate overlay to the canvas
+     * @param {p5} p - p5.js instance
+     */
+    render(p) {
+        if (!this.visible) return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Calculate position (bottom-left corner)
+        const posX = -p.width / 2 + this.x;
+        const posY = p.height / 2 - this.height - this.y;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, this.width, this.height);
+
+        p.textAlign(p.LEFT, p.TOP);
+        const estimate = this.estimate;
+
+        if (!estimate) {
+            p.textSize(20);
+            p.fill(this.colors.text);
+            p.text('Class: ...', posX + this.padding, posY + this.padding);
+            p.textSize(11);
+            p.text('Watching the first generations', posX + this.padding, posY + this.padding + 28);
+            p.pop();
+            return;
+        }
+
+        // Headline: class, color-coded
+        p.textSize(20);
+        p.fill(this.colors[estimate.wolframClass]);
+        p.text(`Class ${estimate.wolframClass}`, posX + this.padding, posY + this.padding);
+
+        p.textSize(12);
+        p.fill(this.colors.text);
+        p.text(estimate.reason, posX + this.padding, posY + this.padding + 28);
+
+        // Evidence
+        p.textSize(11);
+        p.fill(this.colors.accent);
+        p.text(
+            `Entropy: ${estimate.entropy.toFixed(2)} | LZ: ${estimate.compression.toFixed(2)} | Order: ${estimate.order.toFixed(2)}`,
+            posX + this.padding,
+            posY + this.padding + 50
+        );
+        p.text(
+            `Density: ${estimate.density.toFixed(2)} | Period: ${estimate.period === null ? '-' : estimate.period}`,
+            posX + this.padding,
+            posY + this.padding + 66
+        );
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Show or hide the class overlay
+     * @param {boolean} visible - Whether to display the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
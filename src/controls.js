@@ -7,6 +7,39 @@
  * @version 1.0.0
  */
 
+// ============================================================================
+// INITIAL PATTERN OPTIONS
+// ============================================================================
+
+/**
+ * Initial-condition patterns offered in the Start selector
+ * @constant {Object<string, string>}
+ */
+const INITIAL_PATTERN_LABELS = {
+    single: 'Single cell',
+    random: 'Random',
+    points: 'Points',
+    block: 'Block',
+    tile: 'Tile',
+    gradient: 'Gradient',
+    window: 'Noise window',
+    text: 'Text'
+};
+
+/**
+ * What the Start parameter input means for each pattern
+ * @constant {Object<string, string>}
+ */
+const INITIAL_PARAM_HINTS = {
+    random: 'Density 0-1',
+    points: 'Number of points',
+    block: 'Block width',
+    tile: 'Tile bits, e.g. 110',
+    gradient: 'Density from,to e.g. 0,1',
+    window: 'Window width',
+    text: 'ASCII text'
+};
+
 // ============================================================================
 // CONTROL MANAGER CLASS
 // ============================================================================
@@ -17,20 +50,91 @@ class ControlManager {
      */
     constructor() {
         this.state = {
+            dimension: '1d',
+            lifeRule: 'B3/S23',
             rule: 30,
+            ruleRadius: 1,
+            ruleEncoding: 'wolfram',
+            ruleStates: 2,
+            ruleReversible: false,
+            direction: 'forward',
+            schedule: '',
+            noiseFlip: 0,
+            noiseRuleB: '',
+            noiseRuleBProbability: 0,
+            noiseTable: '',
+            seed: ControlManager.randomSeed(),
+            initialPattern: 'single',
+            initialParams: {
+                random: '0.5',
+                points: '5',
+                block: '10',
+                tile: '110',
+                gradient: '0,1',
+                window: '64',
+                text: 'CA'
+            },
             isPaused: false,
             speed: 1.0,
             palette: 'synthwave',
-            cellScale: 4
+            cellScale: 4,
+            boundary: 'periodic',
+            boundarySequence: '01',
+            lattice: 'ring',
+            zoneRule: 90,
+            zonePaint: false,
+            drawRow: false,
+            basinPanel: false,
+            basinWidth: 10,
+            censusWidths: '8-16',
+            censusSamples: 32,
+            zoneTint: true,
+            cycleMode: 'report',
+            damageMode: 'off',
+            damageCells: '',
+            domainMode: 'off',
+            domainWords: '11111000100110',
+            updateScheme: 'synchronous',
+            updateAlpha: 0.5,
+            updateBlockSize: 8,
+            memoryType: 'none',
+            memoryDepth: 3,
+            memoryAlpha: 0.75,
+            backend: 'bitpacked'
         };
 
         this.callbacks = {
+            onDimensionChange: null,
+            onLifeRuleChange: null,
             onRuleChange: null,
             onPlayPause: null,
             onReset: null,
             onSpeedChange: null,
             onPaletteChange: null,
-            onZoomChange: null
+            onZoomChange: null,
+            onBoundaryChange: null,
+            onLatticeChange: null,
+            onUpdateSchemeChange: null,
+            onMemoryChange: null,
+            onCycleModeChange: null,
+            onExportStats: null,
+            onDamageChange: null,
+            onDomainChange: null,
+            onScheduleChange: null,
+            onZoneClear: null,
+            onZoneTintChange: null,
+            onBackendChange: null,
+            onDirectionChange: null,
+            onNoiseChange: null,
+            onSeedChange: null,
+            onNewSeed: null,
+            onJumpTo: null,
+            onFindPreimages: null,
+            onPreimageStepBack: null,
+            onBasinChange: null,
+            onRunCensus: null,
+            onExportCensus: null,
+            onInitialPatternChange: null
         };
 
         // Debounce timers
@@ -44,12 +148,209 @@ class ControlManager {
         const controlsHTML = `
             <div id="controls-panel" class="controls-cyberpunk">
                 <div class="control-group">
-                    <label for="rule-input">Rule (0-255):</label>
-                    <input type="number" id="rule-input" min="0" max="255" value="${this.state.rule}">
+                    <label for="dimension-select">Mode:</label>
+                    <select id="dimension-select">
+                        <option value="1d" ${this.state.dimension === '1d' ? 'selected' : ''}>1D elementary</option>
+                        <option value="2d" ${this.state.dimension === '2d' ? 'selected' : ''}>2D Life-like</option>
+                    </select>
+                    <span id="life-rule-controls" style="display: ${this.state.dimension === '2d' ? 'inline' : 'none'};">
+                        <input type="text" id="life-rule-input" size="12" value="${this.state.lifeRule}"
+                            title="B/S rulestring: neighbor counts for birth and survival (e.g. B3/S23)">
+                        <select id="life-preset-select" title="Well-known Life-like rules">
+                            <option value="">Preset...</option>
+                            <option value="B3/S23">Life</option>
+                            <option value="B36/S23">HighLife</option>
+                            <option value="B2/S">Seeds</option>
+                            <option value="B3678/S34678">Day &amp; Night</option>
+                        </select>
+                    </span>
+                </div>
+                <div class="control-group">
+                    <label for="rule-input" id="rule-label">${this._getRuleLabel()}</label>
+                    <input type="${this._getRuleInputType()}" id="rule-input" min="0" value="${this._formatRule(this.state.rule)}"
+                        title="Decimal, or hex with a 0x prefix for large codes">
+                    <select id="rule-radius-select" title="Neighborhood radius">
+                        <option value="1" ${this.state.ruleRadius === 1 ? 'selected' : ''}>r=1</option>
+                        <option value="2" ${this.state.ruleRadius === 2 ? 'selected' : ''}>r=2</option>
+                        <option value="3" ${this.state.ruleRadius === 3 ? 'selected' : ''}>r=3</option>
+                    </select>
+                    <select id="rule-encoding-select" title="Rule encoding">
+                        <option value="wolfram" ${this.state.ruleEncoding === 'wolfram' ? 'selected' : ''}>Wolfram</option>
+                        <option value="totalistic" ${this.state.ruleEncoding === 'totalistic' ? 'selected' : ''}>Totalistic</option>
+                        <option value="outer-totalistic" ${this.state.ruleEncoding === 'outer-totalistic' ? 'selected' : ''}>Outer totalistic</option>
+                    </select>
+                    <select id="rule-states-select" title="Number of cell states (colors)">
+                        <option value="2" ${this.state.ruleStates === 2 ? 'selected' : ''}>k=2</option>
+                        <option value="3" ${this.state.ruleStates === 3 ? 'selected' : ''}>k=3</option>
+                        <option value="4" ${this.state.ruleStates === 4 ? 'selected' : ''}>k=4</option>
+                        <option value="5" ${this.state.ruleStates === 5 ? 'selected' : ''}>k=5</option>
+                    </select>
+                    <label for="rule-reversible-checkbox" title="Second-order rule: XOR with the previous row (e.g. 30R), runs backwards too">
+                        <input type="checkbox" id="rule-reversible-checkbox" ${this.state.ruleReversible ? 'checked' : ''}>2nd order
+                    </label>
+                </div>
+                <div class="control-group rule-info" id="rule-info">${this._getRuleInfoHTML()}</div>
+                <div class="control-group">
+                    <label for="schedule-input">Schedule:</label>
+                    <input type="text" id="schedule-input" placeholder="30*1, 45*1" value="${this.state.schedule}"
+                        title="Rule*generations, looped (e.g. 30*1, 45*1). A last rule without a count holds (e.g. 90*50, 150). Empty: fixed rule">
+                </div>
+                <div class="control-group">
+                    <label for="zone-rule-input">Zones:</label>
+                    <input type="text" id="zone-rule-input" value="${this._formatRule(this.state.zoneRule)}"
+                        title="Rule to paint; drag across the canvas in paint mode">
+                    <button id="zone-paint-btn" title="Drag across the canvas to paint rule zones">${this._getZonePaintLabel()}</button>
+                    <button id="zone-clear-btn" title="Every cell back to the main rule">Clear</button>
+                    <label for="zone-tint-checkbox" title="Tint cells by the rule zone that produced them">
+                        <input type="checkbox" id="zone-tint-checkbox" ${this.state.zoneTint ? 'checked' : ''}>Tint
+                    </label>
+                </div>
+                <div class="control-group">
+                    <label for="noise-flip-input">Noise:</label>
+                    <input type="number" id="noise-flip-input" min="0" max="1" step="0.001" value="${this.state.noiseFlip}"
+                        title="Per-cell flip probability">
+                    <label for="noise-rule-b-input">Rule B:</label>
+                    <input type="text" id="noise-rule-b-input" placeholder="none" value="${this.state.noiseRuleB}"
+                        title="Alternate rule code, same radius/encoding/states">
+                    <input type="number" id="noise-rule-b-probability-input" min="0" max="1" step="0.01"
+                        value="${this.state.noiseRuleBProbability}" title="Probability of applying rule B instead">
+                    <input type="text" id="noise-table-input" placeholder="P table" value="${this.state.noiseTable}"
+                        title="Probabilistic CA: P(next = 1) per neighborhood, comma separated (000 first, 8 values for r=1)">
+                </div>
+                <div class="control-group">
+                    <label for="initial-pattern-select">Start:</label>
+                    <select id="initial-pattern-select">
+                        ${Object.entries(INITIAL_PATTERN_LABELS).map(([value, label]) =>
+                            `<option value="${value}" ${this.state.initialPattern === value ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <input type="text" id="initial-param-input" value="${this._getInitialParam()}"
+                        placeholder="${this._getInitialParamHint()}" title="${this._getInitialParamHint()}"
+                        style="display: ${this.state.initialPattern === 'single' ? 'none' : 'inline-block'};">
+                    <label for="seed-input">Seed:</label>
+                    <input type="number" id="seed-input" min="0" step="1" value="${this.state.seed}"
+                        title="PRNG seed; the same seed replays the same random start and noise">
+                    <button id="new-seed-btn" title="Restart with a new random seed (N)">🎲 New seed</button>
+                </div>
+                <div class="control-group">
+                    <label for="boundary-select">Edges:</label>
+                    <select id="boundary-select">
+                        <option value="periodic" ${this.state.boundary === 'periodic' ? 'selected' : ''}>Periodic</option>
+                        <option value="fixed0" ${this.state.boundary === 'fixed0' ? 'selected' : ''}>Fixed 0</option>
+                        <option value="fixed1" ${this.state.boundary === 'fixed1' ? 'selected' : ''}>Fixed 1</option>
+                        <option value="reflective" ${this.state.boundary === 'reflective' ? 'selected' : ''}>Reflective</option>
+                        <option value="driven" ${this.state.boundary === 'driven' ? 'selected' : ''}>Driven</option>
+                    </select>
+                    <input type="text" id="boundary-sequence-input" placeholder="0110" title="Edge bit sequence, one bit per generation"
+                        value="${this.state.boundarySequence}" style="display: ${this.state.boundary === 'driven' ? 'inline-block' : 'none'};">
+                </div>
+                <div class="control-group">
+                    <label for="lattice-select">Lattice:</label>
+                    <select id="lattice-select" title="Growing: unbounded light cone, pan with ←/→, C to recenter">
+                        <option value="ring" ${this.state.lattice === 'ring' ? 'selected' : ''}>Ring</option>
+                        <option value="growing" ${this.state.lattice === 'growing' ? 'selected' : ''}>Growing</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="update-scheme-select">Update:</label>
+                    <select id="update-scheme-select" title="Order in which cells update each generation">
+                        <option value="synchronous" ${this.state.updateScheme === 'synchronous' ? 'selected' : ''}>Synchronous</option>
+                        <option value="random-sequential" ${this.state.updateScheme === 'random-sequential' ? 'selected' : ''}>Random sequential</option>
+                        <option value="alpha" ${this.state.updateScheme === 'alpha' ? 'selected' : ''}>α-asynchronous</option>
+                        <option value="sweep" ${this.state.updateScheme === 'sweep' ? 'selected' : ''}>Left-to-right sweep</option>
+                        <option value="block" ${this.state.updateScheme === 'block' ? 'selected' : ''}>Block sequential</option>
+                    </select>
+                    <input type="number" id="update-param-input" value="${this._getUpdateParam()}"
+                        ${this._getUpdateParamAttributes()} style="display: ${this._hasUpdateParam() ? 'inline-block' : 'none'};">
+                </div>
+                <div class="control-group">
+                    <label for="memory-type-select">Memory:</label>
+                    <select id="memory-type-select" title="State the rule sees: the current one, or a vote over the last τ states">
+                        <option value="none" ${this.state.memoryType === 'none' ? 'selected' : ''}>None</option>
+                        <option value="majority" ${this.state.memoryType === 'majority' ? 'selected' : ''}>Majority</option>
+                        <option value="alpha" ${this.state.memoryType === 'alpha' ? 'selected' : ''}>α-weighted</option>
+                    </select>
+                    <input type="number" id="memory-depth-input" min="1" max="64" step="1" value="${this.state.memoryDepth}"
+                        title="τ: past states voted over, the current one included"
+                        style="display: ${this.state.memoryType === 'none' ? 'none' : 'inline-block'};">
+                    <input type="number" id="memory-alpha-input" min="0" max="1" step="0.05" value="${this.state.memoryAlpha}"
+                        title="α: weight decay per generation of age (binary rules need α > 0.5)"
+                        style="display: ${this.state.memoryType === 'alpha' ? 'inline-block' : 'none'};">
+                </div>
+                <div class="control-group">
+                    <label for="cycle-mode-select">Cycles:</label>
+                    <select id="cycle-mode-select" title="Detect when the run becomes periodic">
+                        <option value="off" ${this.state.cycleMode === 'off' ? 'selected' : ''}>Off</option>
+                        <option value="report" ${this.state.cycleMode === 'report' ? 'selected' : ''}>Report</option>
+                        <option value="pause" ${this.state.cycleMode === 'pause' ? 'selected' : ''}>Report + pause</option>
+                        <option value="reseed" ${this.state.cycleMode === 'reseed' ? 'selected' : ''}>Report + new seed</option>
+                    </select>
+                </div>
+                <div class="control-group">
+                    <label for="damage-mode-select">Damage:</label>
+                    <select id="damage-mode-select" title="Run a perturbed copy alongside and show where it differs">
+                        <option value="off" ${this.state.damageMode === 'off' ? 'selected' : ''}>Off</option>
+                        <option value="center" ${this.state.damageMode === 'center' ? 'selected' : ''}>Flip center cell</option>
+                        <option value="random" ${this.state.damageMode === 'random' ? 'selected' : ''}>Flip random cell</option>
+                        <option value="cells" ${this.state.damageMode === 'cells' ? 'selected' : ''}>Flip cells</option>
+                    </select>
+                    <input type="text" id="damage-cells-input" placeholder="100, 120" value="${this.state.damageCells}"
+                        title="Columns to flip, comma separated"
+                        style="display: ${this.state.damageMode === 'cells' ? 'inline-block' : 'none'};">
+                </div>
+                <div class="control-group">
+                    <label for="domain-mode-select">Domain:</label>
+                    <select id="domain-mode-select" title="Dim the background domain to reveal particles">
+                        <option value="off" ${this.state.domainMode === 'off' ? 'selected' : ''}>Off</option>
+                        <option value="auto" ${this.state.domainMode === 'auto' ? 'selected' : ''}>Auto-detect</option>
+                        <option value="custom" ${this.state.domainMode === 'custom' ? 'selected' : ''}>Custom</option>
+                    </select>
+                    <input type="text" id="domain-words-input" placeholder="11111000100110" value="${this.state.domainWords}"
+                        title="Spatially periodic domain words, comma separated (rule 110 ether: 11111000100110)"
+                        style="display: ${this.state.domainMode === 'custom' ? 'inline-block' : 'none'};">
+                </div>
+                <div class="control-group">
+                    <label for="backend-select">Engine:</label>
+                    <select id="backend-select">
+                        <option value="bitpacked" ${this.state.backend === 'bitpacked' ? 'selected' : ''}>Bit-packed</option>
+                        <option value="scalar" ${this.state.backend === 'scalar' ? 'selected' : ''}>Scalar</option>
+                    </select>
                 </div>
                 <div class="control-group">
                     <button id="play-pause-btn">${this.state.isPaused ? '▶ Play' : '⏸ Pause'}</button>
-                    <button id="reset-btn">🔄 Reset</button>
+                    <button id="direction-btn" title="Run time backwards (2nd order rules only)"
+                        ${this.state.ruleReversible ? '' : 'disabled'}>${this._getDirectionLabel()}</button>
+                    <button id="reset-btn" title="Restart with the same seed">🔄 Reset</button>
+                    <button id="export-stats-btn" title="Download per-generation statistics as CSV">📈 CSV</button>
+                </div>
+                <div class="control-group">
+                    <label for="goto-input">Go to:</label>
+                    <input type="text" id="goto-input" placeholder="10^12"
+                        title="Generation to jump to (e.g. 5000, 1e12 or 10^12). Additive rules (90, 150, ...) jump directly, other radius-1 rules fast-forward through a HashLife cache">
+                    <button id="goto-btn" title="Jump to the generation">⏭ Go</button>
+                </div>
+                <div class="control-group preimages">
+                    <label>Preimages:</label>
+                    <button id="draw-row-btn" title="Click or drag on the canvas to draw the newest row">${this._getDrawRowLabel()}</button>
+                    <button id="find-preimages-btn" title="Count and list the predecessors of the newest row (or of the oldest reconstructed row)">🔍 Find</button>
+                    <select id="preimage-select" title="Predecessor to step back into" style="display: none;"></select>
+                    <button id="preimage-step-back-btn" title="Restart from the chosen predecessor, keeping the reconstructed history" disabled>⏮ Step back</button>
+                    <span id="preimage-info" class="preimage-info"></span>
+                </div>
+                <div class="control-group">
+                    <label for="basin-width-input">Basins:</label>
+                    <input type="number" id="basin-width-input" min="1" max="22" step="1" value="${this.state.basinWidth}"
+                        title="Ring width for the state-transition graph (all k^width states are enumerated)">
+                    <button id="basin-btn" title="Show the basins of attraction of the current rule on a small ring">${this._getBasinLabel()}</button>
+                </div>
+                <div class="control-group">
+                    <label for="census-widths-input">Census:</label>
+                    <input type="text" id="census-widths-input" value="${this.state.censusWidths}" placeholder="8-16"
+                        title="Ring widths to sample, e.g. 8-16 (up to 32)">
+                    <input type="number" id="census-samples-input" min="1" step="1" value="${this.state.censusSamples}"
+                        title="Random seeds per rule and width">
+                    <button id="census-btn" title="Sample the attractors of all 256 elementary rules">📊 Run</button>
+                    <button id="census-json-btn" title="Download the census as JSON">⬇ JSON</button>
+                    <button id="census-csv-btn" title="Download the census as CSV">⬇ CSV</button>
                 </div>
                 <div class="control-group">
                     <label for="speed-slider">Speed:</label>
@@ -102,6 +403,7 @@ class ControlManager {
                 }
 
                 .controls-cyberpunk input[type="number"],
+                .controls-cyberpunk input[type="text"],
                 .controls-cyberpunk select {
                     background: rgba(255, 0, 255, 0.1);
                     border: 1px solid #ff00ff;
@@ -122,6 +424,10 @@ class ControlManager {
                     -ms-user-select: text;
                 }
 
+                .controls-cyberpunk input[type="text"] {
+                    width: 80px;
+                }
+
                 .controls-cyberpunk input[type="range"] {
                     width: 100px;
                     accent-color: #ff00ff;
@@ -144,6 +450,24 @@ class ControlManager {
                     box-shadow: 0 0 10px rgba(255, 0, 255, 0.6);
                 }
 
+                .controls-cyberpunk .rule-info {
+                    font-size: 11px;
+                }
+
+                .controls-cyberpunk .rule-info button {
+                    padding: 2px 6px;
+                    font-size: 11px;
+                }
+
+                .controls-cyberpunk .rule-info-flags {
+                    color: #ff00ff;
+                }
+
+                .controls-cyberpunk .preimage-info {
+                    color: #ff00ff;
+                    font-size: 11px;
+                }
+
                 .controls-cyberpunk #speed-value {
                     min-width: 35px;
                     text-align: right;
@@ -163,6 +487,7 @@ class ControlManager {
 
         // Attach event listeners
         this._attachEventListeners();
+        this._updateRuleInputRange();
     }
 
     /**
@@ -170,30 +495,72 @@ class ControlManager {
      * @private
      */
     _attachEventListeners() {
+        // 1D / 2D mode
+        const dimensionSelect = document.getElementById('dimension-select');
+        if (dimensionSelect) {
+            dimensionSelect.addEventListener('change', (e) => {
+                this.state.dimension = e.target.value;
+                this.updateUI();
+                if (this.callbacks.onDimensionChange) {
+                    this.callbacks.onDimensionChange(this.state.dimension);
+                }
+            });
+        }
+
+        // Life-like rulestring and presets
+        const lifeRuleInput = document.getElementById('life-rule-input');
+        if (lifeRuleInput) {
+            lifeRuleInput.addEventListener('input', (e) => {
+                const parsed = parseLifeRule(e.target.value);
+                if (parsed) {
+                    this._debounce('lifeRule', () => this._setLifeRule(formatLifeRule(parsed)), 500);
+                }
+            });
+
+            lifeRuleInput.addEventListener('change', (e) => {
+                const parsed = parseLifeRule(e.target.value);
+                if (parsed) {
+                    this._setLifeRule(formatLifeRule(parsed));
+                } else {
+                    e.target.value = this.state.lifeRule;
+                }
+            });
+
+            lifeRuleInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        const lifePresetSelect = document.getElementById('life-preset-select');
+        if (lifePresetSelect) {
+            lifePresetSelect.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this._setLifeRule(e.target.value);
+                    e.target.value = '';
+                }
+            });
+        }
+
         // Rule input with debounce
         const ruleInput = document.getElementById('rule-input');
         if (ruleInput) {
             // Allow typing in the input field
             ruleInput.addEventListener('input', (e) => {
-                const value = parseInt(e.target.value, 10);
-                if (!isNaN(value) && value >= 0 && value <= 255) {
+                const value = this._parseRuleInput(e.target.value);
+                if (value !== null) {
                     this._debounce('rule', () => {
                         this.state.rule = value;
-                        if (this.callbacks.onRuleChange) {
-                            this.callbacks.onRuleChange(value);
-                        }
+                        this._emitRuleChange();
                     }, 500);
                 }
             });
 
             // Also handle 'change' event for when user finishes typing
             ruleInput.addEventListener('change', (e) => {
-                const value = parseInt(e.target.value, 10);
-                if (!isNaN(value) && value >= 0 && value <= 255) {
+                const value = this._parseRuleInput(e.target.value);
+                if (value !== null) {
                     this.state.rule = value;
-                    if (this.callbacks.onRuleChange) {
-                        this.callbacks.onRuleChange(value);
-                    }
+                    this._emitRuleChange();
                 }
             });
 
@@ -214,102 +581,1289 @@ class ControlManager {
             });
         }
 
-        // Play/Pause button
-        const playPauseBtn = document.getElementById('play-pause-btn');
-        if (playPauseBtn) {
-            playPauseBtn.addEventListener('click', () => {
-                this.state.isPaused = !this.state.isPaused;
-                playPauseBtn.innerHTML = this.state.isPaused ? '▶ Play' : '⏸ Pause';
-                if (this.callbacks.onPlayPause) {
-                    this.callbacks.onPlayPause(this.state.isPaused);
+        // Rule radius, encoding and state count selectors
+        const radiusSelect = document.getElementById('rule-radius-select');
+        const encodingSelect = document.getElementById('rule-encoding-select');
+        const statesSelect = document.getElementById('rule-states-select');
+        if (radiusSelect && encodingSelect && statesSelect) {
+            const onRuleSpaceChange = () => {
+                this.state.ruleRadius = parseInt(radiusSelect.value, 10);
+                this.state.ruleEncoding = encodingSelect.value;
+                this.state.ruleStates = parseInt(statesSelect.value, 10);
+                this._clampRuleToSpace();
+                this._updateRuleInputRange();
+
+                const ruleInput = document.getElementById('rule-input');
+                if (ruleInput) ruleInput.value = this._formatRule(this.state.rule);
+                this._updateRuleInfo();
+
+                this._emitRuleChange();
+            };
+
+            radiusSelect.addEventListener('change', onRuleSpaceChange);
+            encodingSelect.addEventListener('change', onRuleSpaceChange);
+            statesSelect.addEventListener('change', onRuleSpaceChange);
+        }
+
+        // Second-order (reversible) rule toggle
+        const reversibleCheckbox = document.getElementById('rule-reversible-checkbox');
+        if (reversibleCheckbox) {
+            reversibleCheckbox.addEventListener('change', (e) => {
+                this.state.ruleReversible = e.target.checked;
+
+                // First-order rules cannot run backwards
+                if (!this.state.ruleReversible && this.state.direction === 'backward') {
+                    this.setDirection('forward');
                 }
+
+                this.updateUI();
+                this._emitRuleChange();
             });
         }
 
-        // Reset button
-        const resetBtn = document.getElementById('reset-btn');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                if (this.callbacks.onReset) {
-                    this.callbacks.onReset();
+        // Rule info panel: jump to an equivalent rule
+        const ruleInfo = document.getElementById('rule-info');
+        if (ruleInfo) {
+            ruleInfo.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-rule]');
+                const value = button ? this._parseRuleInput(button.dataset.rule) : null;
+                if (value !== null) {
+                    this.state.rule = value;
+                    this.updateUI();
+                    this._emitRuleChange();
                 }
             });
         }
 
-        // Speed slider with debounce
-        const speedSlider = document.getElementById('speed-slider');
-        const speedValue = document.getElementById('speed-value');
-        if (speedSlider && speedValue) {
-            speedSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                speedValue.textContent = `${value.toFixed(1)}x`;
-                this._debounce('speed', () => {
-                    this.state.speed = value;
-                    if (this.callbacks.onSpeedChange) {
-                        this.callbacks.onSpeedChange(value);
+        // Rule schedule
+        const scheduleInput = document.getElementById('schedule-input');
+        if (scheduleInput) {
+            scheduleInput.addEventListener('input', (e) => {
+                const value = e.target.value.trim();
+                if (value !== '' && parseRuleSchedule(value) === null) {
+                    return;
+                }
+
+                this._debounce('schedule', () => {
+                    this.state.schedule = value;
+                    if (this.callbacks.onScheduleChange) {
+                        this.callbacks.onScheduleChange(value);
                     }
-                }, 300);
+                }, 500);
+            });
+
+            scheduleInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
             });
         }
 
-        // Palette selector
-        const paletteSelect = document.getElementById('palette-select');
-        if (paletteSelect) {
-            paletteSelect.addEventListener('change', (e) => {
-                this.state.palette = e.target.value;
-                if (this.callbacks.onPaletteChange) {
-                    this.callbacks.onPaletteChange(e.target.value);
+        // Rule zones: paint rule, paint mode, clear and tint
+        const zoneRuleInput = document.getElementById('zone-rule-input');
+        if (zoneRuleInput) {
+            zoneRuleInput.addEventListener('change', (e) => {
+                const value = this._parseRuleInput(e.target.value);
+                if (value !== null) {
+                    this.state.zoneRule = value;
                 }
+                e.target.value = this._formatRule(this.state.zoneRule);
+            });
+
+            zoneRuleInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
             });
         }
 
-        // Zoom selector
-        const zoomSelect = document.getElementById('zoom-select');
-        if (zoomSelect) {
-            zoomSelect.addEventListener('change', (e) => {
+        const zonePaintBtn = document.getElementById('zone-paint-btn');
+        if (zonePaintBtn) {
+            zonePaintBtn.addEventListener('click', () => {
+                this.setState({ zonePaint: !this.state.zonePaint, drawRow: false });
+            });
+        }
+
+        const zoneClearBtn = document.getElementById('zone-clear-btn');
+        if (zoneClearBtn) {
+            zoneClearBtn.addEventListener('click', () => {
+                if (this.callbacks.onZoneClear) {
+                    this.callbacks.onZoneClear();
+                }
+            });
+        }
+
+        const zoneTintCheckbox = document.getElementById('zone-tint-checkbox');
+        if (zoneTintCheckbox) {
+            zoneTintCheckbox.addEventListener('change', (e) => {
+                this.state.zoneTint = e.target.checked;
+                if (this.callbacks.onZoneTintChange) {
+                    this.callbacks.onZoneTintChange(e.target.checked);
+                }
+            });
+        }
+
+        // Noise parameters (applied together, debounced while typing)
+        const noiseInputs = {
+            noiseFlip: document.getElementById('noise-flip-input'),
+            noiseRuleB: document.getElementById('noise-rule-b-input'),
+            noiseRuleBProbability: document.getElementById('noise-rule-b-probability-input'),
+            noiseTable: document.getElementById('noise-table-input')
+        };
+        for (const [key, input] of Object.entries(noiseInputs)) {
+            if (!input) continue;
+
+            input.addEventListener('input', (e) => {
+                const value = input.type === 'number' ? parseFloat(e.target.value) : e.target.value.trim();
+                if (input.type === 'number' && isNaN(value)) {
+                    return;
+                }
+
+                // Store each field at once, so a quick edit of another
+                // field doesn't drop this one; only the callback waits
+                this.state[key] = value;
+                this._debounce('noise', () => {
+                    if (this.callbacks.onNoiseChange) {
+                        this.callbacks.onNoiseChange(this.getNoiseOptions());
+                    }
+                }, 500);
+            });
+
+            input.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // PRNG seed
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) {
+            seedInput.addEventListener('change', (e) => {
                 const value = parseInt(e.target.value, 10);
-                this.state.cellScale = value;
-                if (this.callbacks.onZoomChange) {
-                    this.callbacks.onZoomChange(value);
+                if (!isNaN(value) && value >= 0) {
+                    this.state.seed = value;
+                    if (this.callbacks.onSeedChange) {
+                        this.callbacks.onSeedChange(value);
+                    }
                 }
             });
+
+            seedInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
         }
-    }
 
-    /**
-     * Debounce utility to prevent excessive callback triggers
-     * @param {string} key - Unique key for this debounce timer
-     * @param {Function} callback - Function to call after delay
-     * @param {number} delay - Delay in milliseconds
-     * @private
-     */
-    _debounce(key, callback, delay) {
-        clearTimeout(this.debounceTimers[key]);
-        this.debounceTimers[key] = setTimeout(callback, delay);
-    }
+        // Boundary selector and driven-edge bit sequence
+        const boundarySelect = document.getElementById('boundary-select');
+        const boundarySequenceInput = document.getElementById('boundary-sequence-input');
+        if (boundarySelect && boundarySequenceInput) {
+            const emitBoundaryChange = () => {
+                if (this.callbacks.onBoundaryChange) {
+                    this.callbacks.onBoundaryChange(this.state.boundary, this.state.boundarySequence);
+                }
+            };
 
-    /**
-     * Update UI elements to reflect current state
-     */
-    updateUI() {
-        const ruleInput = document.getElementById('rule-input');
-        if (ruleInput) ruleInput.value = this.state.rule;
+            boundarySelect.addEventListener('change', (e) => {
+                this.state.boundary = e.target.value;
+                boundarySequenceInput.style.display = this.state.boundary === 'driven' ? 'inline-block' : 'none';
+                emitBoundaryChange();
+            });
 
-        const playPauseBtn = document.getElementById('play-pause-btn');
-        if (playPauseBtn) {
-            playPauseBtn.innerHTML = this.state.isPaused ? '▶ Play' : '⏸ Pause';
+            boundarySequenceInput.addEventListener('input', (e) => {
+                const value = e.target.value.replace(/[^01]/g, '');
+                if (value.length > 0) {
+                    this._debounce('boundarySequence', () => {
+                        this.state.boundarySequence = value;
+                        emitBoundaryChange();
+                    }, 500);
+                }
+            });
+
+            boundarySequenceInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
         }
 
-        const speedSlider = document.getElementById('speed-slider');
-        const speedValue = document.getElementById('speed-value');
-        if (speedSlider) speedSlider.value = this.state.speed;
-        if (speedValue) speedValue.textContent = `${this.state.speed.toFixed(1)}x`;
+        // Lattice mode selector
+        const latticeSelect = document.getElementById('lattice-select');
+        if (latticeSelect) {
+            latticeSelect.addEventListener('change', (e) => {
+                this.state.lattice = e.target.value;
+                if (this.callbacks.onLatticeChange) {
+                    this.callbacks.onLatticeChange(e.target.value);
+                }
+            });
+        }
 
-        const paletteSelect = document.getElementById('palette-select');
-        if (paletteSelect) paletteSelect.value = this.state.palette;
+        // Update scheme selector and its parameter (α or block size)
+        const updateSchemeSelect = document.getElementById('update-scheme-select');
+        const updateParamInput = document.getElementById('update-param-input');
+        if (updateSchemeSelect && updateParamInput) {
+            const emitUpdateSchemeChange = () => {
+                if (this.callbacks.onUpdateSchemeChange) {
+                    this.callbacks.onUpdateSchemeChange(this.state.updateScheme, this.getUpdateSchemeOptions());
+                }
+            };
 
-        const zoomSelect = document.getElementById('zoom-select');
-        if (zoomSelect) zoomSelect.value = this.state.cellScale;
+            updateSchemeSelect.addEventListener('change', (e) => {
+                this.state.updateScheme = e.target.value;
+                this.updateUI();
+                emitUpdateSchemeChange();
+            });
+
+            updateParamInput.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) {
+                    return;
+                }
+
+                this._debounce('updateParam', () => {
+                    if (this.state.updateScheme === 'alpha') {
+                        this.state.updateAlpha = Math.min(1, Math.max(0, value));
+                    } else {
+                        this.state.updateBlockSize = Math.max(1, Math.floor(value));
+                    }
+                    emitUpdateSchemeChange();
+                }, 500);
+            });
+
+            updateParamInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Memory type, depth (τ) and α
+        const memoryTypeSelect = document.getElementById('memory-type-select');
+        const memoryDepthInput = document.getElementById('memory-depth-input');
+        const memoryAlphaInput = document.getElementById('memory-alpha-input');
+        if (memoryTypeSelect && memoryDepthInput && memoryAlphaInput) {
+            const emitMemoryChange = () => {
+                if (this.callbacks.onMemoryChange) {
+                    this.callbacks.onMemoryChange(this.state.memoryType, this.getMemoryOptions());
+                }
+            };
+
+            memoryTypeSelect.addEventListener('change', (e) => {
+                this.state.memoryType = e.target.value;
+                this.updateUI();
+                emitMemoryChange();
+            });
+
+            memoryDepthInput.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value, 10);
+                if (isNaN(value) || value < 1) {
+                    return;
+                }
+
+                this._debounce('memoryDepth', () => {
+                    this.state.memoryDepth = value;
+                    emitMemoryChange();
+                }, 500);
+            });
+
+            memoryAlphaInput.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) {
+                    return;
+                }
+
+                this._debounce('memoryAlpha', () => {
+                    this.state.memoryAlpha = Math.min(1, Math.max(0, value));
+                    emitMemoryChange();
+                }, 500);
+            });
+
+            for (const input of [memoryDepthInput, memoryAlphaInput]) {
+                input.addEventListener('mousedown', (e) => {
+                    e.stopPropagation();
+                });
+            }
+        }
+
+        // Cycle detection mode
+        const cycleModeSelect = document.getElementById('cycle-mode-select');
+        if (cycleModeSelect) {
+            cycleModeSelect.addEventListener('change', (e) => {
+                this.state.cycleMode = e.target.value;
+                if (this.callbacks.onCycleModeChange) {
+                    this.callbacks.onCycleModeChange(e.target.value);
+                }
+            });
+        }
+
+        // Damage spreading perturbation
+        const damageModeSelect = document.getElementById('damage-mode-select');
+        const damageCellsInput = document.getElementById('damage-cells-input');
+        if (damageModeSelect && damageCellsInput) {
+            damageModeSelect.addEventListener('change', (e) => {
+                this.state.damageMode = e.target.value;
+                damageCellsInput.style.display = this.state.damageMode === 'cells' ? 'inline-block' : 'none';
+                this._emitDamageChange();
+            });
+
+            damageCellsInput.addEventListener('input', (e) => {
+                this._debounce('damageCells', () => {
+                    this.state.damageCells = e.target.value;
+                    this._emitDamageChange();
+                }, 500);
+            });
+
+            damageCellsInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Domain filtering
+        const domainModeSelect = document.getElementById('domain-mode-select');
+        const domainWordsInput = document.getElementById('domain-words-input');
+        if (domainModeSelect && domainWordsInput) {
+            domainModeSelect.addEventListener('change', (e) => {
+                this.state.domainMode = e.target.value;
+                domainWordsInput.style.display = this.state.domainMode === 'custom' ? 'inline-block' : 'none';
+                this._emitDomainChange();
+            });
+
+            domainWordsInput.addEventListener('input', (e) => {
+                this._debounce('domainWords', () => {
+                    this.state.domainWords = e.target.value;
+                    this._emitDomainChange();
+                }, 500);
+            });
+
+            domainWordsInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Engine backend selector
+        const backendSelect = document.getElementById('backend-select');
+        if (backendSelect) {
+            backendSelect.addEventListener('change', (e) => {
+                this.state.backend = e.target.value;
+                if (this.callbacks.onBackendChange) {
+                    this.callbacks.onBackendChange(e.target.value);
+                }
+            });
+        }
+
+        // Play/Pause button
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        if (playPauseBtn) {
+            playPauseBtn.addEventListener('click', () => {
+                this.state.isPaused = !this.state.isPaused;
+                playPauseBtn.innerHTML = this.state.isPaused ? '▶ Play' : '⏸ Pause';
+                if (this.callbacks.onPlayPause) {
+                    this.callbacks.onPlayPause(this.state.isPaused);
+                }
+            });
+        }
+
+        // Time direction button
+        const directionBtn = document.getElementById('direction-btn');
+        if (directionBtn) {
+            directionBtn.addEventListener('click', () => {
+                this.setDirection(this.state.direction === 'forward' ? 'backward' : 'forward');
+            });
+        }
+
+        // Reset button (same seed) and new-seed button
+        const resetBtn = document.getElementById('reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetWithSameSeed();
+            });
+        }
+
+        // Statistics CSV export
+        const exportStatsBtn = document.getElementById('export-stats-btn');
+        if (exportStatsBtn) {
+            exportStatsBtn.addEventListener('click', () => {
+                if (this.callbacks.onExportStats) {
+                    this.callbacks.onExportStats();
+                }
+            });
+        }
+
+        // Go to generation (button or Enter)
+        const gotoInput = document.getElementById('goto-input');
+        const gotoBtn = document.getElementById('goto-btn');
+        if (gotoInput && gotoBtn) {
+            const emitJump = () => {
+                const generation = ControlManager.parseGeneration(gotoInput.value);
+                if (generation === null) {
+                    console.warn(`Invalid generation: ${gotoInput.value}`);
+                    return;
+                }
+                if (this.callbacks.onJumpTo) {
+                    this.callbacks.onJumpTo(generation);
+                }
+            };
+
+            gotoBtn.addEventListener('click', emitJump);
+
+            gotoInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    emitJump();
+                }
+            });
+
+            gotoInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Predecessor search: draw mode, search, and stepping back into a predecessor
+        const drawRowBtn = document.getElementById('draw-row-btn');
+        if (drawRowBtn) {
+            drawRowBtn.addEventListener('click', () => {
+                this.setState({ drawRow: !this.state.drawRow, zonePaint: false });
+            });
+        }
+
+        const findPreimagesBtn = document.getElementById('find-preimages-btn');
+        if (findPreimagesBtn) {
+            findPreimagesBtn.addEventListener('click', () => {
+                if (this.callbacks.onFindPreimages) {
+                    this.callbacks.onFindPreimages();
+                }
+            });
+        }
+
+        const preimageStepBackBtn = document.getElementById('preimage-step-back-btn');
+        const preimageSelect = document.getElementById('preimage-select');
+        if (preimageStepBackBtn && preimageSelect) {
+            preimageStepBackBtn.addEventListener('click', () => {
+                if (this.callbacks.onPreimageStepBack && preimageSelect.value !== '') {
+                    this.callbacks.onPreimageStepBack(parseInt(preimageSelect.value, 10));
+                }
+            });
+        }
+
+        // Basins of attraction: panel toggle and ring width
+        const basinBtn = document.getElementById('basin-btn');
+        if (basinBtn) {
+            basinBtn.addEventListener('click', () => {
+                this.state.basinPanel = !this.state.basinPanel;
+                basinBtn.innerHTML = this._getBasinLabel();
+                this._emitBasinChange();
+            });
+        }
+
+        const basinWidthInput = document.getElementById('basin-width-input');
+        if (basinWidthInput) {
+            basinWidthInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                if (!isNaN(value) && value >= 1) {
+                    this.state.basinWidth = value;
+                    this._emitBasinChange();
+                }
+            });
+
+            basinWidthInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Rule-space census: ring widths, samples, run and export
+        const censusWidthsInput = document.getElementById('census-widths-input');
+        if (censusWidthsInput) {
+            censusWidthsInput.addEventListener('change', (e) => {
+                this.state.censusWidths = e.target.value;
+            });
+
+            censusWidthsInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        const censusSamplesInput = document.getElementById('census-samples-input');
+        if (censusSamplesInput) {
+            censusSamplesInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                if (!isNaN(value) && value >= 1) {
+                    this.state.censusSamples = value;
+                }
+            });
+
+            censusSamplesInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        const censusBtn = document.getElementById('census-btn');
+        if (censusBtn) {
+            censusBtn.addEventListener('click', () => {
+                if (this.callbacks.onRunCensus) {
+                    this.callbacks.onRunCensus(this.getCensusOptions());
+                }
+            });
+        }
+
+        for (const format of ['json', 'csv']) {
+            const exportBtn = document.getElementById(`census-${format}-btn`);
+            if (exportBtn) {
+                exportBtn.addEventListener('click', () => {
+                    if (this.callbacks.onExportCensus) {
+                        this.callbacks.onExportCensus(format);
+                    }
+                });
+            }
+        }
+
+        const newSeedBtn = document.getElementById('new-seed-btn');
+        if (newSeedBtn) {
+            newSeedBtn.addEventListener('click', () => {
+                this.newSeed();
+            });
+        }
+
+        // Initial pattern selector and its parameter
+        const initialPatternSelect = document.getElementById('initial-pattern-select');
+        const initialParamInput = document.getElementById('initial-param-input');
+        if (initialPatternSelect && initialParamInput) {
+            const emitInitialPatternChange = () => {
+                if (this.callbacks.onInitialPatternChange) {
+                    this.callbacks.onInitialPatternChange(this.state.initialPattern, this.getInitialConditionOptions());
+                }
+            };
+
+            initialPatternSelect.addEventListener('change', (e) => {
+                this.state.initialPattern = e.target.value;
+                this.updateUI();
+                emitInitialPatternChange();
+            });
+
+            initialParamInput.addEventListener('input', (e) => {
+                const value = e.target.value;
+                this._debounce('initialParam', () => {
+                    this.state.initialParams = { ...this.state.initialParams, [this.state.initialPattern]: value };
+                    emitInitialPatternChange();
+                }, 500);
+            });
+
+            initialParamInput.addEventListener('mousedown', (e) => {
+                e.stopPropagation();
+            });
+        }
+
+        // Speed slider with debounce
+        const speedSlider = document.getElementById('speed-slider');
+        const speedValue = document.getElementById('speed-value');
+        if (speedSlider && speedValue) {
+            speedSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                speedValue.textContent = `${value.toFixed(1)}x`;
+                this._debounce('speed', () => {
+                    this.state.speed = value;
+                    if (this.callbacks.onSpeedChange) {
+                        this.callbacks.onSpeedChange(value);
+                    }
+                }, 300);
+            });
+        }
+
+        // Palette selector
+        const paletteSelect = document.getElementById('palette-select');
+        if (paletteSelect) {
+            paletteSelect.addEventListener('change', (e) => {
+                this.state.palette = e.target.value;
+                if (this.callbacks.onPaletteChange) {
+                    this.callbacks.onPaletteChange(e.target.value);
+                }
+            });
+        }
+
+        // Zoom selector
+        const zoomSelect = document.getElementById('zoom-select');
+        if (zoomSelect) {
+            zoomSelect.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.state.cellScale = value;
+                if (this.callbacks.onZoomChange) {
+                    this.callbacks.onZoomChange(value);
+                }
+            });
+        }
+    }
+
+    /**
+     * Notify listeners of the current rule and its radius/encoding/state count
+     * @private
+     */
+    _emitRuleChange() {
+        this._updateRuleInfo();
+
+        if (this.callbacks.onRuleChange) {
+            this.callbacks.onRuleChange(this.state.rule, this.getRuleOptions());
+        }
+    }
+
+    /**
+     * Rule options for the selected rule space
+     * @returns {{radius: number, encoding: string, states: number, reversible: boolean}} Options for CAEngine.setRule
+     */
+    getRuleOptions() {
+        return {
+            radius: this.state.ruleRadius,
+            encoding: this.state.ruleEncoding,
+            states: this.state.ruleStates,
+            reversible: this.state.ruleReversible
+        };
+    }
+
+    /**
+     * Notify listeners of the damage-spreading perturbation
+     * @private
+     */
+    _emitDamageChange() {
+        if (this.callbacks.onDamageChange) {
+            this.callbacks.onDamageChange(this.getDamageOptions());
+        }
+    }
+
+    /**
+     * Damage-spreading perturbation for DamageMonitor.start
+     * @returns {{mode: string, cells: number[]}} Mode ('off', 'center', 'random', 'cells') and columns to flip
+     */
+    getDamageOptions() {
+        const cells = this.state.damageCells
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map((value) => parseInt(value, 10))
+            .filter((value) => !isNaN(value));
+
+        return { mode: this.state.damageMode, cells };
+    }
+
+    /**
+     * Notify listeners of the domain filter settings
+     * @private
+     */
+    _emitDomainChange() {
+        if (this.callbacks.onDomainChange) {
+            this.callbacks.onDomainChange(this.state.domainMode, this.state.domainWords);
+        }
+    }
+
+    /**
+     * Census settings from the census controls
+     * A single width ("12") samples one width; widths are clamped to 1-32.
+     * @returns {{widths: number[], samples: number}} Smallest and largest ring width, seeds per width
+     */
+    getCensusOptions() {
+        const bounds = String(this.state.censusWidths)
+            .split(/[-–,\s]+/)
+            .map((value) => parseInt(value, 10))
+            .filter((value) => !isNaN(value))
+            .map((value) => Math.min(Math.max(value, 1), 32));
+        const min = bounds.length > 0 ? Math.min(...bounds) : 8;
+        const max = bounds.length > 0 ? Math.max(...bounds) : 16;
+
+        return { widths: [min, max], samples: this.state.censusSamples };
+    }
+
+    /**
+     * Switch the Life-like rule and notify listeners
+     * @param {string} rule - Canonical B/S rulestring
+     * @private
+     */
+    _setLifeRule(rule) {
+        this.state.lifeRule = rule;
+        this.updateUI();
+        if (this.callbacks.onLifeRuleChange) {
+            this.callbacks.onLifeRuleChange(rule);
+        }
+    }
+
+    /**
+     * Notify listeners of the basin panel settings
+     * @private
+     */
+    _emitBasinChange() {
+        if (this.callbacks.onBasinChange) {
+            this.callbacks.onBasinChange(this.state.basinPanel, this.state.basinWidth);
+        }
+    }
+
+    /**
+     * Basin panel button label
+     * @returns {string} Button label
+     * @private
+     */
+    _getBasinLabel() {
+        return this.state.basinPanel ? '🌳 Hide basins' : '🌳 Basins';
+    }
+
+    /**
+     * Restart the run with the current seed, recreating it exactly
+     */
+    resetWithSameSeed() {
+        if (this.callbacks.onReset) {
+            this.callbacks.onReset(this.state.seed);
+        }
+    }
+
+    /**
+     * Draw a new seed, show it and restart the run with it
+     */
+    newSeed() {
+        this.state.seed = ControlManager.randomSeed();
+        this.updateUI();
+
+        if (this.callbacks.onNewSeed) {
+            this.callbacks.onNewSeed(this.state.seed);
+        }
+    }
+
+    /**
+     * Options for CAEngine.setInitialCondition from the selected pattern's
+     * parameter, plus the current seed
+     *
+     * @returns {Object} Pattern options
+     */
+    getInitialConditionOptions() {
+        const param = this._getInitialParam();
+        const number = parseFloat(param);
+        const options = { seed: this.state.seed };
+
+        switch (this.state.initialPattern) {
+            case 'random':
+                if (!isNaN(number)) options.density = number;
+                break;
+            case 'points':
+                if (!isNaN(number)) options.count = number;
+                break;
+            case 'block':
+                if (!isNaN(number)) options.blockWidth = number;
+                break;
+            case 'tile':
+                options.tile = param;
+                break;
+            case 'gradient': {
+                const [start, end] = param.split(/[\s,]+/).map(parseFloat);
+                if (!isNaN(start)) options.densityStart = start;
+                if (!isNaN(end)) options.densityEnd = end;
+                break;
+            }
+            case 'window':
+                if (!isNaN(number)) options.windowWidth = number;
+                break;
+            case 'text':
+                options.text = param;
+                break;
+        }
+
+        return options;
+    }
+
+    /**
+     * Parameter text for the selected initial pattern
+     * @returns {string} Parameter ('' for patterns without one)
+     * @private
+     */
+    _getInitialParam() {
+        return this.state.initialParams[this.state.initialPattern] || '';
+    }
+
+    /**
+     * Describes the selected initial pattern's parameter
+     * @returns {string} Hint text
+     * @private
+     */
+    _getInitialParamHint() {
+        return INITIAL_PARAM_HINTS[this.state.initialPattern] || '';
+    }
+
+    /**
+     * Random seed short enough to read out and type back in
+     * @returns {number} Seed in [0, 1000000)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+
+    /**
+     * Parse a generation number typed as digits, exponent or power
+     * @param {string} text - e.g. "5000", "1e12", "10^12" or "1,000,000"
+     * @returns {number|null} Generation, or null unless it is a non-negative safe integer
+     */
+    static parseGeneration(text) {
+        const value = String(text).replace(/[\s,_]/g, '');
+        const power = value.match(/^(\d+)\^(\d+)$/);
+        const generation = power ? Number(power[1]) ** Number(power[2]) : Number(value);
+
+        return value !== '' && Number.isSafeInteger(generation) && generation >= 0 ? generation : null;
+    }
+
+    /**
+     * Zone paint button label
+     * @returns {string} Button label
+     * @private
+     */
+    _getZonePaintLabel() {
+        return this.state.zonePaint ? '✎ Painting' : '✎ Paint';
+    }
+
+    /**
+     * Update scheme parameters for CAEngine.setUpdateScheme
+     * @returns {{alpha: number, blockSize: number}} Scheme options
+     */
+    getUpdateSchemeOptions() {
+        return {
+            alpha: this.state.updateAlpha,
+            blockSize: this.state.updateBlockSize
+        };
+    }
+
+    /**
+     * Memory parameters for CAEngine.setMemory
+     * @returns {{depth: number, alpha: number}} Memory options
+     */
+    getMemoryOptions() {
+        return {
+            depth: this.state.memoryDepth,
+            alpha: this.state.memoryAlpha
+        };
+    }
+
+    /**
+     * Whether the selected update scheme takes a parameter
+     * @returns {boolean} True for α-asynchronous and block-sequential
+     * @private
+     */
+    _hasUpdateParam() {
+        return this.state.updateScheme === 'alpha' || this.state.updateScheme === 'block';
+    }
+
+    /**
+     * Parameter value for the selected update scheme
+     * @returns {number} α or block size
+     * @private
+     */
+    _getUpdateParam() {
+        return this.state.updateScheme === 'alpha' ? this.state.updateAlpha : this.state.updateBlockSize;
+    }
+
+    /**
+     * Input attributes for the update scheme parameter
+     * @returns {string} min/max/step/title attributes
+     * @private
+     */
+    _getUpdateParamAttributes() {
+        return this.state.updateScheme === 'alpha'
+            ? 'min="0" max="1" step="0.05" title="α: probability each cell updates"'
+            : 'min="1" step="1" title="Block size in cells"';
+    }
+
+    /**
+     * Noise parameters from the noise controls
+     * An empty rule B or probability table turns that kind of noise off.
+     *
+     * @returns {Object} Options for CAEngine.setNoise
+     */
+    getNoiseOptions() {
+        const ruleB = this.state.noiseRuleB === '' ? null : parseRuleCode(this.state.noiseRuleB);
+        const table = this.state.noiseTable === ''
+            ? null
+            : this.state.noiseTable.split(/[\s,]+/).filter(Boolean).map(Number);
+
+        return {
+            flipProbability: this.state.noiseFlip,
+            ruleB,
+            ruleBProbability: this.state.noiseRuleBProbability,
+            neighborhoodProbabilities: table && table.every((p) => !isNaN(p)) ? table : null
+        };
+    }
+
+    /**
+     * Set the direction time runs in and notify listeners
+     * Backward is only available for second-order rules.
+     *
+     * @param {string} direction - 'forward' or 'backward'
+     */
+    setDirection(direction) {
+        if (direction === 'backward' && !this.state.ruleReversible) {
+            return;
+        }
+
+        if (direction === this.state.direction) {
+            return;
+        }
+
+        this.state.direction = direction;
+        this.updateUI();
+
+        if (this.callbacks.onDirectionChange) {
+            this.callbacks.onDirectionChange(direction);
+        }
+    }
+
+    /**
+     * Direction button label: the direction a click switches to
+     * @returns {string} Button label
+     * @private
+     */
+    _getDirectionLabel() {
+        return this.state.direction === 'forward' ? '⏪ Reverse' : '⏩ Forward';
+    }
+
+    /**
+     * Number of valid codes in the selected rule space
+     * @returns {bigint} Code count (256n for elementary rules)
+     * @private
+     */
+    _getRuleCodeCount() {
+        return ruleCodeCount(this.state.ruleRadius, this.state.ruleEncoding, this.state.ruleStates);
+    }
+
+    /**
+     * Clamp the rule code into the selected rule space (as the engine does),
+     * so the rule input and info panel show the rule that actually runs
+     * @private
+     */
+    _clampRuleToSpace() {
+        const maxCode = this._getRuleCodeCount() - 1n;
+        if (BigInt(this.state.rule) > maxCode) {
+            this.state.rule = this._parseRuleInput(maxCode.toString());
+        }
+    }
+
+    /**
+     * Parse the rule input against the selected radius, encoding and state count
+     * @param {string} text - Decimal or hex ("0x...") rule code
+     * @returns {number|bigint|null} Rule code (BigInt when too large for a number), or null if invalid
+     * @private
+     */
+    _parseRuleInput(text) {
+        const code = parseRuleCode(text);
+
+        if (code === null || code < 0n || code >= this._getRuleCodeCount()) {
+            return null;
+        }
+
+        return code <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(code) : code;
+    }
+
+    /**
+     * Label for the rule input showing the valid code range
+     * @returns {string} Label text
+     * @private
+     */
+    _getRuleLabel() {
+        const count = this._getRuleCodeCount();
+        if (count <= 2n ** 32n) {
+            return `Rule (0-${count - 1n}):`;
+        }
+        return 'Rule (large, 0x hex):';
+    }
+
+    /**
+     * Number inputs only for codes that fit comfortably; hex text otherwise
+     * @returns {string} Input type attribute
+     * @private
+     */
+    _getRuleInputType() {
+        return this._getRuleCodeCount() <= 2n ** 32n ? 'number' : 'text';
+    }
+
+    /**
+     * Refresh the rule input's label, type and range after a rule space change
+     * @private
+     */
+    _updateRuleInputRange() {
+        const ruleLabel = document.getElementById('rule-label');
+        if (ruleLabel) ruleLabel.textContent = this._getRuleLabel();
+
+        const ruleInput = document.getElementById('rule-input');
+        if (ruleInput) {
+            const count = this._getRuleCodeCount();
+            ruleInput.type = this._getRuleInputType();
+            ruleInput.style.width = count <= 256n ? '' : '140px';
+            if (count <= 2n ** 32n) {
+                ruleInput.max = String(count - 1n);
+            } else {
+                ruleInput.removeAttribute('max');
+            }
+        }
+    }
+
+    /**
+     * Format a rule code for the rule input
+     * @param {number|bigint} rule - Rule code
+     * @returns {string} Decimal for number-sized codes, 0x-prefixed hex otherwise
+     * @private
+     */
+    _formatRule(rule) {
+        return typeof rule === 'bigint' ? `0x${rule.toString(16)}` : String(rule);
+    }
+
+    /**
+     * Rule info panel: symmetry class, jumps to the equivalent rules and property flags
+     * @returns {string} Panel HTML
+     * @private
+     */
+    _getRuleInfoHTML() {
+        const info = analyzeRule(this.state.rule, this.getRuleOptions());
+
+        const jump = (code, symbol, title) => {
+            const text = this._formatRule(this._parseRuleInput(code.toString()));
+            const label = text.length > 12 ? `${text.slice(0, 10)}…` : text;
+            return `<button data-rule="${text}" title="${title}: ${text}">${symbol} ${label}</button>`;
+        };
+
+        const flags = [];
+        if (info.additive) flags.push(info.additive === 'linear' ? 'Additive' : 'Additive (affine)');
+        if (info.totalistic) flags.push('Totalistic');
+        if (info.numberConserving) flags.push('Number-conserving');
+        if (info.selfMirror) flags.push('Mirror-symmetric');
+        if (info.selfComplement) flags.push('Self-complementary');
+        if (info.selfMirrorComplement && !(info.selfMirror && info.selfComplement)) {
+            flags.push('Mirror-complement symmetric');
+        }
+
+        return `
+            <label>Class:</label>
+            ${jump(info.representative, '★', `Class representative (${info.classSize} equivalent rules)`)}
+            ${jump(info.mirror, '⇋', 'Mirror (left-right reflection)')}
+            ${jump(info.complement, '¬', 'Complement (states swapped)')}
+            ${jump(info.mirrorComplement, '⇋¬', 'Mirror-complement')}
+            <span class="rule-info-flags">${flags.length > 0 ? flags.join(' · ') : 'No special properties'}</span>
+        `;
+    }
+
+    /**
+     * Show the result of a predecessor search
+     * @param {Object|null} result - Search result, or null to clear it
+     * @param {bigint|null} [result.count] - Number of predecessors (0n for a Garden of Eden)
+     * @param {number} [result.listed] - Predecessors offered for stepping back (the first ones found)
+     * @param {number} [result.depth] - Generations already reconstructed backwards
+     * @param {string} [result.message] - Why the search could not run (replaces the count)
+     */
+    setPreimageResults(result) {
+        const info = document.getElementById('preimage-info');
+        const select = document.getElementById('preimage-select');
+        const stepBackBtn = document.getElementById('preimage-step-back-btn');
+        if (!info || !select || !stepBackBtn) return;
+
+        const listed = result && !result.message ? result.listed || 0 : 0;
+        select.innerHTML = Array.from({ length: listed }, (_, i) => `<option value="${i}">#${i + 1}</option>`).join('');
+        select.style.display = listed > 0 ? 'inline-block' : 'none';
+        stepBackBtn.disabled = listed === 0;
+
+        let text;
+        if (!result) {
+            text = '';
+        } else if (result.message) {
+            text = result.message;
+        } else if (result.count === 0n) {
+            text = 'Garden of Eden (no predecessor)';
+        } else {
+            const count = result.count.toString();
+            text = `${count.length > 15 ? `~1e${count.length - 1}` : count} preimage${result.count === 1n ? '' : 's'}`;
+            if (BigInt(listed) < result.count) text += ` (first ${listed} listed)`;
+        }
+        if (result && result.depth > 0) {
+            text += ` · ${result.depth} step${result.depth === 1 ? '' : 's'} back`;
+        }
+        info.textContent = text;
+    }
+
+    /**
+     * Draw-row button label
+     * @returns {string} Button label
+     * @private
+     */
+    _getDrawRowLabel() {
+        return this.state.drawRow ? '✎ Drawing' : '✎ Draw';
+    }
+
+    /**
+     * Refresh the rule info panel for the current rule
+     * @private
+     */
+    _updateRuleInfo() {
+        const ruleInfo = document.getElementById('rule-info');
+        if (ruleInfo) ruleInfo.innerHTML = this._getRuleInfoHTML();
+    }
+
+    /**
+     * Debounce utility to prevent excessive callback triggers
+     * @param {string} key - Unique key for this debounce timer
+     * @param {Function} callback - Function to call after delay
+     * @param {number} delay - Delay in milliseconds
+     * @private
+     */
+    _debounce(key, callback, delay) {
+        clearTimeout(this.debounceTimers[key]);
+        this.debounceTimers[key] = setTimeout(callback, delay);
+    }
+
+    /**
+     * Update UI elements to reflect current state
+     */
+    updateUI() {
+        const dimensionSelect = document.getElementById('dimension-select');
+        if (dimensionSelect) dimensionSelect.value = this.state.dimension;
+
+        const lifeRuleControls = document.getElementById('life-rule-controls');
+        if (lifeRuleControls) lifeRuleControls.style.display = this.state.dimension === '2d' ? 'inline' : 'none';
+
+        const lifeRuleInput = document.getElementById('life-rule-input');
+        if (lifeRuleInput) lifeRuleInput.value = this.state.lifeRule;
+
+        const radiusSelect = document.getElementById('rule-radius-select');
+        if (radiusSelect) radiusSelect.value = this.state.ruleRadius;
+
+        const encodingSelect = document.getElementById('rule-encoding-select');
+        if (encodingSelect) encodingSelect.value = this.state.ruleEncoding;
+
+        const statesSelect = document.getElementById('rule-states-select');
+        if (statesSelect) statesSelect.value = this.state.ruleStates;
+
+        const reversibleCheckbox = document.getElementById('rule-reversible-checkbox');
+        if (reversibleCheckbox) reversibleCheckbox.checked = this.state.ruleReversible;
+
+        this._updateRuleInputRange();
+
+        const ruleInput = document.getElementById('rule-input');
+        if (ruleInput) ruleInput.value = this._formatRule(this.state.rule);
+
+        this._updateRuleInfo();
+
+        const noiseFlipInput = document.getElementById('noise-flip-input');
+        if (noiseFlipInput) noiseFlipInput.value = this.state.noiseFlip;
+
+        const noiseRuleBInput = document.getElementById('noise-rule-b-input');
+        if (noiseRuleBInput) noiseRuleBInput.value = this.state.noiseRuleB;
+
+        const noiseRuleBProbabilityInput = document.getElementById('noise-rule-b-probability-input');
+        if (noiseRuleBProbabilityInput) noiseRuleBProbabilityInput.value = this.state.noiseRuleBProbability;
+
+        const noiseTableInput = document.getElementById('noise-table-input');
+        if (noiseTableInput) noiseTableInput.value = this.state.noiseTable;
+
+        const seedInput = document.getElementById('seed-input');
+        if (seedInput) seedInput.value = this.state.seed;
+
+        const initialPatternSelect = document.getElementById('initial-pattern-select');
+        if (initialPatternSelect) initialPatternSelect.value = this.state.initialPattern;
+
+        const initialParamInput = document.getElementById('initial-param-input');
+        if (initialParamInput) {
+            initialParamInput.value = this._getInitialParam();
+            initialParamInput.placeholder = this._getInitialParamHint();
+            initialParamInput.title = this._getInitialParamHint();
+            initialParamInput.style.display = this.state.initialPattern === 'single' ? 'none' : 'inline-block';
+        }
+
+        const playPauseBtn = document.getElementById('play-pause-btn');
+        if (playPauseBtn) {
+            playPauseBtn.innerHTML = this.state.isPaused ? '▶ Play' : '⏸ Pause';
+        }
+
+        const directionBtn = document.getElementById('direction-btn');
+        if (directionBtn) {
+            directionBtn.innerHTML = this._getDirectionLabel();
+            directionBtn.disabled = !this.state.ruleReversible;
+        }
+
+        const speedSlider = document.getElementById('speed-slider');
+        const speedValue = document.getElementById('speed-value');
+        if (speedSlider) speedSlider.value = this.state.speed;
+        if (speedValue) speedValue.textContent = `${this.state.speed.toFixed(1)}x`;
+
+        const paletteSelect = document.getElementById('palette-select');
+        if (paletteSelect) paletteSelect.value = this.state.palette;
+
+        const zoomSelect = document.getElementById('zoom-select');
+        if (zoomSelect) zoomSelect.value = this.state.cellScale;
+
+        const boundarySelect = document.getElementById('boundary-select');
+        if (boundarySelect) boundarySelect.value = this.state.boundary;
+
+        const boundarySequenceInput = document.getElementById('boundary-sequence-input');
+        if (boundarySequenceInput) {
+            boundarySequenceInput.value = this.state.boundarySequence;
+            boundarySequenceInput.style.display = this.state.boundary === 'driven' ? 'inline-block' : 'none';
+        }
+
+        const latticeSelect = document.getElementById('lattice-select');
+        if (latticeSelect) latticeSelect.value = this.state.lattice;
+
+        const scheduleInput = document.getElementById('schedule-input');
+        if (scheduleInput) scheduleInput.value = this.state.schedule;
+
+        const zoneRuleInput = document.getElementById('zone-rule-input');
+        if (zoneRuleInput) zoneRuleInput.value = this._formatRule(this.state.zoneRule);
+
+        const zonePaintBtn = document.getElementById('zone-paint-btn');
+        if (zonePaintBtn) zonePaintBtn.innerHTML = this._getZonePaintLabel();
+
+        const drawRowBtn = document.getElementById('draw-row-btn');
+        if (drawRowBtn) drawRowBtn.innerHTML = this._getDrawRowLabel();
+
+        const basinBtn = document.getElementById('basin-btn');
+        if (basinBtn) basinBtn.innerHTML = this._getBasinLabel();
+
+        const basinWidthInput = document.getElementById('basin-width-input');
+        if (basinWidthInput) basinWidthInput.value = this.state.basinWidth;
+
+        const censusWidthsInput = document.getElementById('census-widths-input');
+        if (censusWidthsInput) censusWidthsInput.value = this.state.censusWidths;
+
+        const censusSamplesInput = document.getElementById('census-samples-input');
+        if (censusSamplesInput) censusSamplesInput.value = this.state.censusSamples;
+
+        const zoneTintCheckbox = document.getElementById('zone-tint-checkbox');
+        if (zoneTintCheckbox) zoneTintCheckbox.checked = this.state.zoneTint;
+
+        const updateSchemeSelect = document.getElementById('update-scheme-select');
+        if (updateSchemeSelect) updateSchemeSelect.value = this.state.updateScheme;
+
+        const updateParamInput = document.getElementById('update-param-input');
+        if (updateParamInput) {
+            const isAlpha = this.state.updateScheme === 'alpha';
+            updateParamInput.value = this._getUpdateParam();
+            updateParamInput.min = isAlpha ? '0' : '1';
+            updateParamInput.max = isAlpha ? '1' : '';
+            updateParamInput.step = isAlpha ? '0.05' : '1';
+            updateParamInput.title = isAlpha ? 'α: probability each cell updates' : 'Block size in cells';
+            updateParamInput.style.display = this._hasUpdateParam() ? 'inline-block' : 'none';
+        }
+
+        const memoryTypeSelect = document.getElementById('memory-type-select');
+        if (memoryTypeSelect) memoryTypeSelect.value = this.state.memoryType;
+
+        const memoryDepthInput = document.getElementById('memory-depth-input');
+        if (memoryDepthInput) {
+            memoryDepthInput.value = this.state.memoryDepth;
+            memoryDepthInput.style.display = this.state.memoryType === 'none' ? 'none' : 'inline-block';
+        }
+
+        const memoryAlphaInput = document.getElementById('memory-alpha-input');
+        if (memoryAlphaInput) {
+            memoryAlphaInput.value = this.state.memoryAlpha;
+            memoryAlphaInput.style.display = this.state.memoryType === 'alpha' ? 'inline-block' : 'none';
+        }
+
+        const cycleModeSelect = document.getElementById('cycle-mode-select');
+        if (cycleModeSelect) cycleModeSelect.value = this.state.cycleMode;
+
+        const damageModeSelect = document.getElementById('damage-mode-select');
+        if (damageModeSelect) damageModeSelect.value = this.state.damageMode;
+
+        const damageCellsInput = document.getElementById('damage-cells-input');
+        if (damageCellsInput) {
+            damageCellsInput.value = this.state.damageCells;
+            damageCellsInput.style.display = this.state.damageMode === 'cells' ? 'inline-block' : 'none';
+        }
+
+        const domainModeSelect = document.getElementById('domain-mode-select');
+        if (domainModeSelect) domainModeSelect.value = this.state.domainMode;
+
+        const domainWordsInput = document.getElementById('domain-words-input');
+        if (domainWordsInput) {
+            domainWordsInput.value = this.state.domainWords;
+            domainWordsInput.style.display = this.state.domainMode === 'custom' ? 'inline-block' : 'none';
+        }
+
+        const backendSelect = document.getElementById('backend-select');
+        if (backendSelect) backendSelect.value = this.state.backend;
     }
 
     /**
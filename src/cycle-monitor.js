@@ -0,0 +1,121 @@
+/**
+ * CycleMonitor - On-canvas cycle detection report
+ *
+ * Shows the CA engine's cycle detection result (transient length, period and
+ * spatial shift) in a cyberpunk-styled overlay matching the performance monitor.
+ *
+ * @version 1.0.0
+ */
+
+class CycleMonitor {
+    /**
+     * Initialize the cycle overlay
+     */
+    constructor() {
+        // Display settings
+        this.visible = true;
+        this.x = 10; // Position from top-left
+        this.y = 10;
+        this.width = 200;
+        this.height = 100;
+        this.padding = 10;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            found: '#00ff00',       // Green once a cycle is found
+            searching: '#ffff00',   // Yellow while searching
+            inactive: '#888888',    // Grey when detection does not apply
+            bg: 'rgba(10, 10, 20, 0.85)',
+            text: '#00b8b8',
+            accent: '#ff00ff'
+        };
+    }
+
+    /**
+     * Render the cycle overlay to the canvas
+     * @param {p5} p - p5.js instance
+     * @param {Object} info - Result of CAEngine.getCycleInfo()
+     * @param {number} generation - Current generation
+     */
+    render(p, info, generation) {
+        if (!this.visible || info.status === 'off') return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Calculate position (top-left corner)
+        const posX = -p.width / 2 + this.x;
+        const posY = -p.height / 2 + this.y;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, this.width, this.height);
+
+        // Headline: status, color-coded
+        p.textAlign(p.LEFT, p.TOP);
+        p.textSize(20);
+        p.fill(this.colors[info.status] || this.colors.inactive);
+        p.text(this._getHeadline(info), posX + this.padding, posY + this.padding);
+
+        p.textSize(14);
+        p.fill(this.colors.text);
+
+        if (info.status === 'found') {
+            const transient = info.transient === null ? '?' : info.transient;
+            p.text(`Transient: ${transient}`, posX + this.padding, posY + this.padding + 28);
+            p.text(`Period: ${info.period}`, posX + this.padding, posY + this.padding + 46);
+
+            p.textSize(11);
+            p.fill(this.colors.accent);
+            p.text(
+                `Shift: ${info.shift} | Found at gen ${info.detectedAt}`,
+                posX + this.padding,
+                posY + this.padding + 70
+            );
+        } else if (info.status === 'searching') {
+            p.text(`Generation: ${generation}`, posX + this.padding, posY + this.padding + 28);
+            p.text(`Tracking since: ${info.startGeneration}`, posX + this.padding, posY + this.padding + 46);
+        } else {
+            p.text('Needs a ring lattice and', posX + this.padding, posY + this.padding + 28);
+            p.text('deterministic updates', posX + this.padding, posY + this.padding + 46);
+        }
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Headline text for a detection status
+     * @param {Object} info - Result of CAEngine.getCycleInfo()
+     * @returns {string} Headline
+     * @private
+     */
+    _getHeadline(info) {
+        if (info.status === 'found') {
+            return info.shift === 0 ? 'CYCLE' : 'MOVING CYCLE';
+        }
+        if (info.status === 'searching') {
+            return 'Searching...';
+        }
+        return 'No detection';
+    }
+
+    /**
+     * Show or hide the cycle overlay
+     * @param {boolean} visible - Whether to display the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
@@ -0,0 +1,355 @@
+/**
+ * DamageMonitor - Damage spreading between a run and a perturbed copy
+ *
+ * Forks a second CAEngine from the current run with one or more cells
+ * flipped and steps it in lockstep (same rule, settings and PRNG stream).
+ * The cells where the two runs differ form the "damage" pattern, drawn on
+ * top of the diagram. The overlay plots the Hamming distance over time and
+ * estimates how fast the damage front moves left and right, a proxy for the
+ * Lyapunov exponent: about zero for ordered rules, positive for chaotic ones.
+ *
+ * @version 1.0.0
+ */
+
+class DamageMonitor {
+    /**
+     * Initialize the damage tracker and its overlay
+     */
+    constructor() {
+        // Perturbed copy of the run (null when damage spreading is off)
+        this.twin = null;
+        this.origin = 0;             // Column the damage spreads from
+        this.forkGeneration = 0;
+        this.notice = null;          // Why damage spreading stopped, shown in place of the overlay
+        this.maxSteppedCatchUp = 100000; // Most generations stepped when the copy can't fast-forward
+
+        // Per-generation damage: Hamming distance and front extents from the origin
+        this.history = [];
+        this.maxHistorySize = 120;
+        this.maxLogSize = 10000;
+
+        // XOR mask in the engine's state layout, for the renderer
+        this.mask = null;
+
+        // Display settings
+        this.visible = true;
+        this.x = 10; // Position from top-left, below the cycle overlay
+        this.y = 120;
+        this.width = 200;
+        this.height = 100;
+        this.padding = 10;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            damage: '#ffff00',
+            bg: 'rgba(10, 10, 20, 0.85)',
+            text: '#00b8b8',
+            accent: '#ff00ff'
+        };
+    }
+
+    /**
+     * Fork a perturbed copy of the run at its current generation
+     * @param {CAEngine} engine - Engine of the current run
+     * @param {Object} perturbation - Which cells to flip
+     * @param {string} perturbation.mode - 'center', 'random' or 'cells'
+     * @param {number[]} [perturbation.cells] - Cell indices for 'cells'
+     * @returns {boolean} False if the run cannot be perturbed (growing lattice)
+     */
+    start(engine, perturbation) {
+        const twin = new CAEngine(0, engine.width, engine.height);
+        twin.restore(engine.clone());
+        twin.setFastForward(engine.getFastForward());
+
+        const positions = this._getPositions(engine, perturbation);
+        if (positions.length === 0 || !twin.perturb(positions)) {
+            this.stop();
+            if (engine.getLatticeMode() !== 'ring') {
+                this.notice = 'Needs a ring lattice';
+            }
+            return false;
+        }
+
+        this.twin = twin;
+        this.origin = Math.round((Math.min(...positions) + Math.max(...positions)) / 2);
+        this.forkGeneration = engine.getGeneration();
+        this.notice = null;
+        this.history = [];
+        this._record(engine, this.forkGeneration);
+        return true;
+    }
+
+    /**
+     * Turn damage spreading off
+     */
+    stop() {
+        this.twin = null;
+        this.history = [];
+        this.notice = null;
+    }
+
+    /**
+     * Whether a perturbed copy is running
+     * @returns {boolean} True while damage spreading is on
+     */
+    isActive() {
+        return this.twin !== null;
+    }
+
+    /**
+     * Apply a mid-run settings change to the perturbed copy too, so both runs
+     * keep sharing everything but the perturbation
+     * @param {Function} change - Called with the perturbed engine
+     */
+    mirror(change) {
+        if (this.twin) {
+            change(this.twin);
+        }
+    }
+
+    /**
+     * Step the perturbed copy to the run's generation and record the damage
+     * @param {CAEngine} engine - Engine of the current run
+     * @returns {boolean} False if the copy fell too far behind and damage spreading stopped
+     */
+    update(engine) {
+        if (!this.twin) return true;
+
+        const generation = engine.getGeneration();
+
+        // Running backwards (2nd order rules): follow, and drop history past the seed
+        while (this.twin.getGeneration() > generation && this.twin.stepBack()) {
+            this.history.pop();
+        }
+
+        // Far behind after a jump: catch up by jumping too, up to the visible rows.
+        // A perturbed run too irregular to fast-forward steps instead, within
+        // maxSteppedCatchUp generations.
+        const target = generation - engine.height;
+        if (target > this.twin.getGeneration() && !this.twin.jumpTo(target)) {
+            if (target - this.twin.getGeneration() > this.maxSteppedCatchUp) {
+                this.stop();
+                this.notice = 'Too irregular to follow';
+                return false;
+            }
+            this.twin.generate(target - this.twin.getGeneration());
+        }
+
+        while (this.twin.getGeneration() < generation) {
+            this.twin.step();
+            const g = this.twin.getGeneration();
+
+            // Rows older than the circular buffer can no longer be compared
+            if (g > generation - engine.height) {
+                this._record(engine, g);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Cells where the run and its perturbed copy differ
+     * @param {CAEngine} engine - Engine of the current run
+     * @returns {Uint8Array|null} 1 for damaged cells, in the engine's state layout; null when off
+     */
+    getDamageMask(engine) {
+        if (!this.twin) return null;
+
+        const state = engine.getState();
+        const twinState = this.twin.getState();
+        if (!this.mask || this.mask.length !== state.length) {
+            this.mask = new Uint8Array(state.length);
+        }
+
+        for (let i = 0; i < state.length; i++) {
+            this.mask[i] = state[i] !== twinState[i] ? 1 : 0;
+        }
+
+        return this.mask;
+    }
+
+    /**
+     * Damage front speeds in cells per generation
+     * Least-squares slope of each front's distance from the origin, using the
+     * generations before the damage wraps around the ring.
+     * @returns {{left: number, right: number}|null} Speeds, or null with too little history
+     */
+    getSpeeds() {
+        const width = this.twin ? this.twin.width : 0;
+        const samples = this.history.filter((h) => h.distance > 0 && h.left + h.right < width - 2);
+        if (samples.length < 2) return null;
+
+        const slope = (key) => {
+            const n = samples.length;
+            const meanT = samples.reduce((sum, h) => sum + h.generation, 0) / n;
+            const meanY = samples.reduce((sum, h) => sum + h[key], 0) / n;
+            let covariance = 0;
+            let variance = 0;
+            for (const h of samples) {
+                covariance += (h.generation - meanT) * (h[key] - meanY);
+                variance += (h.generation - meanT) ** 2;
+            }
+            return variance > 0 ? covariance / variance : 0;
+        };
+
+        return { left: slope('left'), right: slope('right') };
+    }
+
+    /**
+     * Cells to flip for a perturbation
+     * A random cell is drawn from the run's seed and the fork generation, so
+     * restarting with the same seed flips the same cell. (Not from the PRNG
+     * stream itself, which both runs must keep sharing.)
+     * @param {CAEngine} engine - Engine of the current run
+     * @param {Object} perturbation - See start()
+     * @returns {number[]} Cell indices
+     * @private
+     */
+    _getPositions(engine, perturbation) {
+        const width = engine.width;
+        if (perturbation.mode === 'random') {
+            // One mulberry32 draw
+            let t = (normalizeSeed(`${engine.getSeed()}:${engine.getGeneration()}`) + 0x6D2B79F5) | 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return [Math.floor(((t ^ (t >>> 14)) >>> 0) / 4294967296 * width)];
+        }
+        if (perturbation.mode === 'cells') {
+            return (perturbation.cells || []).filter((x) => Number.isInteger(x) && x >= 0 && x < width);
+        }
+        return [Math.floor(width / 2)];
+    }
+
+    /**
+     * Record the damage of one generation
+     * @param {CAEngine} engine - Engine of the current run
+     * @param {number} generation - Generation to compare
+     * @private
+     */
+    _record(engine, generation) {
+        const width = engine.width;
+        const row = engine.getRow(generation % engine.height);
+        const twinRow = this.twin.getRow(generation % engine.height);
+
+        // Distances from the origin on the ring, in -width/2 .. width/2
+        let distance = 0;
+        let left = 0;
+        let right = 0;
+        for (let x = 0; x < width; x++) {
+            if (row[x] === twinRow[x]) continue;
+
+            distance++;
+            const offset = ((x - this.origin + Math.floor(width / 2)) % width + width) % width - Math.floor(width / 2);
+            left = Math.max(left, -offset);
+            right = Math.max(right, offset);
+        }
+
+        this.history.push({ generation, distance, left, right });
+        if (this.history.length > this.maxLogSize) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Render the damage overlay to the canvas
+     * @param {p5} p - p5.js instance
+     */
+    render(p) {
+        if (!this.visible || (!this.twin && !this.notice)) return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Calculate position (top-left corner, below the cycle overlay)
+        const posX = -p.width / 2 + this.x;
+        const posY = -p.height / 2 + this.y;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, this.width, this.height);
+
+        p.textAlign(p.LEFT, p.TOP);
+        p.textSize(20);
+        p.fill(this.colors.damage);
+        p.text('DAMAGE', posX + this.padding, posY + this.padding);
+
+        p.textSize(14);
+        p.fill(this.colors.text);
+
+        if (!this.twin) {
+            p.text(this.notice, posX + this.padding, posY + this.padding + 28);
+            p.pop();
+            return;
+        }
+
+        const latest = this.history[this.history.length - 1];
+        const distance = latest ? latest.distance : 0;
+        p.text(
+            `Hamming: ${distance} (${(100 * distance / this.twin.width).toFixed(1)}%)`,
+            posX + this.padding,
+            posY + this.padding + 26
+        );
+
+        // Front speeds (Lyapunov proxy)
+        const speeds = this.getSpeeds();
+        p.textSize(11);
+        p.fill(this.colors.accent);
+        p.text(
+            speeds
+                ? `Speed L: ${speeds.left.toFixed(2)} | R: ${speeds.right.toFixed(2)}`
+                : 'Speed L: - | R: -',
+            posX + this.padding,
+            posY + this.padding + 46
+        );
+
+        this._drawDistanceGraph(p, posX, posY);
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Draw the Hamming distance over the last generations
+     * @param {p5} p - p5.js instance
+     * @param {number} posX - X position of overlay
+     * @param {number} posY - Y position of overlay
+     * @private
+     */
+    _drawDistanceGraph(p, posX, posY) {
+        const graphHeight = 20;
+        const graphY = posY + this.height - graphHeight - 5;
+        const graphWidth = this.width - this.padding * 2;
+        const barWidth = graphWidth / this.maxHistorySize;
+        const recent = this.history.slice(-this.maxHistorySize);
+        const offset = this.maxHistorySize - recent.length;
+
+        p.noStroke();
+        p.fill(this.colors.damage);
+
+        // Scale to the full row, so saturation reads as a full bar
+        for (let i = 0; i < recent.length; i++) {
+            const barHeight = (recent[i].distance / this.twin.width) * graphHeight;
+            const x = posX + this.padding + (offset + i) * barWidth;
+            p.rect(x, graphY + graphHeight - barHeight, Math.max(barWidth - 1, 1), barHeight);
+        }
+    }
+
+    /**
+     * Show or hide the damage overlay
+     * @param {boolean} visible - Whether to display the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * DomainFilter - Computational-mechanics domain filtering
+ *
+ * Complex rules (110, 54, ...) run their gliders over a regular background
+ * domain. A domain here is a set of spatially periodic words (e.g. the rows
+ * of rule 110's ether, period 14); a cell belongs to the domain when a window
+ * of at least two periods (and at least 8 cells, so short words do not match
+ * by chance) around it repeats one of the words. The renderer dims domain
+ * cells and highlights the rest, so particles and their collisions stand out.
+ * Domains can be given by hand or detected from the most common periodic
+ * words in recent rows.
+ *
+ * @version 1.0.0
+ */
+
+class DomainFilter {
+    /**
+     * Initialize the filter and its overlay
+     */
+    constructor() {
+        // Filter settings
+        this.mode = 'off';           // 'off', 'auto' or 'custom'
+        this.words = [];             // Domain words (arrays of cell states)
+        this.states = 2;
+        this.maxPeriod = 16;         // Longest word looked for when detecting
+        this.minWindow = 8;          // Shortest window that counts as a domain match
+        this.detectRows = 64;        // Recent rows sampled when detecting
+        this.redetectEvery = 64;     // Generations between detections in auto mode
+        this.minShare = 0.05;        // Detected words repeat in at least this share of the sampled windows
+
+        // Filter output: 1 where a cell belongs to the domain, in the engine's state layout
+        this.mask = null;
+        this.filteredGeneration = -1;
+        this.detectedAt = -1;
+        this.particles = 0;
+
+        // Window keys per window length: Set of base-k values of the domain's windows
+        this.windowKeys = new Map();
+
+        // Display settings
+        this.visible = true;
+        this.x = 10; // Position from bottom-left, above the class overlay
+        this.y = 120;
+        this.width = 230;
+        this.height = 60;
+        this.padding = 10;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            headline: '#ff6600',
+            bg: 'rgba(10, 10, 20, 0.85)',
+            text: '#00b8b8'
+        };
+    }
+
+    /**
+     * Choose how the domain is found
+     * @param {string} mode - 'off', 'auto' (detect from the run) or 'custom'
+     * @param {string} [words] - Custom domain words, comma separated (e.g. "11111000100110")
+     */
+    setMode(mode, words = '') {
+        this.mode = mode;
+        this.detectedAt = -1;
+
+        if (mode === 'custom') {
+            this._setWords(DomainFilter.parseWords(words));
+        } else {
+            this._setWords([]);
+        }
+    }
+
+    /**
+     * Whether filtering is on
+     * @returns {boolean} True unless the mode is 'off'
+     */
+    isActive() {
+        return this.mode !== 'off';
+    }
+
+    /**
+     * Parse domain words
+     * @param {string} text - Words of cell-state digits separated by commas or spaces
+     * @returns {number[][]} Words as arrays of cell states (invalid words are skipped)
+     */
+    static parseWords(text) {
+        return String(text)
+            .split(/[\s,]+/)
+            .filter((word) => /^[0-9]+$/.test(word))
+            .map((word) => word.split('').map(Number));
+    }
+
+    /**
+     * Refresh the domain mask for the rows the engine produced since the last call
+     * @param {CAEngine} engine - Engine of the current run
+     * @returns {Uint8Array|null} Domain mask (1 = domain) in the engine's state layout, or null when off
+     */
+    update(engine) {
+        if (!this.isActive()) return null;
+
+        const generation = engine.getGeneration();
+        const height = engine.height;
+        const width = engine.width;
+        const state = engine.getState();
+
+        // A new rule space (state count) invalidates the domain words' keys
+        if (engine.getStateCount() !== this.states) {
+            this.states = engine.getStateCount();
+            this._setWords(this.mode === 'custom' ? this.words : []);
+            this.detectedAt = -1;
+        }
+
+        // Auto mode: re-detect the domain now and then; a new domain refilters everything
+        const stale = this.detectedAt < 0 || generation < this.detectedAt ||
+            generation - this.detectedAt >= this.redetectEvery;
+        if (this.mode === 'auto' && stale) {
+            this._setWords(this._detect(state, width, height, generation));
+            this.detectedAt = generation;
+        }
+
+        if (!this.mask || this.mask.length !== state.length) {
+            this.mask = new Uint8Array(state.length);
+            this.filteredGeneration = -1;
+        }
+
+        // Filter only rows produced since the last call (all rows after a restart or a jump)
+        const periodic = engine.getBoundary().mode === 'periodic' && engine.getLatticeMode() === 'ring';
+        const first = generation < this.filteredGeneration || this.filteredGeneration < 0
+            ? Math.max(0, generation - height + 1)
+            : Math.max(this.filteredGeneration + 1, generation - height + 1);
+
+        for (let g = first; g <= generation; g++) {
+            const offset = (g % height) * width;
+            this._filterRow(state.subarray(offset, offset + width), this.mask.subarray(offset, offset + width), periodic);
+        }
+        this.filteredGeneration = generation;
+
+        // Particles: runs of non-domain cells in the newest row
+        const offset = (generation % height) * width;
+        this.particles = this._countParticles(this.mask.subarray(offset, offset + width), periodic);
+
+        return this.mask;
+    }
+
+    /**
+     * Force the next update to refilter every row (e.g. after a restart)
+     */
+    reset() {
+        this.filteredGeneration = -1;
+        this.particles = 0;
+        if (this.mode === 'auto') {
+            this._setWords([]);
+            this.detectedAt = -1;
+        }
+    }
+
+    /**
+     * Use a set of domain words and precompute their window keys
+     * @param {number[][]} words - Domain words
+     * @private
+     */
+    _setWords(words) {
+        this.words = words.filter((word) => word.length > 0 && word.every((v) => v < this.states));
+        this.windowKeys = new Map();
+        this.filteredGeneration = -1;
+
+        for (const word of this.words) {
+            const p = word.length;
+            const length = this._windowLength(p);
+            if (!this.windowKeys.has(length)) {
+                this.windowKeys.set(length, new Set());
+            }
+
+            // Every phase of the word, repeated out to the window length
+            for (let phase = 0; phase < p; phase++) {
+                let key = 0;
+                for (let i = 0; i < length; i++) {
+                    key = key * this.states + word[(phase + i) % p];
+                }
+                this.windowKeys.get(length).add(key);
+            }
+        }
+    }
+
+    /**
+     * Window length used to match a word of period p
+     * @param {number} p - Word length
+     * @returns {number} Two periods, at least minWindow cells, short enough for exact keys
+     * @private
+     */
+    _windowLength(p) {
+        const maxLength = Math.floor(52 / Math.log2(this.states));
+        return Math.min(Math.max(2 * p, this.minWindow), maxLength);
+    }
+
+    /**
+     * Mark the cells of one row covered by a domain window
+     * @param {Uint8Array} row - Cell states
+     * @param {Uint8Array} out - Output mask row (1 = domain)
+     * @param {boolean} periodic - Whether windows wrap around the row
+     * @private
+     */
+    _filterRow(row, out, periodic) {
+        const width = row.length;
+        out.fill(0);
+
+        for (const [length, keys] of this.windowKeys) {
+            const span = periodic ? width + length - 1 : width;
+            const high = this.states ** (length - 1);
+            let key = 0;
+
+            for (let i = 0; i < span; i++) {
+                key = (i >= length ? key % high : key) * this.states + row[i % width];
+                if (i >= length - 1 && keys.has(key)) {
+                    for (let j = i - length + 1; j <= i; j++) {
+                        out[j % width] = 1;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Count particles: maximal runs of non-domain cells in a row
+     * @param {Uint8Array} maskRow - Domain mask row
+     * @param {boolean} periodic - Whether a run may wrap around the row
+     * @returns {number} Particle count
+     * @private
+     */
+    _countParticles(maskRow, periodic) {
+        const width = maskRow.length;
+        let count = 0;
+
+        for (let x = 0; x < width; x++) {
+            const previous = x > 0 ? maskRow[x - 1] : (periodic ? maskRow[width - 1] : 1);
+            if (maskRow[x] === 0 && previous === 1) count++;
+        }
+
+        // A row with no domain at all is one big defect (or nothing when empty)
+        if (count === 0 && width > 0 && maskRow[0] === 0) {
+            count = this.words.length > 0 ? 1 : 0;
+        }
+
+        return count;
+    }
+
+    /**
+     * Detect the domain: the most common primitive periodic words in recent rows
+     * Each window (see _windowLength) that repeats with period p votes for its
+     * word (as its least rotation). Words voted for by a fair share of all
+     * windows form the domain; in chaotic rows every word stays well below it.
+     * @param {Uint8Array} state - Engine state buffer
+     * @param {number} width - Row width
+     * @param {number} height - Rows in the buffer
+     * @param {number} generation - Current generation
+     * @returns {number[][]} Domain words
+     * @private
+     */
+    _detect(state, width, height, generation) {
+        const votes = new Map();
+        const rows = Math.min(this.detectRows, generation + 1, height);
+        const maxPeriod = Math.min(this.maxPeriod, Math.floor(this._windowLength(this.maxPeriod) / 2));
+
+        for (let n = 0; n < rows; n++) {
+            const offset = ((generation - n) % height) * width;
+            const row = state.subarray(offset, offset + width);
+
+            for (let x = 0; x < width; x++) {
+                // Smallest period p with which the window starting at x repeats
+                for (let p = 1; p <= maxPeriod && x + this._windowLength(p) <= width; p++) {
+                    const length = this._windowLength(p);
+                    let repeats = true;
+                    for (let i = 0; i + p < length; i++) {
+                        if (row[x + i] !== row[x + p + i]) {
+                            repeats = false;
+                            break;
+                        }
+                    }
+                    if (!repeats) continue;
+
+                    const word = DomainFilter._leastRotation(row.subarray(x, x + p));
+                    const key = word.join('');
+                    votes.set(key, (votes.get(key) || 0) + 1);
+                    break;
+                }
+            }
+        }
+
+        const threshold = rows * width * this.minShare;
+        return [...votes.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .filter(([, count]) => count >= threshold)
+            .map(([key]) => key.split('').map(Number));
+    }
+
+    /**
+     * Least rotation of a short word (brute force; words are at most maxPeriod long)
+     * @param {Uint8Array} cells - Word
+     * @returns {number[]} Lexicographically least rotation
+     * @private
+     */
+    static _leastRotation(cells) {
+        const p = cells.length;
+        let best = 0;
+
+        for (let r = 1; r < p; r++) {
+            for (let i = 0; i < p; i++) {
+                const a = cells[(r + i) % p];
+                const b = cells[(best + i) % p];
+                if (a !== b) {
+                    if (a < b) best = r;
+                    break;
+                }
+            }
+        }
+
+        return Array.from({ length: p }, (_, i) => cells[(best + i) % p]);
+    }
+
+    /**
+     * Domain words as text
+     * @returns {string} Comma-separated words, or '-' when there is no domain
+     */
+    getDomainText() {
+        return this.words.length > 0 ? this.words.map((word) => word.join('')).join(', ') : '-';
+    }
+
+    /**
+     * Render the particle counter overlay to the canvas
+     * @param {p5} p - p5.js instance
+     */
+    render(p) {
+        if (!this.visible || !this.isActive()) return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Calculate position (bottom-left corner, above the class overlay)
+        const posX = -p.width / 2 + this.x;
+        const posY = p.height / 2 - this.height - this.y;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, this.width, this.height);
+
+        p.textAlign(p.LEFT, p.TOP);
+        p.textSize(20);
+        p.fill(this.colors.headline);
+        p.text(`${this.particles} PARTICLES`, posX + this.padding, posY + this.padding);
+
+        // Domain words, shortened to fit
+        const domain = this.getDomainText();
+        p.textSize(11);
+        p.fill(this.colors.text);
+        p.text(
+            `Domain: ${domain.length > 26 ? `${domain.slice(0, 25)}…` : domain}`,
+            posX + this.padding,
+            posY + this.padding + 28
+        );
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Show or hide the particle overlay
+     * @param {boolean} visible - Whether to display the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
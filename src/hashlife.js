@@ -0,0 +1,328 @@
+/**
+ * HashLife - Memoized fast-forward for 1D rules
+ *
+ * Gosper's HashLife in one dimension. A row is cut into a binary tree of
+ * blocks: a level-L node is 2^L cells, and identical blocks share one node
+ * (hash-consing). For a level-L node the cache stores the centre 2^(L-1)
+ * cells after 2^j steps (j <= L-2), built recursively from the children's
+ * cached results. Regular space-time regions (periodic rows, ether, traffic
+ * jams) keep reusing the same few nodes, so millions of generations cost
+ * about as much as a few hundred; chaotic rows fill the cache instead, and
+ * advance() gives up rather than exhaust memory. It gives up early, too: the
+ * cache is warmed one power of two at a time, and a row that keeps needing
+ * new nodes in proportion to the cells it covers is cheaper to step.
+ *
+ * Works on periodic rings of radius-1 rules with any number of states: the
+ * ring is unrolled into its periodic extension, which has at most one node
+ * per (level, phase), so building a tree of 2^L cells costs O(n L).
+ */
+
+class HashLife {
+  /**
+   * Create an empty cache
+   *
+   * @param {Object} [options] - Cache settings
+   * @param {number} [options.maxNodes=1048576] - Nodes kept between jumps (at most 2^24); beyond
+   *   that the cache is flushed before the next jump, and a jump needing twice as many gives up
+   * @param {number} [options.cellsPerNode=2048] - Space-time cells each new node must cover
+   *   while warming up (chaotic rows manage about 100, regular ones thousands)
+   */
+  constructor(options = {}) {
+    this.maxNodes = Math.min(options.maxNodes || 1 << 20, 1 << 24);
+    this.cellsPerNode = options.cellsPerNode || 2048;
+
+    // Rule the cache was built for (a new rule flushes it)
+    this.table = null;
+    this.states = 2;
+
+    this._clear();
+  }
+
+  /**
+   * Advance a periodic row of a radius-1 rule
+   *
+   * @param {Uint8Array} row - Current row (periodic)
+   * @param {number} steps - Generations to advance (a safe integer)
+   * @param {Uint8Array} table - Rule lookup table (see buildRuleTable, radius 1)
+   * @param {number} [states=2] - Number of cell states k
+   * @returns {Uint8Array|null} Row after the given number of generations, or null if the
+   *   evolution is too irregular to fit the cache or to be worth fast-forwarding
+   */
+  advance(row, steps, table, states = 2) {
+    this._useRule(table, states);
+    if (this.left.length > this.maxNodes) {
+      this._clear();
+    }
+
+    let cells = Uint8Array.from(row);
+    try {
+      if (!this._isRegular(cells, Math.floor(Math.log2(steps)))) {
+        return null;
+      }
+
+      for (let j = 0, rest = steps; rest > 0; j++, rest = Math.floor(rest / 2)) {
+        if (rest % 2 === 1) {
+          cells = this._advancePowerOfTwo(cells, j);
+        }
+      }
+    } catch (error) {
+      if (!(error instanceof RangeError)) {
+        throw error;
+      }
+      this._clear();
+      return null;
+    }
+
+    return cells;
+  }
+
+  /**
+   * Cache size
+   *
+   * @returns {{nodes: number, results: number}} Distinct blocks and cached block results
+   */
+  getStats() {
+    return { nodes: this.left.length, results: this.results.size };
+  }
+
+  /**
+   * Warm the cache with 2^0, 2^1, ..., 2^top generations of a row, giving up
+   * as soon as the new nodes outgrow a base of 128 per ring cell (building
+   * the trees) plus one per cellsPerNode space-time cells covered
+   * Results stay cached, so the jump itself then costs little more.
+   *
+   * @param {Uint8Array} cells - Current row
+   * @param {number} top - Log2 of the largest power of two in the jump
+   * @returns {boolean} False if the evolution is too irregular to be worth fast-forwarding
+   * @private
+   */
+  _isRegular(cells, top) {
+    const start = this.left.length;
+    const base = 128 * cells.length;
+
+    for (let j = 0; j <= top; j++) {
+      this._advancePowerOfTwo(cells, j);
+      if (this.left.length - start > base + 2 ** j * cells.length / this.cellsPerNode) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Advance a periodic row by 2^j generations
+   *
+   * @param {Uint8Array} cells - Current row
+   * @param {number} j - Log2 of the step count
+   * @returns {Uint8Array} Row after 2^j generations
+   * @private
+   */
+  _advancePowerOfTwo(cells, j) {
+    const n = cells.length;
+
+    // Root of 2^level cells whose centre half covers the ring and whose result reaches 2^j steps
+    const level = Math.max(Math.ceil(Math.log2(n)) + 1, j + 2, 2);
+    const quarter = 2 ** (level - 2);
+    const root = this._buildPeriodic(cells, level, ((-quarter % n) + n) % n);
+
+    // The result starts at the ring's cell 0
+    const next = new Uint8Array(n);
+    this._readCells(this._result(root, j), level - 1, next, 0);
+    return next;
+  }
+
+  /**
+   * Node for 2^level cells of the row's periodic extension, starting at a given cell
+   * At most one node per (level, phase) is built, so this is O(n level).
+   *
+   * @param {Uint8Array} cells - Periodic row
+   * @param {number} level - Tree level
+   * @param {number} start - First cell (0 to n-1)
+   * @returns {number} Node id
+   * @private
+   */
+  _buildPeriodic(cells, level, start) {
+    const n = cells.length;
+
+    // ids[o] = node of the current level starting at cell o
+    let ids = Array.from(cells);
+    for (let l = 1; l <= level; l++) {
+      const half = 2 ** (l - 1) % n;
+      const next = new Array(n);
+      for (let o = 0; o < n; o++) {
+        next[o] = this._join(ids[o], ids[(o + half) % n], l);
+      }
+      ids = next;
+    }
+
+    return ids[start];
+  }
+
+  /**
+   * Centre 2^(level-1) cells of a node after 2^j steps (j <= level-2)
+   *
+   * @param {number} id - Node id
+   * @param {number} j - Log2 of the step count
+   * @returns {number} Node id one level down
+   * @private
+   */
+  _result(id, j) {
+    const key = id * 64 + j;
+    const cached = this.results.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const level = this.level[id];
+    let result;
+
+    if (level === 2) {
+      // Four cells step once into the middle two
+      const k = this.states;
+      const c0 = this.left[this.left[id]];
+      const c1 = this.right[this.left[id]];
+      const c2 = this.left[this.right[id]];
+      const c3 = this.right[this.right[id]];
+      const a = this.table[(c0 * k + c1) * k + c2];
+      const b = this.table[(c1 * k + c2) * k + c3];
+      result = this._join(a, b, 1);
+    } else {
+      // Three overlapping half-size nodes spanning the node
+      const a = this.left[id];
+      const b = this.right[id];
+      const n0 = a;
+      const n1 = this._join(this.right[a], this.left[b], level - 1);
+      const n2 = b;
+
+      let r0;
+      let r1;
+      let r2;
+      let half;
+      if (j === level - 2) {
+        // Full speed: both halves of the time span come from the cache
+        r0 = this._result(n0, level - 3);
+        r1 = this._result(n1, level - 3);
+        r2 = this._result(n2, level - 3);
+        half = level - 3;
+      } else {
+        // Fewer steps: take the centres now, spend all 2^j steps in the second stage
+        r0 = this._centre(n0);
+        r1 = this._centre(n1);
+        r2 = this._centre(n2);
+        half = j;
+      }
+
+      const s0 = this._result(this._join(r0, r1, level - 1), half);
+      const s1 = this._result(this._join(r1, r2, level - 1), half);
+      result = this._join(s0, s1, level - 1);
+    }
+
+    this.results.set(key, result);
+    return result;
+  }
+
+  /**
+   * Middle half of a node (no time passes)
+   *
+   * @param {number} id - Node id (level >= 2)
+   * @returns {number} Node id one level down
+   * @private
+   */
+  _centre(id) {
+    return this._join(this.right[this.left[id]], this.left[this.right[id]], this.level[id] - 1);
+  }
+
+  /**
+   * The unique node with the given halves
+   * Ids 0 to k-1 are the single cells; larger ids index the node arrays.
+   *
+   * @param {number} left - Left half
+   * @param {number} right - Right half
+   * @param {number} level - Level of the joined node
+   * @returns {number} Node id
+   * @private
+   */
+  _join(left, right, level) {
+    const key = left * 0x4000000 + right;
+    const existing = this.nodes.get(key);
+    if (existing !== undefined) {
+      return existing;
+    }
+
+    if (this.left.length >= 2 * this.maxNodes) {
+      throw new RangeError('HashLife cache is full');
+    }
+
+    const id = this.left.length;
+    this.left.push(left);
+    this.right.push(right);
+    this.level.push(level);
+    this.nodes.set(key, id);
+    return id;
+  }
+
+  /**
+   * Copy the leading cells of a node into a row (cells past its end are skipped)
+   *
+   * @param {number} id - Node id
+   * @param {number} level - Node level
+   * @param {Uint8Array} out - Destination
+   * @param {number} start - Index in out of the node's first cell
+   * @private
+   */
+  _readCells(id, level, out, start) {
+    if (start >= out.length) {
+      return;
+    }
+
+    if (level === 0) {
+      out[start] = id;
+      return;
+    }
+
+    this._readCells(this.left[id], level - 1, out, start);
+    this._readCells(this.right[id], level - 1, out, start + 2 ** (level - 1));
+  }
+
+  /**
+   * Flush the cache if the rule changed
+   *
+   * @param {Uint8Array} table - Rule lookup table
+   * @param {number} states - Number of cell states k
+   * @private
+   */
+  _useRule(table, states) {
+    const same = this.table && this.states === states && this.table.length === table.length &&
+      this.table.every((value, i) => value === table[i]);
+    if (!same) {
+      this.table = Uint8Array.from(table);
+      this.states = states;
+      this._clear();
+    }
+  }
+
+  /**
+   * Drop every node and result
+   * @private
+   */
+  _clear() {
+    // Single cells are nodes 0 to k-1 (level 0)
+    this.left = [];
+    this.right = [];
+    this.level = [];
+    for (let s = 0; s < this.states; s++) {
+      this.left.push(-1);
+      this.right.push(-1);
+      this.level.push(0);
+    }
+
+    this.nodes = new Map();
+    this.results = new Map();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { HashLife };
+}
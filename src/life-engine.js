@@ -0,0 +1,380 @@
+/**
+ * Life-like Engine
+ *
+ * Two-dimensional outer-totalistic cellular automata on a torus: a cell is
+ * born or survives depending on how many of its eight Moore neighbors are
+ * alive, as given by a B/S rulestring ("B3/S23" is Conway's Game of Life).
+ * Unlike CAEngine, whose grid is a space-time history of one row, the whole
+ * grid is the current world and every generation replaces it.
+ *
+ * Relies on normalizeSeed from ca-engine.js for seeded initial conditions.
+ */
+
+/**
+ * Well-known Life-like rules
+ * @constant {Object<string, string>}
+ */
+const LIFE_PRESETS = {
+  life: 'B3/S23',
+  highlife: 'B36/S23',
+  seeds: 'B2/S',
+  daynight: 'B3678/S34678'
+};
+
+/**
+ * Parse a Life-like rulestring
+ * Accepts B/S notation in either order ("B3/S23", "b3s23", "S23/B3") and the
+ * older S/B digit notation ("23/3").
+ *
+ * @param {string} text - Rulestring
+ * @returns {{birth: Uint8Array, survive: Uint8Array}|null} Flags per neighbor count (0-8),
+ *   or null if the rulestring is invalid
+ */
+function parseLifeRule(text) {
+  const rule = String(text).trim().toUpperCase().replace(/\s+/g, '');
+  const birth = new Uint8Array(9);
+  const survive = new Uint8Array(9);
+
+  let birthDigits;
+  let surviveDigits;
+  const tagged = /^(?:B([0-8]*)\/?S([0-8]*)|S([0-8]*)\/?B([0-8]*))$/.exec(rule);
+  const legacy = /^([0-8]*)\/([0-8]*)$/.exec(rule);
+  if (tagged) {
+    birthDigits = tagged[1] !== undefined ? tagged[1] : tagged[4];
+    surviveDigits = tagged[2] !== undefined ? tagged[2] : tagged[3];
+  } else if (legacy) {
+    surviveDigits = legacy[1];
+    birthDigits = legacy[2];
+  } else {
+    return null;
+  }
+
+  for (const digit of birthDigits) {
+    birth[Number(digit)] = 1;
+  }
+  for (const digit of surviveDigits) {
+    survive[Number(digit)] = 1;
+  }
+
+  return { birth, survive };
+}
+
+/**
+ * Canonical B/S rulestring
+ *
+ * @param {{birth: Uint8Array, survive: Uint8Array}} rule - Parsed rule
+ * @returns {string} Rulestring such as "B3/S23"
+ */
+function formatLifeRule(rule) {
+  const digits = (flags) => Array.from(flags, (flag, count) => (flag ? count : '')).join('');
+  return `B${digits(rule.birth)}/S${digits(rule.survive)}`;
+}
+
+/**
+ * LifeEngine - Life-like cellular automaton on a toroidal grid
+ */
+class LifeEngine {
+  /**
+   * Create a new Life-like engine
+   *
+   * @param {string} rule - B/S rulestring (e.g. "B3/S23")
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   */
+  constructor(rule, width, height) {
+    this.width = width;
+    this.height = height;
+    this.currentGeneration = 0;
+
+    // Current world and the buffer the next generation is written into
+    this.state = new Uint8Array(width * height);
+    this.nextState = new Uint8Array(width * height);
+
+    // ruleLookup[alive * 9 + neighbors] = next state
+    this.ruleLookup = new Uint8Array(18);
+    this.rule = 'B3/S23';
+    if (!this.setRule(rule)) {
+      this.setRule(LIFE_PRESETS.life);
+    }
+
+    // Seeded mulberry32 stream for random initial conditions
+    this.seed = normalizeSeed(Math.random() * 0x100000000);
+    this.randomState = this.seed;
+  }
+
+  /**
+   * Change the rule (the world is kept)
+   *
+   * @param {string} rule - B/S rulestring
+   * @returns {boolean} False if the rulestring is invalid (the rule is unchanged)
+   */
+  setRule(rule) {
+    const parsed = parseLifeRule(rule);
+    if (!parsed) {
+      console.warn(`Invalid Life-like rule: ${rule}`);
+      return false;
+    }
+
+    for (let count = 0; count <= 8; count++) {
+      this.ruleLookup[count] = parsed.birth[count];
+      this.ruleLookup[9 + count] = parsed.survive[count];
+    }
+    this.rule = formatLifeRule(parsed);
+    return true;
+  }
+
+  /**
+   * Get the current rule
+   *
+   * @returns {string} Canonical B/S rulestring
+   */
+  getRule() {
+    return this.rule;
+  }
+
+  /**
+   * Compute the next generation (edges wrap around)
+   */
+  step() {
+    const width = this.width;
+    const height = this.height;
+    const state = this.state;
+    const next = this.nextState;
+    const lookup = this.ruleLookup;
+
+    for (let y = 0; y < height; y++) {
+      const up = ((y + height - 1) % height) * width;
+      const row = y * width;
+      const down = ((y + 1) % height) * width;
+
+      for (let x = 0; x < width; x++) {
+        const left = x === 0 ? width - 1 : x - 1;
+        const right = x === width - 1 ? 0 : x + 1;
+        const neighbors =
+          state[up + left] + state[up + x] + state[up + right] +
+          state[row + left] + state[row + right] +
+          state[down + left] + state[down + x] + state[down + right];
+
+        next[row + x] = lookup[state[row + x] * 9 + neighbors];
+      }
+    }
+
+    this.nextState = state;
+    this.state = next;
+    this.currentGeneration++;
+  }
+
+  /**
+   * Compute several generations
+   *
+   * @param {number} steps - Number of generations to compute
+   */
+  generate(steps) {
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+  }
+
+  /**
+   * Get the current world
+   *
+   * @returns {Uint8Array} Cell states, row by row (read-only reference)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get current generation number
+   *
+   * @returns {number} Generations since the initial condition
+   */
+  getGeneration() {
+    return this.currentGeneration;
+  }
+
+  /**
+   * Number of live cells
+   *
+   * @returns {number} Population of the current world
+   */
+  getPopulation() {
+    let population = 0;
+    for (let i = 0; i < this.state.length; i++) {
+      population += this.state[i];
+    }
+    return population;
+  }
+
+  /**
+   * Get the number of cell states
+   *
+   * @returns {number} Always 2 (dead or alive)
+   */
+  getStateCount() {
+    return 2;
+  }
+
+  /**
+   * Set one cell (e.g. drawing with the mouse)
+   *
+   * @param {number} x - Column (wrapped onto the torus)
+   * @param {number} y - Row (wrapped onto the torus)
+   * @param {number} value - 0 (dead) or 1 (alive)
+   */
+  setCell(x, y, value) {
+    const wrappedX = ((x % this.width) + this.width) % this.width;
+    const wrappedY = ((y % this.height) + this.height) % this.height;
+    this.state[wrappedY * this.width + wrappedX] = value ? 1 : 0;
+  }
+
+  /**
+   * Get one cell
+   *
+   * @param {number} x - Column (wrapped onto the torus)
+   * @param {number} y - Row (wrapped onto the torus)
+   * @returns {number} 0 (dead) or 1 (alive)
+   */
+  getCell(x, y) {
+    const wrappedX = ((x % this.width) + this.width) % this.width;
+    const wrappedY = ((y % this.height) + this.height) % this.height;
+    return this.state[wrappedY * this.width + wrappedX];
+  }
+
+  /**
+   * Start a new world from generation 0
+   *
+   * @param {string|Uint8Array} pattern - Pattern name or a custom world (width * height cells)
+   *   - "single": an R-pentomino in the center (a single cell would just die)
+   *   - "random": random noise
+   *   - "block": centered square of live cells
+   *   - "gradient": random noise whose density ramps from left to right
+   *   - "window": random noise in a central square
+   *   Other 1D patterns (points, tile, text) fall back to random noise.
+   * @param {Object} [options] - Pattern parameters, as for CAEngine.setInitialCondition
+   * @param {number} [options.density=0.5] - Density for random / window patterns
+   * @param {number} [options.blockWidth=10] - Block side in cells
+   * @param {number} [options.densityStart=0] - Gradient density at the left edge
+   * @param {number} [options.densityEnd=1] - Gradient density at the right edge
+   * @param {number} [options.windowWidth] - Noise square side (default a quarter of the width)
+   * @param {number|string} [options.seed] - PRNG seed (a random pattern without one draws a fresh seed)
+   */
+  setInitialCondition(pattern, options = {}) {
+    const { seed } = options;
+    if (seed !== undefined) {
+      this.seed = normalizeSeed(seed);
+    } else if (typeof pattern === 'string' && pattern !== 'single' && pattern !== 'block') {
+      this.seed = normalizeSeed(Math.random() * 0x100000000);
+    }
+    this.randomState = this.seed;
+    this.currentGeneration = 0;
+
+    const width = this.width;
+    const height = this.height;
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
+    const world = this.state;
+    world.fill(0);
+
+    // Square of cells [x0, x0 + side) x [y0, y0 + side), clipped to the grid
+    const fillSquare = (side, cell) => {
+      const x0 = centerX - Math.floor(side / 2);
+      const y0 = centerY - Math.floor(side / 2);
+      for (let y = Math.max(0, y0); y < Math.min(height, y0 + side); y++) {
+        for (let x = Math.max(0, x0); x < Math.min(width, x0 + side); x++) {
+          world[y * width + x] = cell(x);
+        }
+      }
+    };
+
+    if (pattern instanceof Uint8Array) {
+      // Custom world
+      world.set(pattern.subarray(0, Math.min(pattern.length, world.length)));
+
+    } else if (pattern === 'single') {
+      // R-pentomino: .XX / XX. / .X.
+      for (const [dx, dy] of [[0, -1], [1, -1], [-1, 0], [0, 0], [0, 1]]) {
+        this.setCell(centerX + dx, centerY + dy, 1);
+      }
+
+    } else if (pattern === 'block') {
+      fillSquare(Math.max(1, Math.floor(options.blockWidth || 10)), () => 1);
+
+    } else if (pattern === 'gradient') {
+      const { densityStart = 0, densityEnd = 1 } = options;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const t = width > 1 ? x / (width - 1) : 0;
+          world[y * width + x] = this._random() < densityStart + (densityEnd - densityStart) * t ? 1 : 0;
+        }
+      }
+
+    } else if (pattern === 'window') {
+      const { density = 0.5 } = options;
+      fillSquare(Math.max(1, Math.floor(options.windowWidth || width / 4)), () => (this._random() < density ? 1 : 0));
+
+    } else {
+      if (pattern !== 'random') {
+        console.warn(`Pattern ${pattern} has no 2D version. Using random noise.`);
+      }
+      const { density = 0.5 } = options;
+      for (let i = 0; i < world.length; i++) {
+        world[i] = this._random() < density ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Set the PRNG seed
+   *
+   * @param {number|string} seed - Seed (strings are hashed)
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.randomState = this.seed;
+  }
+
+  /**
+   * Get the PRNG seed
+   *
+   * @returns {number} Unsigned 32-bit seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Reset to the default pattern, optionally with a new rule
+   *
+   * @param {string} [newRule] - New rulestring, or keep the current rule if undefined
+   */
+  reset(newRule) {
+    if (newRule !== undefined) {
+      this.setRule(newRule);
+    }
+    this.setInitialCondition('single');
+  }
+
+  /**
+   * Next number in [0, 1) from the seeded PRNG (mulberry32)
+   *
+   * @returns {number} Uniform random number
+   * @private
+   */
+  _random() {
+    let t = (this.randomState = (this.randomState + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LIFE_PRESETS,
+    parseLifeRule,
+    formatLifeRule,
+    LifeEngine
+  };
+}
@@ -14,13 +14,39 @@
 
 let canvas;
 let caEngine;
+let lifeEngine = null;       // 2D Life-like world (null in 1D mode)
 let renderer;
 let paletteManager;
 let controlManager;
 let perfMonitor;
+let cycleMonitor;
+let classMonitor;
+let statsMonitor;
+let damageMonitor;
+let domainFilter;
+let hashLife;
+let basinPanel;
+let basinWorker = null;      // Worker enumerating state-transition graphs (null until first used)
+let basinWorkerReady = null; // Resolves once basinWorker is initialized
+let basinRequest = 0;        // Latest basin analysis; older results are dropped
+let censusView;
+let censusPool = null;       // Workers of the running census (null when none is running)
+let censusRequest = 0;       // Latest census; older ones are abandoned
 
 let currentSpeed = 1.0;
 let frameCounter = 0;
+let lastPaintColumn = null;  // Last column painted while dragging a rule zone
+let handledCycleAt = null;   // Detection already acted on (auto-pause / reseed)
+let lastDrawColumn = null;   // Last column drawn while dragging in draw mode
+let drawValue = 1;           // State drawn by the current drag
+let reconstruction = null;   // Rows reconstructed backwards, oldest first, ending at the searched row
+let reconstructionRule = null;  // Rule table the reconstruction was made with
+let preimages = [];          // Predecessors from the last search
+let preimageHistory = null;  // Rows the listed predecessors lead into, oldest first
+
+const MAX_STEPPED_JUMP = 100000;  // Longest jump for rules that must step every generation
+const MAX_LISTED_PREIMAGES = 256;  // Predecessors offered for stepping back
+const CENSUS_MAX_GENERATIONS = 10000;  // Generations a census seed may run before it is given up on
 
 // ============================================================================
 // P5.JS SETUP
@@ -45,36 +71,84 @@ function setup() {
     // Initialize renderer first (we need it to calculate scaled grid dimensions)
     renderer = new Renderer(this);
     renderer.setup();
-    renderer.setPalette(paletteManager.getCurrentPalette());
+    applyPalette();
 
     // Initialize CA engine with scaled grid dimensions (not full canvas size)
     // This allows cells to be visible as 4x4 pixel blocks instead of 1x1
-    const gridDims = renderer.getCAGridDimensions();
-    caEngine = new CAEngine(30, gridDims.width, gridDims.height);
-    caEngine.setInitialCondition('single'); // Single center pixel
+    // Initialize controls
+    controlManager = new ControlManager();
+    controlManager.setupUI();
+
+    // Initialize Wolfram class estimator overlay (restarting a run resets it)
+    classMonitor = new ClassMonitor();
+
+    // Initialize per-generation statistics overlay (restarting a run resets it)
+    statsMonitor = new StatsMonitor();
+
+    // Initialize damage-spreading tracker (restarting a run re-forks it)
+    damageMonitor = new DamageMonitor();
+
+    // Initialize domain filter (restarting a run refilters it)
+    domainFilter = new DomainFilter();
+
+    // Memoized fast-forward cache for jumps, kept across engines
+    hashLife = new HashLife();
+
+    // Initialize basin-of-attraction panel (hidden until requested)
+    basinPanel = new BasinPanel();
+
+    // Initialize rule-space census results (shown below the canvas once run)
+    censusView = new CensusView();
+    censusView.setupUI();
+    censusView.setCallbacks({
+        onSelectRule: (rule) => {
+            loadElementaryRule(rule);
+        }
+    });
+
+    createCAEngine(); // Single center pixel
 
     // Initialize performance monitor
     perfMonitor = new PerformanceMonitor();
     perfMonitor.setVisible(true);
 
-    // Initialize controls
-    controlManager = new ControlManager();
-    controlManager.setupUI();
+    // Initialize cycle detection overlay
+    cycleMonitor = new CycleMonitor();
 
     // Wire up control callbacks
     controlManager.setCallbacks({
-        onRuleChange: (rule) => {
-            caEngine.setRule(rule);
-            caEngine.setInitialCondition('single');
+        onDimensionChange: (dimension) => {
+            createCAEngine();
+            console.log(dimension === '2d' ? `2D Life-like mode (${lifeEngine.getRule()})` : '1D elementary mode');
+        },
+        onLifeRuleChange: (rule) => {
+            // The world carries on under the new rule
+            if (lifeEngine) {
+                lifeEngine.setRule(rule);
+            }
+            console.log(`Life-like rule changed to ${rule}`);
+        },
+        onRuleChange: (rule, ruleOptions) => {
+            caEngine.setRule(rule, ruleOptions);
+            applyPalette();
+            restartRun();
+            refreshBasins();
             console.log(`Rule changed to ${rule}`);
         },
         onPlayPause: (isPaused) => {
             console.log(isPaused ? 'Paused' : 'Playing');
         },
-        onReset: () => {
-            caEngine.reset();
-            caEngine.setInitialCondition('single');
-            console.log('CA reset with new seed');
+        onReset: (seed) => {
+            restartRun();
+            console.log(`CA reset (seed ${seed})`);
+        },
+        onNewSeed: (seed) => {
+            restartRun();
+            console.log(`CA reset with new seed ${seed}`);
+        },
+        onInitialPatternChange: (pattern, options) => {
+            restartRun();
+            console.log(`Initial pattern: ${pattern} (seed ${options.seed})`);
         },
         onSpeedChange: (speed) => {
             currentSpeed = speed;
@@ -82,17 +156,112 @@ function setup() {
         },
         onPaletteChange: (paletteName) => {
             paletteManager.setPalette(paletteName);
-            renderer.setPalette(paletteManager.getCurrentPalette());
+            applyPalette();
             console.log(`Palette changed to ${paletteName}`);
         },
+        onBoundaryChange: (mode, sequence) => {
+            caEngine.setBoundary(mode, { sequence });
+            restartRun();
+            refreshBasins();
+            console.log(`Boundary changed to ${mode}${mode === 'driven' ? ` (${sequence})` : ''}`);
+        },
+        onLatticeChange: (mode) => {
+            caEngine.setLatticeMode(mode);
+            restartRun();
+            console.log(`Lattice changed to ${mode}`);
+        },
+        onUpdateSchemeChange: (scheme, options) => {
+            // The run continues under the new scheme
+            changeEngines((engine) => engine.setUpdateScheme(scheme, options));
+            console.log(`Update scheme: ${scheme}`);
+        },
+        onMemoryChange: (type, options) => {
+            // The run continues, now voting over its history
+            changeEngines((engine) => engine.setMemory(type, options));
+            refreshBasins();
+            console.log(type === 'none' ? 'Memory off' : `Memory: ${type}, depth ${options.depth}`);
+        },
+        onScheduleChange: (schedule) => {
+            caEngine.setRuleSchedule(schedule || null);
+            restartRun();
+            console.log(schedule ? `Rule schedule: ${schedule}` : 'Rule schedule off');
+        },
+        onZoneClear: () => {
+            changeEngines((engine) => engine.clearRuleMap());
+            console.log('Rule zones cleared');
+        },
+        onZoneTintChange: (tint) => {
+            console.log(`Zone tint ${tint ? 'on' : 'off'}`);
+        },
+        onNoiseChange: (noise) => {
+            // Noise only changes future steps, so the run continues
+            changeEngines((engine) => engine.setNoise(noise));
+            console.log(caEngine.isStochastic() ? 'Noise updated' : 'Noise off');
+        },
+        onSeedChange: (seed) => {
+            restartRun();
+            console.log(`Seed: ${seed}`);
+        },
+        onDirectionChange: (direction) => {
+            console.log(direction === 'backward' ? 'Running backwards' : 'Running forwards');
+        },
+        onExportStats: () => {
+            downloadTextFile(`ca-stats_${getTimestamp()}.csv`, statsMonitor.toCSV(), 'text/csv');
+            console.log(`Exported statistics for ${statsMonitor.log.length} generations`);
+        },
+        onDamageChange: (perturbation) => {
+            restartDamage();
+            console.log(`Damage spreading: ${perturbation.mode}`);
+        },
+        onJumpTo: (generation) => {
+            jumpToGeneration(generation);
+        },
+        onFindPreimages: () => {
+            findPreimages();
+        },
+        onPreimageStepBack: (index) => {
+            stepBackIntoPreimage(index);
+        },
+        onBasinChange: (visible, width) => {
+            basinPanel.setVisible(visible);
+            refreshBasins();
+            console.log(visible ? `Basins of attraction on a ring of ${width} cells` : 'Basins hidden');
+        },
+        onRunCensus: (options) => {
+            runCensus(options);
+        },
+        onExportCensus: (format) => {
+            if (!censusView.hasRecords()) {
+                console.warn('No census to export yet');
+                return;
+            }
+            if (format === 'json') {
+                downloadTextFile(`ca-census_${getTimestamp()}.json`, censusView.toJSON(), 'application/json');
+            } else {
+                downloadTextFile(`ca-census_${getTimestamp()}.csv`, censusView.toCSV(), 'text/csv');
+            }
+            console.log(`Exported census as ${format.toUpperCase()}`);
+        },
+        onDomainChange: (mode, words) => {
+            domainFilter.setMode(mode, words);
+            console.log(`Domain filter: ${mode}${mode === 'custom' ? ` (${domainFilter.getDomainText()})` : ''}`);
+        },
+        onCycleModeChange: (mode) => {
+            caEngine.setCycleDetection(mode !== 'off');
+            handledCycleAt = null;
+            console.log(`Cycle detection: ${mode}`);
+        },
+        onBackendChange: (backend) => {
+            // Both backends produce identical results, so the run continues
+            caEngine.setBackend(backend);
+            console.log(`Engine backend: ${backend}`);
+        },
         onZoomChange: (cellScale) => {
             // Update renderer zoom level
             renderer.setCellScale(cellScale);
 
             // Reinitialize CA engine with new grid dimensions
-            const gridDims = renderer.getCAGridDimensions();
-            caEngine = new CAEngine(controlManager.getState().rule, gridDims.width, gridDims.height);
-            caEngine.setInitialCondition('single');
+            const gridDims = createCAEngine();
 
             console.log(`Zoom changed to ${cellScale}x (CA grid: ${gridDims.width}x${gridDims.height})`);
         }
@@ -104,6 +273,379 @@ function setup() {
     console.log(`Palette: Synthwave`);
 }
 
+/**
+ * Grid rows of the visible generations where the rule schedule switches rules
+ *
+ * @returns {number[]} Row indices in the circular buffer
+ */
+function getRuleSwitchRows() {
+    const generation = caEngine.getGeneration();
+    const oldest = Math.max(0, generation - caEngine.height + 1);
+    return caEngine.getRuleSwitches(oldest, generation).map((g) => g % caEngine.height);
+}
+
+/**
+ * Step the CA one generation backwards, pausing once the seed is reached
+ */
+function stepBackOrStop() {
+    if (!caEngine.stepBack()) {
+        controlManager.setState({ isPaused: true });
+    }
+}
+
+/**
+ * Jump to a generation: directly for additive rules, through the HashLife
+ * cache for other radius-1 rules on a periodic ring, by stepping otherwise
+ * (at most MAX_STEPPED_JUMP generations, stopping short of farther targets)
+ * Earlier generations restart the run (same seed) and jump from the start.
+ *
+ * @param {number} generation - Target generation
+ */
+function jumpToGeneration(generation) {
+    const from = generation < caEngine.getGeneration() ? 0 : caEngine.getGeneration();
+    const canSkip = caEngine.canJumpDirectly() || caEngine.canFastForward();
+    if (!canSkip && generation - from > MAX_STEPPED_JUMP) {
+        console.warn(`Only additive rules and radius-1 rules on a periodic ring can skip ahead; others step at most ${MAX_STEPPED_JUMP} generations at once`);
+        return;
+    }
+
+    if (generation < caEngine.getGeneration()) {
+        restartRun();
+    }
+
+    const start = performance.now();
+    if (!caEngine.jumpTo(generation)) {
+        // Too irregular to fast-forward: step as far as MAX_STEPPED_JUMP allows
+        const remaining = generation - caEngine.getGeneration();
+        caEngine.generate(Math.min(remaining, MAX_STEPPED_JUMP));
+        if (remaining > MAX_STEPPED_JUMP) {
+            console.warn(`Too irregular to fast-forward: stepped to generation ${caEngine.getGeneration()} ` +
+                `(at most ${MAX_STEPPED_JUMP} at once)`);
+            return;
+        }
+    }
+    console.log(`Jumped to generation ${generation} in ${(performance.now() - start).toFixed(1)}ms`);
+}
+
+/**
+ * Why the current run's rows cannot be searched for predecessors
+ *
+ * @returns {string|null} Reason shown in the controls, or null if the search can run
+ */
+function getPreimageBlocker() {
+    const { radius, states } = caEngine.getRuleSpec();
+    if (caEngine.getLatticeMode() !== 'ring' || caEngine.getBoundary().mode !== 'periodic') {
+        return 'Needs a periodic ring';
+    }
+    if (caEngine.isReversible() || caEngine.isStochastic() || caEngine.getRuleMap() ||
+        caEngine.getRuleSchedule() || caEngine.hasMemory() || caEngine.getUpdateScheme().scheme !== 'synchronous') {
+        return 'Needs a plain synchronous rule without memory';
+    }
+    if (deBruijnNodeCount(radius, states) > MAX_DE_BRUIJN_NODES) {
+        return 'Rule space too large';
+    }
+    return null;
+}
+
+/**
+ * Count and list the predecessors of the newest row, or of the oldest
+ * reconstructed row after stepping back
+ */
+function findPreimages() {
+    const blocker = getPreimageBlocker();
+    if (blocker) {
+        preimages = [];
+        controlManager.setPreimageResults({ message: blocker });
+        return;
+    }
+
+    // Keep searching backwards while the run still is the reconstruction
+    const generation = caEngine.getGeneration();
+    const current = reconstruction !== null && reconstructionRule === caEngine.getRuleLookup() &&
+        generation === reconstruction.length - 1;
+    preimageHistory = current ? reconstruction : [caEngine.getRow(generation % caEngine.height)];
+
+    const { radius, states } = caEngine.getRuleSpec();
+    const table = caEngine.getRuleLookup();
+    const start = performance.now();
+    const count = countPredecessors(preimageHistory[0], table, radius, states);
+    preimages = count > 0n ? findPredecessors(preimageHistory[0], table, radius, states, MAX_LISTED_PREIMAGES) : [];
+
+    controlManager.setPreimageResults({ count, listed: preimages.length, depth: preimageHistory.length - 1 });
+    console.log(`${count === 0n ? 'Garden of Eden' : `${count} predecessors`} (${(performance.now() - start).toFixed(1)}ms)`);
+}
+
+/**
+ * Restart the run from a listed predecessor and replay the reconstructed
+ * history up to the searched row, then search again one step further back
+ *
+ * @param {number} index - Index into the listed predecessors
+ */
+function stepBackIntoPreimage(index) {
+    if (!preimages[index] || !preimageHistory) {
+        return;
+    }
+
+    const rows = [preimages[index], ...preimageHistory];
+    restartRun(rows[0]);
+    caEngine.generate(rows.length - 1);
+    reconstruction = rows;
+    reconstructionRule = caEngine.getRuleLookup();
+    controlManager.setState({ isPaused: true });
+    findPreimages();
+}
+
+/**
+ * Why the current rule's basins cannot be enumerated on a ring of a given width
+ *
+ * @param {number} width - Ring width in cells
+ * @returns {string|null} Reason shown in the panel, or null if the analysis can run
+ */
+function getBasinBlocker(width) {
+    const { states } = caEngine.getRuleSpec();
+    if (caEngine.isReversible() || caEngine.isStochastic() || caEngine.getRuleSchedule() || caEngine.hasMemory() ||
+        caEngine.getUpdateScheme().scheme !== 'synchronous' || caEngine.getBoundary().mode === 'driven') {
+        return 'Needs a deterministic first-order rule without memory, with fixed edges (not driven)';
+    }
+    if (basinStateCount(width, states) > MAX_BASIN_STATES) {
+        return `Too many states: ${states}^${width} (at most ${MAX_BASIN_STATES})`;
+    }
+    return null;
+}
+
+/**
+ * Enumerate the basins of attraction of the current rule and boundary on a
+ * small ring (without the rule zones), in the worker when it can be started
+ * and on the main thread otherwise, and show them in the basin panel
+ */
+async function refreshBasins() {
+    if (!basinPanel.visible) {
+        return;
+    }
+
+    const width = controlManager.getState().basinWidth;
+    const blocker = getBasinBlocker(width);
+    if (blocker) {
+        basinPanel.setStatus(blocker);
+        return;
+    }
+
+    const request = ++basinRequest;
+    const spec = caEngine.getRuleSpec();
+    const boundary = caEngine.getBoundary();
+    basinPanel.setStatus(`Enumerating ${spec.states}^${width} states...`);
+
+    let graph = null;
+    const start = performance.now();
+    const worker = basinWorker || new CAWorkerManager();
+    try {
+        if (!basinWorker) {
+            basinWorker = worker;
+            basinWorkerReady = worker.init(spec.rule, width, 2, {
+                radius: spec.radius,
+                encoding: spec.encoding,
+                states: spec.states,
+                boundary: boundary.mode,
+                boundarySequence: boundary.sequence
+            });
+            await basinWorkerReady;
+        } else {
+            // Requests made while the worker starts wait for it
+            await basinWorkerReady;
+            await worker.setRule(spec.rule, spec);
+            await worker.setBoundary(boundary.mode, boundary.sequence);
+        }
+        graph = await worker.analyzeBasins(width);
+    } catch (error) {
+        // No worker (e.g. opened from file://): enumerate here instead
+        console.warn(`Basin worker unavailable (${error.message}); enumerating on the main thread`);
+        worker.terminate();
+        if (basinWorker === worker) {
+            basinWorker = null;
+            basinWorkerReady = null;
+        }
+
+        const ring = new CAEngine(0, width, 2);
+        ring.setRule(spec.rule, spec);
+        ring.setBoundary(boundary.mode, { sequence: boundary.sequence });
+        graph = analyzeBasins(ring);
+    }
+
+    // A newer request (rule or width change) supersedes this one
+    if (request !== basinRequest) {
+        return;
+    }
+
+    basinPanel.setGraph(graph, spec.rule);
+    console.log(`${graph.attractors.length} basins on ${graph.stateCount} states in ${(performance.now() - start).toFixed(0)}ms`);
+}
+
+/**
+ * Sample the attractors of all 256 elementary rules over a range of ring
+ * widths, on a pool of workers (or on the main thread, a rule at a time,
+ * if workers cannot start), and show the results in the census view
+ * A new census abandons one still running.
+ *
+ * @param {Object} options - Census settings from the controls
+ * @param {number[]} options.widths - Smallest and largest ring width
+ * @param {number} options.samples - Random seeds per rule and width
+ */
+async function runCensus(options) {
+    const request = ++censusRequest;
+    if (censusPool) {
+        censusPool.terminate();
+        censusPool = null;
+    }
+
+    // Seeded from the controls, so the same seed repeats the census
+    const settings = { ...options, maxGenerations: CENSUS_MAX_GENERATIONS, seed: controlManager.getState().seed };
+    const [minWidth, maxWidth] = settings.widths;
+    const rules = Array.from({ length: 256 }, (_, rule) => rule);
+    const onProgress = (done, total) => {
+        if (request === censusRequest) {
+            censusView.setStatus(`${done}/${total} rules...`);
+        }
+    };
+    censusView.start(settings);
+
+    const start = performance.now();
+    let records;
+    const pool = new CAWorkerPool();
+    try {
+        censusPool = pool;
+        await pool.init();
+        records = await pool.census(rules, settings.widths, settings, onProgress);
+    } catch (error) {
+        if (request !== censusRequest) {
+            return;
+        }
+
+        // No workers (e.g. opened from file://): one rule at a time, letting the page repaint in between
+        console.warn(`Census workers unavailable (${error.message}); running on the main thread`);
+        records = [];
+        for (const rule of rules) {
+            for (let width = minWidth; width <= maxWidth; width++) {
+                records.push(censusRule(rule, width, settings));
+            }
+            onProgress(rule + 1, rules.length);
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            if (request !== censusRequest) {
+                return;
+            }
+        }
+    } finally {
+        pool.terminate();
+        if (censusPool === pool) {
+            censusPool = null;
+        }
+    }
+
+    if (request !== censusRequest) {
+        return;
+    }
+
+    const seconds = ((performance.now() - start) / 1000).toFixed(1);
+    censusView.setRecords(records);
+    censusView.setStatus(`256 rules × widths ${minWidth}-${maxWidth}, ${settings.samples} seeds each (${seconds}s)`);
+    console.log(`Census finished in ${seconds}s`);
+}
+
+/**
+ * Switch to an elementary rule (e.g. picked from the census)
+ *
+ * @param {number} rule - Elementary rule (0-255)
+ */
+function loadElementaryRule(rule) {
+    controlManager.setState({ rule, ruleRadius: 1, ruleEncoding: 'wolfram', ruleStates: 2, ruleReversible: false });
+    caEngine.setRule(rule, controlManager.getRuleOptions());
+    restartRun();
+    refreshBasins();
+    console.log(`Rule changed to ${rule}`);
+}
+
+/**
+ * Send the current palette to the renderer, with one color per cell state
+ * of the current rule
+ */
+function applyPalette() {
+    const states = caEngine ? caEngine.getStateCount() : 2;
+    renderer.setPalette(paletteManager.getCurrentPalette(), paletteManager.getStateColors(states));
+}
+
+/**
+ * (Re)create the CA engine at the renderer's grid size, applying the
+ * engine settings currently selected in the controls
+ *
+ * @returns {Object} CA grid dimensions { width, height }
+ */
+function createCAEngine() {
+    const gridDims = renderer.getCAGridDimensions();
+    const controlState = controlManager.getState();
+
+    caEngine = new CAEngine(0, gridDims.width, gridDims.height);
+    caEngine.setFastForward(hashLife);
+    caEngine.setRule(controlState.rule, controlManager.getRuleOptions());
+    applyPalette();
+    caEngine.setBoundary(controlState.boundary, { sequence: controlState.boundarySequence });
+    caEngine.setLatticeMode(controlState.lattice);
+    caEngine.setBackend(controlState.backend);
+    caEngine.setRuleSchedule(controlState.schedule || null);
+    caEngine.setCycleDetection(controlState.cycleMode !== 'off');
+    caEngine.setUpdateScheme(controlState.updateScheme, controlManager.getUpdateSchemeOptions());
+    caEngine.setMemory(controlState.memoryType, controlManager.getMemoryOptions());
+    caEngine.setNoise(controlManager.getNoiseOptions());
+
+    // In 2D mode the grid is a Life-like world instead of a space-time history
+    lifeEngine = controlState.dimension === '2d'
+        ? new LifeEngine(controlState.lifeRule, gridDims.width, gridDims.height)
+        : null;
+    restartRun();
+
+    return gridDims;
+}
+
+/**
+ * Restart the CA from the selected initial pattern and its parameters,
+ * seeded with the seed shown in the controls so the run can be recreated
+ *
+ * @param {Uint8Array} [initialRow] - Start from this row instead (a predecessor stepped back into)
+ */
+function restartRun(initialRow) {
+    const controlState = controlManager.getState();
+    caEngine.setInitialCondition(initialRow || controlState.initialPattern, controlManager.getInitialConditionOptions());
+    if (lifeEngine) {
+        lifeEngine.setInitialCondition(controlState.initialPattern, controlManager.getInitialConditionOptions());
+    }
+    reconstruction = null;
+    classMonitor.reset();
+    statsMonitor.reset();
+    domainFilter.reset();
+    restartDamage();
+}
+
+/**
+ * Fork the perturbed copy for damage spreading from the current run
+ * (or stop it when damage spreading is off)
+ */
+function restartDamage() {
+    const perturbation = controlManager.getDamageOptions();
+    if (perturbation.mode === 'off') {
+        damageMonitor.stop();
+    } else {
+        damageMonitor.start(caEngine, perturbation);
+    }
+}
+
+/**
+ * Apply a mid-run settings change to the engine and to its perturbed copy
+ *
+ * @param {Function} change - Called with each engine
+ */
+function changeEngines(change) {
+    change(caEngine);
+    damageMonitor.mirror(change);
+}
+
 // ============================================================================
 // P5.JS DRAW LOOP
 // ============================================================================
@@ -118,35 +660,180 @@ function draw() {
     // Get current control state
     const controlState = controlManager.getState();
 
-    // Update CA based on speed (skip frames if speed < 1.0, run multiple steps if speed > 1.0)
+    // 2D worlds only run forwards and have none of the 1D overlays
+    if (lifeEngine) {
+        if (!controlState.isPaused) {
+            runAtSpeed(() => lifeEngine.step());
+        }
+        drawLifeWorld();
+        return;
+    }
+
+    // Update CA based on speed
     if (!controlState.isPaused) {
-        const stepsToRun = Math.max(1, Math.round(currentSpeed));
+        runAtSpeed(controlState.direction === 'backward' ? stepBackOrStop : () => caEngine.step());
+    }
 
-        if (currentSpeed >= 1.0) {
-            // Run multiple steps for speeds > 1.0x
-            for (let i = 0; i < stepsToRun; i++) {
-                caEngine.step();
-                frameCounter++;
-            }
-        } else {
-            // Run step only every N frames for speeds < 1.0x
-            if (frameCounter % Math.round(1 / currentSpeed) === 0) {
-                caEngine.step();
-            }
-            frameCounter++;
-        }
+    // Refresh the class estimate from the newly produced rows
+    classMonitor.update(caEngine);
+
+    // Record statistics for every generation produced this frame
+    statsMonitor.update(caEngine);
+
+    // Step the perturbed copy alongside and highlight where it differs
+    if (!damageMonitor.update(caEngine)) {
+        controlManager.setState({ damageMode: 'off' });
     }
+    renderer.setDamageMask(damageMonitor.getDamageMask(caEngine));
+
+    // Dim the background domain so particles stand out
+    renderer.setDomainMask(domainFilter.update(caEngine));
+
+    // Auto-pause or reseed once per detected cycle
+    const cycleInfo = caEngine.getCycleInfo();
+    handleCycleDetection(cycleInfo, controlState.cycleMode);
 
     // Get CA state and grid dimensions
     const caState = caEngine.getState();
-    const palette = paletteManager.getCurrentPalette();
     const gridDims = renderer.getCAGridDimensions();
 
+    // Show the visible window's position on a growing lattice
+    renderer.setViewport(caEngine.getLatticeMode() === 'growing' ? getGrowingViewport() : null);
+
+    // Mark rows where the rule schedule switches rules
+    renderer.setRuleSwitchRows(getRuleSwitchRows());
+
+    // Tint hybrid-rule zones (rule maps apply to the ring lattice only)
+    const tinted = controlState.zoneTint && caEngine.getLatticeMode() === 'ring';
+    renderer.setRuleTint(tinted ? caEngine.getRowRuleMaps() : null);
+
     // Render CA (pass grid dimensions, not canvas dimensions)
-    renderer.render(caState, gridDims.width, gridDims.height, palette);
+    renderer.render(caState, gridDims.width, gridDims.height);
 
     // Render performance overlay (on top of everything)
     perfMonitor.render(this);
+
+    // Render cycle detection overlay
+    cycleMonitor.render(this, cycleInfo, caEngine.getGeneration());
+
+    // Render Wolfram class estimate overlay
+    classMonitor.render(this);
+
+    // Render statistics sparklines
+    statsMonitor.render(this);
+
+    // Render damage-spreading overlay
+    damageMonitor.render(this);
+
+    // Render particle counter
+    domainFilter.render(this);
+
+    // Render basin-of-attraction panel on top
+    basinPanel.render(this);
+}
+
+/**
+ * Advance the run for this frame at the current speed
+ * (skip frames if speed < 1.0, run multiple steps if speed > 1.0)
+ *
+ * @param {Function} advance - Advances the run by one generation
+ */
+function runAtSpeed(advance) {
+    if (currentSpeed >= 1.0) {
+        // Run multiple steps for speeds > 1.0x
+        const stepsToRun = Math.max(1, Math.round(currentSpeed));
+        for (let i = 0; i < stepsToRun; i++) {
+            advance();
+            frameCounter++;
+        }
+    } else {
+        // Run step only every N frames for speeds < 1.0x
+        if (frameCounter % Math.round(1 / currentSpeed) === 0) {
+            advance();
+        }
+        frameCounter++;
+    }
+}
+
+/**
+ * Render the 2D Life-like world: the whole grid is the current generation,
+ * so the space-time overlays (damage, domains, zones, rule switches) are off
+ */
+function drawLifeWorld() {
+    const gridDims = renderer.getCAGridDimensions();
+
+    renderer.setDamageMask(null);
+    renderer.setDomainMask(null);
+    renderer.setViewport(null);
+    renderer.setRuleSwitchRows([]);
+    renderer.setRuleTint(null);
+    renderer.render(lifeEngine.getState(), gridDims.width, gridDims.height);
+
+    perfMonitor.render(this);
+}
+
+/**
+ * Act on a newly detected cycle according to the selected cycle mode
+ *
+ * @param {Object} cycleInfo - Result of CAEngine.getCycleInfo()
+ * @param {string} mode - 'off', 'report', 'pause' or 'reseed'
+ */
+function handleCycleDetection(cycleInfo, mode) {
+    if (cycleInfo.status !== 'found') {
+        handledCycleAt = null;
+        return;
+    }
+    if (cycleInfo.detectedAt === handledCycleAt) {
+        return;
+    }
+
+    handledCycleAt = cycleInfo.detectedAt;
+    console.log(`Cycle found: transient ${cycleInfo.transient}, period ${cycleInfo.period}, shift ${cycleInfo.shift}`);
+
+    if (mode === 'pause') {
+        controlManager.setState({ isPaused: true });
+    } else if (mode === 'reseed') {
+        controlManager.newSeed();
+    }
+}
+
+/**
+ * Describe the growing lattice's active region and visible window for the renderer
+ *
+ * @returns {Object} { activeStart, activeEnd, viewStart, viewEnd } in absolute cells
+ */
+function getGrowingViewport() {
+    const active = caEngine.getActiveRegion();
+    const viewStart = caEngine.getViewOffset();
+
+    return {
+        activeStart: active.start,
+        activeEnd: active.end,
+        viewStart,
+        viewEnd: viewStart + caEngine.width
+    };
+}
+
+/**
+ * Pick a uniformly random rule code for a rule space
+ *
+ * @param {Object} ruleOptions - { radius, encoding, states } as passed to CAEngine.setRule
+ * @returns {number|bigint} Random rule code (BigInt beyond 32 bits)
+ */
+function randomRuleCode({ radius, encoding, states }) {
+    const count = ruleCodeCount(radius, encoding, states);
+
+    if (count <= 2n ** 32n) {
+        return Math.floor(Math.random() * Number(count));
+    }
+
+    // Draw base-k digits one at a time
+    const digits = ruleCodeDigits(radius, encoding, states);
+    let code = 0n;
+    for (let i = 0; i < digits; i++) {
+        code = code * BigInt(states) + BigInt(Math.floor(Math.random() * states));
+    }
+    return code;
 }
 
 // ============================================================================
@@ -157,6 +844,17 @@ function draw() {
  * Handle keyboard input
  */
 function keyPressed() {
+    // Let text and number inputs receive their keystrokes
+    const activeTag = document.activeElement ? document.activeElement.tagName : '';
+    if (activeTag === 'INPUT' || activeTag === 'SELECT') {
+        return true;
+    }
+
+    // Rule, time-direction and window keys act on the 1D engine only
+    if (lifeEngine && ['r', 'd', 'c', 'arrowleft', 'arrowright'].includes(key.toLowerCase())) {
+        return false;
+    }
+
     switch(key.toLowerCase()) {
         case ' ':
             // Play/Pause toggle
@@ -165,20 +863,54 @@ function keyPressed() {
             break;
 
         case 'r':
-            // Randomize rule
-            const randomRule = Math.floor(Math.random() * 256);
+            // Randomize rule within the selected radius/encoding
+            const ruleOptions = controlManager.getRuleOptions();
+            const randomRule = randomRuleCode(ruleOptions);
             controlManager.setState({ rule: randomRule });
-            caEngine.setRule(randomRule);
-            caEngine.reset();
-            caEngine.setInitialCondition('single');
+            caEngine.setRule(randomRule, ruleOptions);
+            restartRun();
             console.log(`Random rule: ${randomRule}`);
             break;
 
+        case 'n':
+            // Restart with a new random seed
+            controlManager.newSeed();
+            break;
+
+        case 'd':
+            // Reverse time direction (2nd order rules only)
+            controlManager.setDirection(controlManager.getState().direction === 'forward' ? 'backward' : 'forward');
+            break;
+
+        case 'arrowleft':
+        case 'arrowright': {
+            // Pan the growing-lattice window by a quarter of its width
+            const panStep = Math.max(1, Math.floor(caEngine.width / 4));
+            const direction = key === 'ArrowLeft' ? -1 : 1;
+            caEngine.setViewOffset(caEngine.getViewOffset() + direction * panStep);
+            break;
+        }
+
+        case 'c':
+            // Recenter the growing-lattice window on the seed
+            caEngine.setViewOffset(0);
+            break;
+
         case 'p':
             // Toggle performance monitor
             perfMonitor.toggle();
             break;
 
+        case 'w':
+            // Toggle Wolfram class estimate
+            classMonitor.toggle();
+            break;
+
+        case 'l':
+            // Toggle live statistics sparklines
+            statsMonitor.toggle();
+            break;
+
         case 's':
             // Screenshot (Phase 6)
             console.log('Screenshot (not yet implemented - Phase 6)');
@@ -208,14 +940,14 @@ function keyPressed() {
             // Switch to Synthwave palette
             controlManager.setState({ palette: 'synthwave' });
             paletteManager.setPalette('synthwave');
-            renderer.setPalette(paletteManager.getCurrentPalette());
+            applyPalette();
             break;
 
         case '2':
             // Switch to Vaporwave palette
             controlManager.setState({ palette: 'vaporwave' });
             paletteManager.setPalette('vaporwave');
-            renderer.setPalette(paletteManager.getCurrentPalette());
+            applyPalette();
             break;
 
         default:
@@ -225,6 +957,140 @@ function keyPressed() {
     return false; // Prevent default behavior
 }
 
+/**
+ * Start painting a rule zone or drawing the newest row, if either mode is on
+ * (in 2D mode, start drawing cells of the world)
+ *
+ * @param {MouseEvent} event - Browser mouse event
+ */
+function mousePressed(event) {
+    const controlState = controlManager.getState();
+    if (lifeEngine) {
+        if (!isCanvasEvent(event)) {
+            return true;
+        }
+
+        // The drag draws the opposite of the pressed cell
+        const cellScale = renderer.getCellScale();
+        drawValue = 1 - lifeEngine.getCell(Math.floor(mouseX / cellScale), Math.floor(mouseY / cellScale));
+        drawLifeCellAtMouse();
+        return false;
+    }
+
+    if ((!controlState.zonePaint && !controlState.drawRow) || !isCanvasEvent(event)) {
+        return true;
+    }
+
+    if (controlState.drawRow) {
+        // The drag draws the pressed cell's next state
+        const column = Math.floor(mouseX / renderer.getCellScale());
+        const row = caEngine.getRow(caEngine.getGeneration() % caEngine.height);
+        drawValue = column >= 0 && column < caEngine.width ? (row[column] + 1) % caEngine.getStateCount() : 1;
+        lastDrawColumn = null;
+        drawRowAtMouse();
+    } else {
+        lastPaintColumn = null;
+        paintZoneAtMouse();
+    }
+    return false;
+}
+
+/**
+ * Continue painting a rule zone or drawing the newest row while dragging
+ * (in 2D mode, continue drawing cells of the world)
+ *
+ * @param {MouseEvent} event - Browser mouse event
+ */
+function mouseDragged(event) {
+    const controlState = controlManager.getState();
+    if (lifeEngine) {
+        if (!isCanvasEvent(event)) {
+            return true;
+        }
+        drawLifeCellAtMouse();
+        return false;
+    }
+
+    if ((!controlState.zonePaint && !controlState.drawRow) || !isCanvasEvent(event)) {
+        return true;
+    }
+
+    if (controlState.drawRow) {
+        drawRowAtMouse();
+    } else {
+        paintZoneAtMouse();
+    }
+    return false;
+}
+
+/**
+ * Whether a mouse event targets the sketch canvas (not the control panel)
+ *
+ * @param {MouseEvent} event - Browser mouse event
+ * @returns {boolean} True for events on the canvas
+ */
+function isCanvasEvent(event) {
+    return !event || !event.target || event.target.tagName === 'CANVAS';
+}
+
+/**
+ * Paint the selected zone rule from the last painted column to the mouse column,
+ * so fast drags leave no gaps
+ */
+function paintZoneAtMouse() {
+    if (caEngine.getLatticeMode() !== 'ring') {
+        return;
+    }
+
+    const column = Math.floor(mouseX / renderer.getCellScale());
+    if (column < 0 || column >= caEngine.width) {
+        return;
+    }
+
+    const from = lastPaintColumn === null ? column : lastPaintColumn;
+    const zoneRule = controlManager.getState().zoneRule;
+    changeEngines((engine) => engine.paintRuleZone(Math.min(from, column), Math.max(from, column) + 1, zoneRule));
+    lastPaintColumn = column;
+}
+
+/**
+ * Draw cells of the newest row from the last drawn column to the mouse column
+ * The row no longer follows from the reconstructed history, so any earlier
+ * predecessor search is dropped.
+ */
+function drawRowAtMouse() {
+    const column = Math.floor(mouseX / renderer.getCellScale());
+    if (column < 0 || column >= caEngine.width) {
+        return;
+    }
+
+    const from = lastDrawColumn === null ? column : lastDrawColumn;
+    const positions = [];
+    for (let x = Math.min(from, column); x <= Math.max(from, column); x++) {
+        positions.push(x);
+    }
+    changeEngines((engine) => engine.setCells(positions, drawValue));
+    lastDrawColumn = column;
+
+    reconstruction = null;
+    preimages = [];
+    controlManager.setPreimageResults(null);
+}
+
+/**
+ * Set the 2D world's cell under the mouse to the value drawn by the current drag
+ */
+function drawLifeCellAtMouse() {
+    const cellScale = renderer.getCellScale();
+    const x = Math.floor(mouseX / cellScale);
+    const y = Math.floor(mouseY / cellScale);
+    if (x < 0 || x >= lifeEngine.width || y < 0 || y >= lifeEngine.height) {
+        return;
+    }
+
+    lifeEngine.setCell(x, y, drawValue);
+}
+
 /**
  * Window resize handler
  */
@@ -238,12 +1104,10 @@ function windowResized() {
 
     // Reinitialize renderer (must be before CA engine for grid dimensions)
     renderer.setup();
-    renderer.setPalette(paletteManager.getCurrentPalette());
+    applyPalette();
 
     // Reinitialize CA engine with scaled grid dimensions
-    const gridDims = renderer.getCAGridDimensions();
-    caEngine = new CAEngine(controlManager.getState().rule, gridDims.width, gridDims.height);
-    caEngine.setInitialCondition('single');
+    const gridDims = createCAEngine();
 
     console.log(`Canvas resized: ${newWidth}x${newHeight} (CA grid: ${gridDims.width}x${gridDims.height} at ${renderer.getCellScale()}x zoom)`);
 }
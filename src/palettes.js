@@ -23,6 +23,15 @@ const PALETTES = {
     background: '#0a0a0a',
     alive: '#ff00ff',      // Hot pink - default for CA cells
     dead: '#0a0a0a',       // Near-black
+    states: [              // One color per cell state for multi-state rules
+      '#0a0a0a',           // 0: dead
+      '#ff00ff',           // 1: alive (hot pink)
+      '#00b8b8',           // 2: cyan
+      '#ff0080',           // 3: pink
+      '#0066cc'            // 4: electric blue
+    ],
+    damage: '#ffff00',     // Electric yellow - damage-spreading overlay
+    particle: '#ff6600',   // Orange - cells outside the domain when domain filtering
     colors: {
       primary: '#ff00ff',   // Hot pink
       secondary: '#00b8b8', // Cyan (toned down from #00ffff)
@@ -41,6 +50,15 @@ const PALETTES = {
     background: '#1a0033',
     alive: '#ff99cc',      // Soft pink - default for CA cells
     dead: '#1a0033',       // Deep purple-black
+    states: [              // One color per cell state for multi-state rules
+      '#1a0033',           // 0: dead
+      '#ff99cc',           // 1: alive (soft pink)
+      '#99ccff',           // 2: light blue
+      '#cc99ff',           // 3: lavender
+      '#ffccff'            // 4: pale pink
+    ],
+    damage: '#66ffcc',     // Mint - damage-spreading overlay
+    particle: '#ffff99',   // Pale yellow - cells outside the domain when domain filtering
     colors: {
       primary: '#ff99cc',   // Soft pink
       secondary: '#99ccff', // Light blue
@@ -239,6 +257,25 @@ class PaletteManager {
     return gradient;
   }
 
+  /**
+   * Get one color per cell state from the current palette
+   * Uses the palette's `states` list, extending it with a gradient from the
+   * alive color when the palette defines fewer colors than requested
+   * @param {number} count - Number of cell states (2 for binary rules)
+   * @returns {string[]} Hex colors, index = cell state (0 = dead)
+   */
+  getStateColors(count = 2) {
+    const palette = this.currentPalette;
+    const defined = palette.states || [palette.dead, palette.alive];
+
+    if (defined.length >= count) {
+      return defined.slice(0, count);
+    }
+
+    const extra = createGradient([palette.alive, palette.colors.secondary || palette.alive], count - 1);
+    return [defined[0], ...extra];
+  }
+
   /**
    * Add a custom palette to the system
    * @param {string} name - Palette name (must be unique)
@@ -0,0 +1,183 @@
+/**
+ * Predecessors
+ *
+ * Reverse computation for 1D rules on a ring. A predecessor (preimage) of a
+ * row is a row the rule maps onto it. Predecessors are closed walks in the
+ * rule's de Bruijn graph: nodes are 2r-cell windows, and the edge from a
+ * window to its shift (one cell appended) is labelled with the rule's output
+ * for the 2r+1 cells they span. A ring of width n has one predecessor per
+ * closed walk of length n spelling the row, so counting them is a
+ * transfer-matrix trace and listing them is a depth-first walk pruned by
+ * backward reachability. Rows without a predecessor are Gardens of Eden.
+ *
+ * Works on rule spaces with at most MAX_DE_BRUIJN_NODES windows (k^2r): binary
+ * rules up to radius 3, k = 3 up to radius 2 and radius 1 up to k = 5.
+ * Takes lookup tables as built by buildRuleTable in ca-engine.js.
+ */
+
+/**
+ * Largest de Bruijn graph (number of 2r-cell windows) searched
+ * @constant {number}
+ */
+const MAX_DE_BRUIJN_NODES = 128;
+
+/**
+ * Number of de Bruijn nodes (2r-cell windows) of a rule space
+ *
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {number} k^(2r)
+ */
+function deBruijnNodeCount(radius, states = 2) {
+  return states ** (2 * radius);
+}
+
+/**
+ * Count the predecessors of a row on the ring
+ *
+ * @param {Uint8Array} row - Row (periodic, at least 2r cells)
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {bigint|null} Predecessor count (0n for a Garden of Eden), or null if the
+ *   de Bruijn graph is too large
+ */
+function countPredecessors(row, table, radius, states = 2) {
+  const nodes = deBruijnNodeCount(radius, states);
+  if (nodes > MAX_DE_BRUIJN_NODES) {
+    return null;
+  }
+
+  let total = 0n;
+
+  // Walks that start and end on the same window (the predecessor's wrap-around)
+  for (let start = 0; start < nodes; start++) {
+    let counts = new Array(nodes).fill(0n);
+    counts[start] = 1n;
+
+    for (let x = 0; x < row.length; x++) {
+      const next = new Array(nodes).fill(0n);
+      for (let window = 0; window < nodes; window++) {
+        if (counts[window] === 0n) continue;
+
+        // Append each possible cell; the neighborhood's output must be row[x]
+        for (let cell = 0; cell < states; cell++) {
+          const neighborhood = window * states + cell;
+          if (table[neighborhood] === row[x]) {
+            next[neighborhood % nodes] += counts[window];
+          }
+        }
+      }
+      counts = next;
+    }
+
+    total += counts[start];
+  }
+
+  return total;
+}
+
+/**
+ * Whether a row has no predecessor on the ring
+ *
+ * @param {Uint8Array} row - Row
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {boolean|null} True for a Garden of Eden, or null if the de Bruijn graph is too large
+ */
+function isGardenOfEden(row, table, radius, states = 2) {
+  const count = countPredecessors(row, table, radius, states);
+  return count === null ? null : count === 0n;
+}
+
+/**
+ * List the predecessors of a row on the ring
+ *
+ * @param {Uint8Array} row - Row (periodic, at least 2r cells)
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @param {number} [limit=256] - Most predecessors returned
+ * @returns {Uint8Array[]|null} Predecessors (each maps onto the row), or null if the
+ *   de Bruijn graph is too large
+ */
+function findPredecessors(row, table, radius, states = 2, limit = 256) {
+  const nodes = deBruijnNodeCount(radius, states);
+  if (nodes > MAX_DE_BRUIJN_NODES) {
+    return null;
+  }
+
+  const n = row.length;
+  const found = [];
+
+  for (let start = 0; start < nodes && found.length < limit; start++) {
+    // alive[x * nodes + w]: from window w at position x the walk can spell row[x..n-1]
+    // and end back on the start window
+    const alive = new Uint8Array((n + 1) * nodes);
+    alive[n * nodes + start] = 1;
+    for (let x = n - 1; x >= 0; x--) {
+      for (let window = 0; window < nodes; window++) {
+        for (let cell = 0; cell < states; cell++) {
+          const neighborhood = window * states + cell;
+          if (table[neighborhood] === row[x] && alive[(x + 1) * nodes + neighborhood % nodes]) {
+            alive[x * nodes + window] = 1;
+            break;
+          }
+        }
+      }
+    }
+    if (!alive[start]) continue;
+
+    // Depth-first walk; the cell appended at step x is predecessor cell (x + r) mod n
+    const windows = new Int32Array(n + 1);
+    const appended = new Uint8Array(n);
+    const nextCell = new Uint8Array(n + 1);
+    windows[0] = start;
+    let x = 0;
+
+    while (x >= 0 && found.length < limit) {
+      if (x === n) {
+        const predecessor = new Uint8Array(n);
+        for (let i = 0; i < n; i++) {
+          predecessor[(i + radius) % n] = appended[i];
+        }
+        found.push(predecessor);
+        x--;
+        continue;
+      }
+
+      let advanced = false;
+      while (nextCell[x] < states) {
+        const cell = nextCell[x]++;
+        const neighborhood = windows[x] * states + cell;
+        const window = neighborhood % nodes;
+        if (table[neighborhood] === row[x] && alive[(x + 1) * nodes + window]) {
+          appended[x] = cell;
+          windows[x + 1] = window;
+          x++;
+          nextCell[x] = 0;
+          advanced = true;
+          break;
+        }
+      }
+
+      if (!advanced) {
+        x--;
+      }
+    }
+  }
+
+  return found;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_DE_BRUIJN_NODES,
+    deBruijnNodeCount,
+    countPredecessors,
+    isGardenOfEden,
+    findPredecessors
+  };
+}
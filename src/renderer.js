@@ -95,6 +95,42 @@ class Renderer {
         this.aliveColorRGBA = [255, 0, 255, 255];  // Hot pink default
         this.deadColorRGBA = [10, 10, 10, 255];    // Near-black default
 
+        // One color per cell state (index = state) for multi-state rules
+        this.stateColorsRGBA = [this.deadColorRGBA, this.aliveColorRGBA];
+
+        // Hybrid rules: zone map per grid row, the one that produced the row
+        // (null = no tint). Zone 0 is the main rule and is drawn untinted;
+        // other zones cycle through these tints.
+        this.ruleTint = null;
+        this.zoneTintsRGBA = [
+            [0, 255, 255, 255],   // Cyan
+            [255, 208, 0, 255],   // Amber
+            [0, 255, 102, 255],   // Green
+            [255, 102, 0, 255],   // Orange
+            [136, 136, 255, 255]  // Periwinkle
+        ];
+        this.zoneTintStrength = 0.35;
+
+        // Damage spreading: 1 where the perturbed copy differs (null = off)
+        this.damageMask = null;
+        this.damageColorRGBA = [255, 255, 0, 255];
+
+        // Domain filtering: 1 where a cell belongs to the background domain (null = off).
+        // Domain cells fade toward the dead color; live cells outside it use the particle color.
+        this.domainMask = null;
+        this.particleColorRGBA = [255, 102, 0, 255];
+        this.domainDim = 0.75;
+        this.particleGlow = 0.3;
+
+        // Rule schedules: grid rows where the scheduled rule switches
+        this.ruleSwitchRows = [];
+        this.ruleSwitchColorRGBA = [255, 255, 255, 255];
+        this.ruleSwitchMarkWidth = 8;
+
+        // Growing-lattice viewport (null when the lattice is a fixed ring)
+        this.viewport = null;
+        this.viewportColorRGBA = [0, 184, 184, 255]; // Cyan window marker
+
         // Performance tracking
         this.lastRenderTime = 0;
 
@@ -196,13 +232,21 @@ class Renderer {
     }
 
     /**
-     * Update color palette for alive/dead cells
-     * @param {Object} palette - Color palette { alive: string, dead: string }
+     * Update color palette for alive/dead cells and per-state colors
+     * @param {Object} palette - Color palette { alive: string, dead: string, states?: string[], damage?: string, particle?: string }
+     * @param {string[]} [stateColors] - One hex color per cell state (see PaletteManager.getStateColors);
+     *   defaults to the palette's own states, or dead/alive
      */
-    setPalette(palette) {
+    setPalette(palette, stateColors) {
         // Convert hex colors to RGBA arrays
         this.aliveColorRGBA = this.hexToRGBA(palette.alive || '#FF00FF');
         this.deadColorRGBA = this.hexToRGBA(palette.dead || '#0A0A0A');
+        const states = stateColors || palette.states;
+        this.stateColorsRGBA = states
+            ? states.map(hex => this.hexToRGBA(hex))
+            : [this.deadColorRGBA, this.aliveColorRGBA];
+        this.damageColorRGBA = this.hexToRGBA(palette.damage || '#FFFF00');
+        this.particleColorRGBA = this.hexToRGBA(palette.particle || '#FF6600');
 
         console.log(`[Renderer] Palette updated: alive=${palette.alive}, dead=${palette.dead}`);
     }
@@ -232,7 +276,7 @@ class Renderer {
      * Render CA state to canvas
      * Uses 1:1 pixel mapping: each cell becomes exactly one pixel
      *
-     * @param {Uint8Array} caState - CA cell states (0 = dead, 1 = alive)
+     * @param {Uint8Array} caState - CA cell states (0 = dead, 1+ = alive / state index)
      * @param {number} gridWidth - CA grid width
      * @param {number} gridHeight - CA grid height
      * @param {Object} palette - Optional color palette override
@@ -248,6 +292,16 @@ class Renderer {
         // Update pixel buffer from CA state
         this.updatePixelBuffer(caState, gridWidth, gridHeight);
 
+        // Mark rows where a rule schedule switches rules
+        if (this.ruleSwitchRows.length > 0) {
+            this._drawRuleSwitchMarks(gridHeight);
+        }
+
+        // Show where the visible window sits on a growing lattice
+        if (this.viewport) {
+            this._drawViewportIndicator();
+        }
+
         // Transfer pixel buffer to graphics buffer
         this.graphics.loadPixels();
         this.graphics.pixels.set(this.pixelBuffer);
@@ -291,11 +345,54 @@ class Renderer {
                 const caIndex = gridY * gridWidth + gridX;
                 const cellState = (caIndex < caState.length) ? caState[caIndex] : 0;
 
-                // Choose color based on cell state
-                const color = cellState === 1 ? this.aliveColorRGBA : this.deadColorRGBA;
+                // Choose color based on cell state (states beyond the palette use the alive color);
+                // damaged cells are drawn in the damage color on top
+                const damaged = this.damageMask !== null && this.damageMask[caIndex] === 1;
+                let color = damaged
+                    ? this.damageColorRGBA
+                    : this.stateColorsRGBA[cellState] || this.aliveColorRGBA;
 
                 // Write to pixel buffer
                 const pixelIndex = (y * this.canvasWidth + x) * 4;
+                if (this.domainMask !== null && !damaged) {
+                    if (this.domainMask[caIndex] === 1) {
+                        // Domain: fade toward the dead color
+                        const dead = this.deadColorRGBA;
+                        const t = this.domainDim;
+                        this.pixelBuffer[pixelIndex] = color[0] + (dead[0] - color[0]) * t;
+                        this.pixelBuffer[pixelIndex + 1] = color[1] + (dead[1] - color[1]) * t;
+                        this.pixelBuffer[pixelIndex + 2] = color[2] + (dead[2] - color[2]) * t;
+                        this.pixelBuffer[pixelIndex + 3] = color[3];
+                        continue;
+                    }
+
+                    if (cellState !== 0) {
+                        color = this.particleColorRGBA;
+                    } else {
+                        // Dead cells inside a particle glow faintly, so its extent shows
+                        const glow = this.particleColorRGBA;
+                        const t = this.particleGlow;
+                        this.pixelBuffer[pixelIndex] = color[0] + (glow[0] - color[0]) * t;
+                        this.pixelBuffer[pixelIndex + 1] = color[1] + (glow[1] - color[1]) * t;
+                        this.pixelBuffer[pixelIndex + 2] = color[2] + (glow[2] - color[2]) * t;
+                        this.pixelBuffer[pixelIndex + 3] = color[3];
+                        continue;
+                    }
+                }
+
+                const zoneMap = this.ruleTint && !damaged ? this.ruleTint[gridY] : null;
+                const zone = zoneMap ? zoneMap[gridX] : 0;
+                if (zone > 0) {
+                    // Blend toward the zone's tint
+                    const tint = this.zoneTintsRGBA[(zone - 1) % this.zoneTintsRGBA.length];
+                    const t = this.zoneTintStrength;
+                    this.pixelBuffer[pixelIndex] = color[0] + (tint[0] - color[0]) * t;
+                    this.pixelBuffer[pixelIndex + 1] = color[1] + (tint[1] - color[1]) * t;
+                    this.pixelBuffer[pixelIndex + 2] = color[2] + (tint[2] - color[2]) * t;
+                    this.pixelBuffer[pixelIndex + 3] = color[3];
+                    continue;
+                }
+
                 this.pixelBuffer[pixelIndex] = color[0];     // R
                 this.pixelBuffer[pixelIndex + 1] = color[1]; // G
                 this.pixelBuffer[pixelIndex + 2] = color[2]; // B
@@ -304,6 +401,121 @@ class Renderer {
         }
     }
 
+    /**
+     * Tint cells by the rule zone that produced them
+     * Each row is tinted by the zone map it was stepped with, so repainting
+     * zones leaves the rows computed under the old map as they were.
+     *
+     * @param {Array<Uint8Array|null>|null} zoneMaps - Per grid row: zone index per column
+     *   (0 = main rule, untinted), or null for an untinted row; null to disable
+     */
+    setRuleTint(zoneMaps) {
+        this.ruleTint = zoneMaps;
+    }
+
+    /**
+     * Highlight damaged cells (where a perturbed copy of the run differs)
+     *
+     * @param {Uint8Array|null} mask - 1 per damaged cell in the CA state layout, or null to disable
+     */
+    setDamageMask(mask) {
+        this.damageMask = mask;
+    }
+
+    /**
+     * Filter out the background domain: dim domain cells and highlight the rest (particles)
+     * Takes precedence over rule zone tints; damaged cells still win.
+     *
+     * @param {Uint8Array|null} mask - 1 per domain cell in the CA state layout, or null to disable
+     */
+    setDomainMask(mask) {
+        this.domainMask = mask;
+    }
+
+    /**
+     * Set the grid rows where a rule schedule switches rules
+     *
+     * @param {number[]} rows - Grid row indices (empty for none)
+     */
+    setRuleSwitchRows(rows) {
+        this.ruleSwitchRows = rows;
+    }
+
+    /**
+     * Draw short ticks at both edges of the canvas on each rule switch row
+     *
+     * @param {number} gridHeight - CA grid height
+     * @private
+     */
+    _drawRuleSwitchMarks(gridHeight) {
+        const scaleY = this.canvasHeight / gridHeight;
+        const markWidth = Math.min(this.ruleSwitchMarkWidth, this.canvasWidth);
+        const color = this.ruleSwitchColorRGBA;
+
+        for (const row of this.ruleSwitchRows) {
+            const yFrom = Math.floor(row * scaleY);
+            const yTo = Math.min(this.canvasHeight, Math.max(yFrom + 1, Math.floor((row + 1) * scaleY)));
+
+            for (let y = yFrom; y < yTo; y++) {
+                for (let i = 0; i < markWidth; i++) {
+                    for (const x of [i, this.canvasWidth - 1 - i]) {
+                        const pixelIndex = (y * this.canvasWidth + x) * 4;
+                        this.pixelBuffer[pixelIndex] = color[0];
+                        this.pixelBuffer[pixelIndex + 1] = color[1];
+                        this.pixelBuffer[pixelIndex + 2] = color[2];
+                        this.pixelBuffer[pixelIndex + 3] = color[3];
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Set the growing-lattice viewport shown by the position indicator
+     * All coordinates are absolute cell positions on the lattice.
+     *
+     * @param {Object|null} viewport - { activeStart, activeEnd, viewStart, viewEnd }, or null to hide
+     */
+    setViewport(viewport) {
+        this.viewport = viewport;
+    }
+
+    /**
+     * Draw a thin strip along the top edge showing the active region of the
+     * growing lattice and the part of it currently in view
+     * @private
+     */
+    _drawViewportIndicator() {
+        const { activeStart, activeEnd, viewStart, viewEnd } = this.viewport;
+        const extentStart = Math.min(activeStart, viewStart);
+        const extentEnd = Math.max(activeEnd, viewEnd);
+        const extent = Math.max(1, extentEnd - extentStart);
+        const stripHeight = Math.min(4, this.canvasHeight);
+
+        const toPixel = (cellX) => Math.round(((cellX - extentStart) / extent) * (this.canvasWidth - 1));
+        const activeFrom = toPixel(activeStart);
+        const activeTo = toPixel(activeEnd);
+        const viewFrom = toPixel(viewStart);
+        const viewTo = toPixel(viewEnd);
+
+        for (let y = 0; y < stripHeight; y++) {
+            for (let x = 0; x < this.canvasWidth; x++) {
+                let color = this.deadColorRGBA;
+                if (x >= viewFrom && x <= viewTo && (y === 0 || y === stripHeight - 1 || x === viewFrom || x === viewTo)) {
+                    color = this.viewportColorRGBA;
+                } else if (x >= activeFrom && x < activeTo) {
+                    color = this.aliveColorRGBA;
+                }
+
+                const pixelIndex = (y * this.canvasWidth + x) * 4;
+                this.pixelBuffer[pixelIndex] = color[0];
+                this.pixelBuffer[pixelIndex + 1] = color[1];
+                this.pixelBuffer[pixelIndex + 2] = color[2];
+                this.pixelBuffer[pixelIndex + 3] = color[3];
+            }
+        }
+    }
+
     /**
      * Handle window resize
      * Recalculates canvas dimensions and recreates buffers
@@ -0,0 +1,302 @@
+/**
+ * Rule Analysis
+ *
+ * Symmetry classes and structural properties of 1D rules. Every rule has a
+ * mirror image (left-right reflection), a complement (state s swapped with
+ * k-1-s) and a mirror-complement; the four form its equivalence class, which
+ * for the 256 elementary rules gives the familiar 88 classes. Also flags
+ * additive (linear/affine), totalistic and number-conserving rules.
+ *
+ * Works on any radius, encoding and state count supported by CAEngine.
+ * Relies on buildRuleTable, ruleCodeDigits and additiveRuleForm from ca-engine.js.
+ */
+
+// ============================================================================
+// TABLE TRANSFORMS
+// ============================================================================
+
+/**
+ * Reverse the base-k digits of a neighborhood index (left-right reflection)
+ *
+ * @param {number} index - Neighborhood index
+ * @param {number} size - Neighborhood size (2r+1)
+ * @param {number} states - Number of cell states k
+ * @returns {number} Index of the mirrored neighborhood
+ */
+function mirrorNeighborhood(index, size, states) {
+  let mirrored = 0;
+  for (let i = 0; i < size; i++) {
+    mirrored = mirrored * states + (index % states);
+    index = Math.floor(index / states);
+  }
+  return mirrored;
+}
+
+/**
+ * Lookup table of the left-right mirror image of a rule
+ *
+ * @param {Uint8Array} table - Rule lookup table (see buildRuleTable)
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {Uint8Array} Mirrored table
+ */
+function mirrorRuleTable(table, radius, states = 2) {
+  const size = 2 * radius + 1;
+  return table.map((_, i) => table[mirrorNeighborhood(i, size, states)]);
+}
+
+/**
+ * Lookup table of the complement (state conjugate) of a rule
+ * Swapping every state s with k-1-s reverses the neighborhood index, so the
+ * conjugate rule is f'(x) = k-1 - f(complement of x). For second-order rules
+ * the previous row is conjugated too, which leaves f'(x) = 2(k-1) - f(...) mod k.
+ *
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} [states=2] - Number of cell states k
+ * @param {boolean} [reversible=false] - Conjugate as a second-order rule
+ * @returns {Uint8Array} Complemented table
+ */
+function complementRuleTable(table, states = 2, reversible = false) {
+  const top = states - 1;
+  const last = table.length - 1;
+
+  return table.map((_, i) => reversible
+    ? (2 * top - table[last - i]) % states
+    : top - table[last - i]);
+}
+
+/**
+ * Encode a lookup table as a rule code in the given encoding
+ *
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {bigint|null} Rule code, or null if the table cannot be written in
+ *   that encoding (e.g. a non-totalistic table as a totalistic code)
+ */
+function ruleTableToCode(table, radius, encoding, states = 2) {
+  let digits = table;
+
+  if (encoding !== 'wolfram') {
+    // Read each code digit off the neighborhoods that share it; they must agree
+    const digitOf = codeDigitIndex(radius, encoding, states);
+    const seen = new Uint8Array(ruleCodeDigits(radius, encoding, states));
+    digits = new Uint8Array(seen.length);
+
+    for (let i = 0; i < table.length; i++) {
+      const digit = digitOf[i];
+      if (!seen[digit]) {
+        seen[digit] = 1;
+        digits[digit] = table[i];
+      } else if (digits[digit] !== table[i]) {
+        return null;
+      }
+    }
+  }
+
+  // Horner's rule from the most significant digit, in chunks that stay exact as doubles
+  const chunk = Math.floor(52 / Math.log2(states));
+  let code = 0n;
+
+  for (let end = digits.length; end > 0; end -= chunk) {
+    const start = Math.max(0, end - chunk);
+    let value = 0;
+    for (let d = end - 1; d >= start; d--) {
+      value = value * states + digits[d];
+    }
+    code = code * BigInt(states) ** BigInt(end - start) + BigInt(value);
+  }
+
+  return code;
+}
+
+/**
+ * Code digit read by each neighborhood for a non-Wolfram encoding
+ * Mirrors the digit selection in buildRuleTable.
+ *
+ * @param {number} radius - Neighborhood radius
+ * @param {string} encoding - 'totalistic' or 'outer-totalistic'
+ * @param {number} states - Number of cell states k
+ * @returns {Uint16Array} Digit index per neighborhood
+ */
+function codeDigitIndex(radius, encoding, states) {
+  const size = 2 * radius + 1;
+  const digitOf = new Uint16Array(states ** size);
+
+  for (let i = 0; i < digitOf.length; i++) {
+    let sum = 0;
+    for (let rest = i; rest > 0; rest = Math.floor(rest / states)) {
+      sum += rest % states;
+    }
+
+    const center = Math.floor(i / states ** radius) % states;
+    digitOf[i] = encoding === 'totalistic' ? sum : states * (sum - center) + center;
+  }
+
+  return digitOf;
+}
+
+// ============================================================================
+// RULE PROPERTIES
+// ============================================================================
+
+/**
+ * Whether the rule is additive: next = c0 + sum(c_i * x_i) mod k
+ *
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {string|null} 'linear' (c0 = 0, e.g. rules 90 and 150),
+ *   'affine' (c0 != 0, e.g. rule 105) or null
+ */
+function additiveType(table, radius, states = 2) {
+  const form = additiveRuleForm(table, radius, states);
+  if (!form) {
+    return null;
+  }
+
+  return form.offset === 0 ? 'linear' : 'affine';
+}
+
+/**
+ * Whether the next state depends only on the neighborhood sum
+ *
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {boolean} True for totalistic rules
+ */
+function isTotalisticTable(table, states = 2) {
+  const bySum = new Map();
+
+  for (let index = 0; index < table.length; index++) {
+    let sum = 0;
+    for (let rest = index; rest > 0; rest = Math.floor(rest / states)) {
+      sum += rest % states;
+    }
+
+    if (!bySum.has(sum)) {
+      bySum.set(sum, table[index]);
+    } else if (bySum.get(sum) !== table[index]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Whether the rule conserves the sum of cell states on every periodic row
+ * Uses the Boccara-Fuks condition: f(0..0) = 0 and, for every neighborhood
+ * x1..xn, f(x1..xn) = x1 + sum over j=1..n-1 of
+ * [f(0^j, x2..x(n-j+1)) - f(0^j, x1..x(n-j))].
+ * The elementary examples are rules 170, 184, 204, 226 and 240.
+ *
+ * @param {Uint8Array} table - Rule lookup table
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {boolean} True for number-conserving rules
+ */
+function isNumberConserving(table, radius, states = 2) {
+  const size = 2 * radius + 1;
+  if (table[0] !== 0) {
+    return false;
+  }
+
+  // With the leading cells zero, the index is just the trailing cells' value
+  const cells = new Array(size);
+  const tail = (from, length) => {
+    let value = 0;
+    for (let i = from; i < from + length; i++) {
+      value = value * states + cells[i];
+    }
+    return value;
+  };
+
+  for (let index = 0; index < table.length; index++) {
+    for (let i = size - 1, rest = index; i >= 0; i--, rest = Math.floor(rest / states)) {
+      cells[i] = rest % states;
+    }
+
+    let expected = cells[0];
+    for (let j = 1; j < size; j++) {
+      expected += table[tail(1, size - j)] - table[tail(0, size - j)];
+    }
+
+    if (expected !== table[index]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Analyze a rule: its symmetry class and structural properties
+ * Equivalent rules are given in the same encoding as the input (totalistic
+ * and outer-totalistic codes are closed under both symmetries).
+ *
+ * @param {number|bigint} rule - Rule code
+ * @param {Object} [options] - Rule space
+ * @param {number} [options.radius=1] - Neighborhood radius
+ * @param {string} [options.encoding='wolfram'] - One of RULE_ENCODINGS
+ * @param {number} [options.states=2] - Number of cell states k
+ * @param {boolean} [options.reversible=false] - Analyze as a second-order rule
+ * @returns {{rule: bigint, mirror: bigint, complement: bigint, mirrorComplement: bigint,
+ *   representative: bigint, classSize: number, selfMirror: boolean, selfComplement: boolean,
+ *   selfMirrorComplement: boolean, additive: string|null, totalistic: boolean,
+ *   numberConserving: boolean|null}}
+ *   Equivalent codes (the representative is the smallest) and property flags;
+ *   numberConserving is null for second-order rules
+ */
+function analyzeRule(rule, options = {}) {
+  const radius = options.radius || 1;
+  const encoding = options.encoding || 'wolfram';
+  const states = options.states || 2;
+  const reversible = Boolean(options.reversible);
+
+  const code = BigInt(rule);
+  const table = buildRuleTable(code, radius, encoding, states);
+  const mirrorTable = mirrorRuleTable(table, radius, states);
+  const complementTable = complementRuleTable(table, states, reversible);
+  const mirrorComplementTable = mirrorRuleTable(complementTable, radius, states);
+
+  const mirror = ruleTableToCode(mirrorTable, radius, encoding, states);
+  const complement = ruleTableToCode(complementTable, radius, encoding, states);
+  const mirrorComplement = ruleTableToCode(mirrorComplementTable, radius, encoding, states);
+
+  const members = [code, mirror, complement, mirrorComplement];
+  const representative = members.reduce((min, value) => (value < min ? value : min));
+
+  return {
+    rule: code,
+    mirror,
+    complement,
+    mirrorComplement,
+    representative,
+    classSize: new Set(members).size,
+    selfMirror: mirror === code,
+    selfComplement: complement === code,
+    selfMirrorComplement: mirrorComplement === code,
+    additive: additiveType(table, radius, states),
+    totalistic: isTotalisticTable(table, states),
+    numberConserving: reversible ? null : isNumberConserving(table, radius, states)
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    mirrorRuleTable,
+    complementRuleTable,
+    ruleTableToCode,
+    additiveType,
+    isTotalisticTable,
+    isNumberConserving,
+    analyzeRule
+  };
+}
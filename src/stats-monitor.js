@@ -0,0 +1,310 @@
+/**
+ * StatsMonitor - Per-generation statistics with sparkline overlay
+ *
+ * Computes statistics for every generation the engine produces and shows
+ * the recent history as scrolling sparklines (styled like the performance
+ * monitor's frame graph). The full log can be exported as CSV.
+ *   density          fraction of live (non-zero) cells
+ *   entropy          Shannon entropy of single cell states, in bits
+ *   blockEntropies   Shannon entropy H(n) of n-cell blocks, n = 1..8, in bits
+ *   autocorrelation  Pearson correlation of neighboring cells (lag 1)
+ *
+ * @version 1.0.0
+ */
+
+class StatsMonitor {
+    /**
+     * Initialize the statistics log and its overlay
+     */
+    constructor() {
+        // Statistics settings
+        this.maxBlockSize = 8;
+        this.maxLogSize = 100000;   // Generations kept for CSV export
+
+        // Per-generation log, oldest first
+        this.log = [];
+        this.lastGeneration = -1;
+
+        // Block counting scratch: one count table per block size, sized for the state count
+        this.blockCounts = [];
+        this.blockStates = 0;
+
+        // Sparkline series: label, color, value accessor and fixed range (null = auto)
+        this.maxHistorySize = 120;
+        this.series = [
+            { label: 'Density', color: '#ff00ff', value: (s) => s.density, range: [0, 1] },
+            { label: 'Entropy', color: '#00b8b8', value: (s) => s.entropy, range: null },
+            {
+                label: `Block entropy H(${this.maxBlockSize})/${this.maxBlockSize}`,
+                color: '#ffff00',
+                value: (s) => s.blockEntropies[this.maxBlockSize - 1] / this.maxBlockSize,
+                range: null
+            },
+            { label: 'Autocorrelation', color: '#00ff00', value: (s) => s.autocorrelation, range: [-1, 1] }
+        ];
+
+        // Display settings
+        this.visible = true;
+        this.x = 10; // Position from bottom-right
+        this.y = 10;
+        this.width = 220;
+        this.graphHeight = 20;
+        this.rowHeight = 38;
+        this.height = this.series.length * this.rowHeight + 10;
+        this.padding = 10;
+
+        // Cyberpunk color scheme (matches PerformanceMonitor)
+        this.colors = {
+            bg: 'rgba(10, 10, 20, 0.85)',
+            text: '#00b8b8'
+        };
+    }
+
+    /**
+     * Forget the current run (call when the run restarts)
+     */
+    reset() {
+        this.log = [];
+        this.lastGeneration = -1;
+    }
+
+    /**
+     * Compute statistics for the rows the engine produced since the last call
+     * @param {CAEngine} engine - Engine of the current run
+     */
+    update(engine) {
+        const generation = engine.getGeneration();
+        const height = engine.height;
+
+        // Stepping backwards restarts the log from the current generation
+        if (generation < this.lastGeneration) {
+            this.reset();
+        }
+        if (generation === this.lastGeneration) {
+            return;
+        }
+
+        // Rows older than the circular buffer are gone; start from the oldest kept
+        const first = Math.max(this.lastGeneration + 1, generation - height + 1);
+        const states = engine.getStateCount();
+
+        for (let g = first; g <= generation; g++) {
+            this.log.push({ generation: g, ...this.computeStats(engine.getRow(g % height), states) });
+        }
+        if (this.log.length > this.maxLogSize) {
+            this.log.splice(0, this.log.length - this.maxLogSize);
+        }
+
+        this.lastGeneration = generation;
+    }
+
+    /**
+     * Statistics of one row
+     * @param {Uint8Array} row - Cell states
+     * @param {number} [states=2] - Number of cell states k
+     * @returns {{density: number, entropy: number, blockEntropies: number[], autocorrelation: number}}
+     *   Row statistics (entropies in bits)
+     */
+    computeStats(row, states = 2) {
+        const width = row.length;
+
+        // Density and single-cell moments
+        let live = 0;
+        let sum = 0;
+        let sumSquares = 0;
+        let sumProducts = 0;
+        for (let x = 0; x < width; x++) {
+            const value = row[x];
+            if (value !== 0) live++;
+            sum += value;
+            sumSquares += value * value;
+            if (x > 0) sumProducts += value * row[x - 1];
+        }
+
+        // Lag-1 autocorrelation (0 for a constant row)
+        const mean = sum / width;
+        const variance = sumSquares / width - mean * mean;
+        const covariance = width > 1
+            ? sumProducts / (width - 1) - mean * mean
+            : 0;
+        const autocorrelation = variance > 1e-12 ? Math.max(-1, Math.min(1, covariance / variance)) : 0;
+
+        const blockEntropies = [];
+        for (let n = 1; n <= this.maxBlockSize; n++) {
+            blockEntropies.push(this._blockEntropy(row, states, n));
+        }
+
+        return {
+            density: width > 0 ? live / width : 0,
+            entropy: blockEntropies[0],
+            blockEntropies,
+            autocorrelation
+        };
+    }
+
+    /**
+     * Shannon entropy of the n-cell blocks of a row
+     * @param {Uint8Array} row - Cell states
+     * @param {number} states - Number of cell states k
+     * @param {number} n - Block size
+     * @returns {number} Entropy in bits
+     * @private
+     */
+    _blockEntropy(row, states, n) {
+        const blocks = row.length - n + 1;
+        if (blocks <= 0) return 0;
+
+        if (this.blockStates !== states) {
+            this.blockCounts = [];
+            this.blockStates = states;
+        }
+        if (!this.blockCounts[n]) {
+            this.blockCounts[n] = new Uint32Array(states ** n);
+        }
+        const counts = this.blockCounts[n];
+        const high = states ** (n - 1);
+
+        // Count blocks with a rolling base-k index
+        let index = 0;
+        for (let x = 0; x < n - 1; x++) {
+            index = index * states + row[x];
+        }
+        for (let x = n - 1; x < row.length; x++) {
+            index = index * states + row[x];
+            counts[index]++;
+            index %= high;
+        }
+
+        // Sum -p log p over the blocks seen, clearing their counts for the next row
+        let entropy = 0;
+        index = 0;
+        for (let x = 0; x < n - 1; x++) {
+            index = index * states + row[x];
+        }
+        for (let x = n - 1; x < row.length; x++) {
+            index = index * states + row[x];
+            const count = counts[index];
+            if (count > 0) {
+                const p = count / blocks;
+                entropy -= p * Math.log2(p);
+                counts[index] = 0;
+            }
+            index %= high;
+        }
+
+        return entropy;
+    }
+
+    /**
+     * Per-generation statistics as CSV
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const blockColumns = [];
+        for (let n = 1; n <= this.maxBlockSize; n++) {
+            blockColumns.push(`block_entropy_${n}`);
+        }
+
+        const lines = [['generation', 'density', 'entropy', ...blockColumns, 'autocorrelation'].join(',')];
+        for (const stats of this.log) {
+            lines.push([
+                stats.generation,
+                stats.density.toFixed(6),
+                stats.entropy.toFixed(6),
+                ...stats.blockEntropies.map((value) => value.toFixed(6)),
+                stats.autocorrelation.toFixed(6)
+            ].join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render the sparkline overlay to the canvas
+     * @param {p5} p - p5.js instance
+     */
+    render(p) {
+        if (!this.visible) return;
+
+        // Save current drawing state
+        p.push();
+
+        // Switch to 2D mode for overlay (if in WEBGL mode)
+        p.resetMatrix();
+
+        // Calculate position (bottom-right corner)
+        const posX = p.width / 2 - this.width - this.x;
+        const posY = p.height / 2 - this.height - this.y;
+
+        // Draw semi-transparent background
+        p.fill(this.colors.bg);
+        p.noStroke();
+        p.rect(posX, posY, this.width, this.height);
+
+        const history = this.log.slice(-this.maxHistorySize);
+        const latest = history[history.length - 1];
+
+        p.textAlign(p.LEFT, p.TOP);
+        p.textSize(11);
+
+        this.series.forEach((series, i) => {
+            const rowY = posY + this.padding / 2 + i * this.rowHeight;
+            const reading = latest ? series.value(latest).toFixed(3) : '-';
+
+            p.fill(this.colors.text);
+            p.text(`${series.label}: ${reading}`, posX + this.padding, rowY);
+
+            this._drawSparkline(p, series, history, posX, rowY + 14);
+        });
+
+        // Restore drawing state
+        p.pop();
+    }
+
+    /**
+     * Draw one scrolling sparkline (newest generation at the right)
+     * @param {p5} p - p5.js instance
+     * @param {Object} series - Series from this.series
+     * @param {Object[]} history - Recent log entries, oldest first
+     * @param {number} posX - X position of overlay
+     * @param {number} graphY - Top of the graph
+     * @private
+     */
+    _drawSparkline(p, series, history, posX, graphY) {
+        const graphWidth = this.width - this.padding * 2;
+        const barWidth = graphWidth / this.maxHistorySize;
+        const values = history.map(series.value);
+
+        // Fixed range, or scale to the visible values
+        let [min, max] = series.range || [Math.min(0, ...values), Math.max(...values, 1e-9)];
+        if (max - min < 1e-9) max = min + 1;
+
+        p.noStroke();
+        p.fill(series.color);
+
+        // Draw bars from the bottom of the graph (or from zero for signed ranges)
+        const zeroY = graphY + this.graphHeight * (max / (max - min));
+        const offset = this.maxHistorySize - values.length;
+        for (let i = 0; i < values.length; i++) {
+            const valueY = graphY + this.graphHeight * ((max - values[i]) / (max - min));
+            const x = posX + this.padding + (offset + i) * barWidth;
+            const top = Math.min(valueY, zeroY);
+            p.rect(x, top, Math.max(barWidth - 1, 1), Math.max(Math.abs(zeroY - valueY), 1));
+        }
+    }
+
+    /**
+     * Show or hide the statistics overlay
+     * @param {boolean} visible - Whether to display the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+    }
+
+    /**
+     * Toggle visibility
+     */
+    toggle() {
+        this.visible = !this.visible;
+    }
+}
@@ -122,6 +122,27 @@ function getTimestamp() {
     return `${year}${month}${day}_${hours}${minutes}${seconds}`;
 }
 
+// ============================================================================
+// FILE UTILITIES
+// ============================================================================
+
+/**
+ * Offer text content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File content
+ * @param {string} [type='text/plain'] - MIME type
+ */
+function downloadTextFile(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 // ============================================================================
 // VALIDATION UTILITIES
 // ============================================================================
@@ -145,7 +166,6 @@ function isValidHexColor(hex) {
 }
 
 // TODO: Add more utility functions as needed
-// - File download helpers
 // - Local storage helpers
 // - Performance monitoring utilities
 // - Debug helpers
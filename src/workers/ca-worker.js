@@ -4,16 +4,39 @@
  *
  * Message Protocol:
  * Main → Worker:
- *   { type: 'init', rule: 30, width: 800, height: 600 }
+ *   { type: 'init', rule: 30, width: 800, height: 600, radius: 1, encoding: 'wolfram', states: 2, boundary: 'periodic', seed: 12345 }
+ *   { type: 'init', mode: 'life', rule: 'B3/S23', width: 200, height: 150, seed: 12345 }   (2D Life-like world)
  *   { type: 'step', steps: 1 }
- *   { type: 'setInitialCondition', pattern: 'single', options: {} }
- *   { type: 'setRule', rule: 90 }
- *   { type: 'reset', newRule: 110 }
+ *   { type: 'setInitialCondition', pattern: 'random', options: { density: 0.5, seed: 12345 } }
+ *   { type: 'setRule', rule: 90, radius: 1, encoding: 'wolfram', states: 2 }
+ *   { type: 'reset', newRule: 110, radius: 1, encoding: 'wolfram', states: 2 }
+ *   { type: 'setBoundary', mode: 'driven', sequence: '0110' }
+ *   { type: 'setRuleMap', map: Uint8Array, rules: [90] }   (map: null clears)
+ *   { type: 'jumpTo', generation: 1000000000000 }   (direct for additive rules)
+ *   { type: 'analyzeBasins', width: 12 }   (state-transition graph of the rule on a ring of that width)
+ *   { type: 'census', rules: [30, 110], widths: [8, 16], samples: 32, maxGenerations: 10000, seed: 1 }
+ *     (attractors of elementary rules from random seeds, widths inclusive; needs no init)
  *   { type: 'getState' }
  *
+ * Rule codes may be numbers, BigInts or hex strings ("0x..."); radius,
+ * encoding and states default to an elementary rule (1, 'wolfram', 2).
+ * Initial-condition patterns and their options are the same as
+ * CAEngine.setInitialCondition (single, random, points, block, tile,
+ * gradient, window, text).
+ *
+ * In 'life' mode the engine is a LifeEngine: step, setInitialCondition,
+ * setRule (a B/S rulestring), reset and getState work on the 2D world, and
+ * the 1D-only messages (setBoundary, setRuleMap, jumpTo, analyzeBasins) are
+ * rejected.
+ *
  * Worker → Main:
  *   { type: 'ready' }
- *   { type: 'state', state: Uint8Array, generation: 42 }
+ *   { type: 'state', state: Uint8Array, generation: 42, seed: 12345 }
+ *   { type: 'ruleChanged', rule: 90, radius: 1, encoding: 'wolfram', states: 2 }
+ *   { type: 'boundaryChanged', mode: 'driven', sequence: '0110' }
+ *   { type: 'ruleMapChanged', zones: 1 }
+ *   { type: 'basins', width: 12, states: 2, next: Uint32Array, attractors: [...], ... }   (see analyzeBasins)
+ *   { type: 'census', records: [{ rule: 30, width: 8, cycles: 3, longestPeriod: 31, meanTransient: 4.2, ... }] }
  *   { type: 'error', message: 'Error description' }
  *
  * @author Claude (Sonnet 4.5)
@@ -41,12 +64,300 @@ function computeRule(left, center, right, rule) {
   return (rule >> index) & 1;
 }
 
+/**
+ * Supported rule encodings
+ * - wolfram: one output digit per neighborhood, neighborhood read as a base-k number
+ * - totalistic: one output digit per neighborhood sum (0 to (k-1)(2r+1))
+ * - outer-totalistic: output digit k*s + c for outer sum s and center cell c
+ * Codes are read in base k (k = number of cell states; 2 for binary rules).
+ * @constant {string[]}
+ */
+const RULE_ENCODINGS = ['wolfram', 'totalistic', 'outer-totalistic'];
+
+/**
+ * Largest supported neighborhood radius
+ * @constant {number}
+ */
+const MAX_RULE_RADIUS = 3;
+
+/**
+ * Largest supported number of cell states (colors)
+ * @constant {number}
+ */
+const MAX_CELL_STATES = 5;
+
+/**
+ * Number of base-k digits in a rule code for a given radius, encoding and state count
+ *
+ * @param {number} radius - Neighborhood radius (1-3)
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {number} Code length in digits (8 for elementary rules)
+ */
+function ruleCodeDigits(radius, encoding, states = 2) {
+  const size = 2 * radius + 1;
+
+  if (encoding === 'totalistic') return (states - 1) * size + 1;
+  if (encoding === 'outer-totalistic') return states * ((states - 1) * (size - 1) + 1);
+  return states ** size;
+}
+
+/**
+ * Number of distinct rule codes for a given radius, encoding and state count
+ *
+ * @param {number} radius - Neighborhood radius (1-3)
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {bigint} Code count (256n for elementary rules); valid codes are 0 to count-1
+ */
+function ruleCodeCount(radius, encoding, states = 2) {
+  return BigInt(states) ** BigInt(ruleCodeDigits(radius, encoding, states));
+}
+
+/**
+ * Parse a rule code given as a number, BigInt, decimal string or hex string
+ *
+ * @param {number|bigint|string} value - e.g. 30, 1771476584n, "0x6996", "6996" (hex)
+ * @returns {bigint|null} Parsed code, or null if it cannot be parsed
+ */
+function parseRuleCode(value) {
+  if (typeof value === 'bigint') {
+    return value;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? BigInt(value) : null;
+  }
+
+  if (typeof value === 'string') {
+    const text = value.trim().toLowerCase();
+    if (/^(0x)?[0-9a-f]+$/.test(text)) {
+      // Plain digits are decimal; anything with a-f or a 0x prefix is hex
+      if (/^[0-9]+$/.test(text)) return BigInt(text);
+      return BigInt(text.startsWith('0x') ? text : `0x${text}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the neighborhood lookup table for a rule code
+ * Index = neighborhood cells read left to right as a base-k number
+ *
+ * @param {bigint} code - Rule code
+ * @param {number} radius - Neighborhood radius
+ * @param {string} encoding - One of RULE_ENCODINGS
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {Uint8Array} Lookup table of k^(2r+1) next states
+ */
+function buildRuleTable(code, radius, encoding, states = 2) {
+  const size = 2 * radius + 1;
+  const table = new Uint8Array(states ** size);
+
+  // Base-k digits of the code, least significant first
+  const codeDigits = code.toString(states).split('').reverse().map(Number);
+
+  for (let i = 0; i < table.length; i++) {
+    let digit = i;
+
+    if (encoding !== 'wolfram') {
+      let sum = 0;
+      for (let rest = i; rest > 0; rest = Math.floor(rest / states)) {
+        sum += rest % states;
+      }
+
+      const center = Math.floor(i / states ** radius) % states;
+      digit = encoding === 'totalistic' ? sum : states * (sum - center) + center;
+    }
+
+    table[i] = codeDigits[digit] || 0;
+  }
+
+  return table;
+}
+
+/**
+ * Named initial-condition patterns (see CAEngine.setInitialCondition)
+ * @constant {string[]}
+ */
+const INITIAL_PATTERNS = ['single', 'random', 'points', 'block', 'tile', 'gradient', 'window', 'text'];
+
+/**
+ * Initial-condition patterns drawn from the seeded PRNG
+ * @constant {string[]}
+ */
+const RANDOM_PATTERNS = ['random', 'gradient', 'window'];
+
+/**
+ * Normalize a PRNG seed to an unsigned 32-bit integer
+ * Strings are hashed (FNV-1a), so "run-1" is as good a seed as 12345.
+ *
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  return Math.floor(Number(seed) || 0) >>> 0;
+}
+
+/**
+ * Supported boundary conditions
+ * - periodic: toroidal wrapping (default)
+ * - fixed0: cells beyond the edges are always 0
+ * - fixed1: cells beyond the edges are always 1
+ * - reflective: cells beyond the edges mirror the edge cell
+ * - driven: cells beyond the edges follow a user-supplied bit sequence
+ * @constant {string[]}
+ */
+const BOUNDARY_MODES = ['periodic', 'fixed0', 'fixed1', 'reflective', 'driven'];
+
+/**
+ * Parse a driven-boundary bit sequence
+ *
+ * @param {string|number[]|Uint8Array} sequence - Bits as "0110" or an array of 0/1
+ * @returns {Uint8Array} Parsed bit sequence (at least one bit long)
+ */
+function parseBoundarySequence(sequence) {
+  let bits = [];
+
+  if (typeof sequence === 'string') {
+    bits = sequence.replace(/[^01]/g, '').split('').map(Number);
+  } else if (sequence && typeof sequence.length === 'number') {
+    bits = Array.from(sequence, (bit) => (bit ? 1 : 0));
+  }
+
+  if (bits.length === 0) {
+    bits = [0];
+  }
+
+  return Uint8Array.from(bits);
+}
+
+/**
+ * Additive form of a rule table: next = offset + sum of coefficients[j] * cell[x - r + j] (mod k)
+ *
+ * @param {Uint8Array} table - Rule lookup table (see buildRuleTable)
+ * @param {number} radius - Neighborhood radius
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {{offset: number, coefficients: number[]}|null} Offset and per-cell coefficients
+ *   (leftmost cell first), or null if the rule is not additive
+ */
+function additiveRuleForm(table, radius, states = 2) {
+  const size = 2 * radius + 1;
+  const offset = table[0];
+
+  // Coefficient of each cell = response to a single 1 in that position
+  const coefficients = [];
+  for (let j = 0; j < size; j++) {
+    coefficients.push((table[states ** (size - 1 - j)] - offset + states) % states);
+  }
+
+  for (let index = 0; index < table.length; index++) {
+    let expected = offset;
+    let rest = index;
+    for (let j = size - 1; j >= 0; j--) {
+      expected += coefficients[j] * (rest % states);
+      rest = Math.floor(rest / states);
+    }
+
+    if (expected % states !== table[index]) {
+      return null;
+    }
+  }
+
+  return { offset, coefficients };
+}
+
+/**
+ * Advance a periodic row of an additive rule by many generations at once
+ * One step is a cyclic convolution with the rule's kernel (multiplication by a
+ * polynomial in Z_k[x]/(x^n - 1)) plus the offset, so t steps are the t-th
+ * power of that map, built by repeated squaring in O(log t) convolutions.
+ * Over GF(2) squaring is just x^d -> x^2d (the cross terms cancel, as in
+ * Lucas's theorem), so binary rules cost O(n) per squaring. The all-ones row
+ * is an eigenvector (eigenvalue = kernel sum), which keeps affine offsets a
+ * single number.
+ *
+ * @param {Uint8Array} row - Current row (periodic)
+ * @param {{offset: number, coefficients: number[]}} form - Additive form (see additiveRuleForm)
+ * @param {number} radius - Neighborhood radius
+ * @param {number} states - Number of cell states k
+ * @param {number} steps - Generations to advance (a safe integer)
+ * @returns {Uint8Array} Row after the given number of generations
+ */
+function jumpAdditiveRow(row, form, radius, states, steps) {
+  const n = row.length;
+
+  // One step: next[x] = offset + sum over d of kernel[d] * row[(x + d) mod n]
+  let kernel = new Uint8Array(n);
+  form.coefficients.forEach((c, j) => {
+    const d = ((j - radius) % n + n) % n;
+    kernel[d] = (kernel[d] + c) % states;
+  });
+  let offset = form.offset;
+
+  // next[x] = offset + sum of kernel[d] * cells[(x + d) mod n]
+  const apply = (cells) => {
+    const out = new Uint32Array(n).fill(offset);
+    for (let d = 0; d < n; d++) {
+      const c = kernel[d];
+      if (c === 0) continue;
+      for (let x = 0; x < n; x++) {
+        out[x] += c * cells[(x + d) % n];
+      }
+    }
+    return Uint8Array.from(out, (value) => value % states);
+  };
+
+  // Kernel of the map applied twice
+  const square = () => {
+    const out = new Uint32Array(n);
+    for (let d1 = 0; d1 < n; d1++) {
+      if (kernel[d1] === 0) continue;
+      if (states === 2) {
+        out[(2 * d1) % n] ^= 1;
+        continue;
+      }
+      for (let d2 = 0; d2 < n; d2++) {
+        out[(d1 + d2) % n] += kernel[d1] * kernel[d2];
+      }
+    }
+    return Uint8Array.from(out, (value) => value % states);
+  };
+
+  let result = Uint8Array.from(row);
+  for (let t = steps; t > 0; t = Math.floor(t / 2)) {
+    if (t % 2 === 1) {
+      result = apply(result);
+    }
+    if (t > 1) {
+      // (K, b) twice is (K*K, b * sum(K) + b)
+      const eigenvalue = kernel.reduce((sum, c) => sum + c, 0) % states;
+      offset = (offset * eigenvalue + offset) % states;
+      kernel = square();
+    }
+  }
+
+  return result;
+}
+
 /**
  * Elementary Cellular Automata Engine
  *
  * Features:
  * - All 256 ECA rules with precomputed lookup table
- * - Toroidal wrapping for infinite grid simulation
+ * - Radius 2-3 and totalistic / outer-totalistic rule codes
+ * - Multi-state (k-color, up to 5) rules
+ * - Hybrid rules via a per-cell rule map
+ * - Selectable boundary conditions (toroidal wrapping by default)
  * - Center-outward infinite generation
  * - Circular buffer for generation history
  * - Optimized Uint8Array for efficient memory usage
@@ -75,9 +386,31 @@ class CAEngine {
     this.currentRow = new Uint8Array(width);
     this.nextRow = new Uint8Array(width);
 
+    // Neighborhood radius, rule encoding and cell state count
+    // (elementary rules by default)
+    this.radius = 1;
+    this.ruleEncoding = 'wolfram';
+    this.states = 2;
+    this.ruleCode = 0n;
+
+    // Hybrid rules: ruleMap[x] picks the rule for cell x (null = main rule
+    // everywhere). Zone 0 is the main rule, zone i >= 1 is zoneRules[i - 1];
+    // zoneLookups holds one lookup table per zone.
+    this.ruleMap = null;
+    this.zoneRules = [];
+    this.zoneLookups = [];
+
     // Precompute lookup table for current rule (performance optimization)
     this.ruleLookup = new Uint8Array(8);
-    this._buildRuleLookup();
+    this.setRule(rule);
+
+    // Boundary condition (toroidal wrapping by default)
+    this.boundary = 'periodic';
+    this.boundarySequence = new Uint8Array([0]);
+
+    // Seeded mulberry32 stream for random initial conditions
+    this.seed = normalizeSeed(Math.random() * 0x100000000);
+    this.randomState = this.seed;
 
     // Initialize with default pattern
     this.setInitialCondition('single');
@@ -85,27 +418,47 @@ class CAEngine {
 
   /**
    * Build lookup table for current rule
-   * Maps 3-bit neighborhood (0-7) to next state (0 or 1)
+   * Maps (2r+1)-cell neighborhood (as a base-k number) to next state
    * @private
    */
   _buildRuleLookup() {
-    for (let i = 0; i < 8; i++) {
-      this.ruleLookup[i] = (this.rule >> i) & 1;
-    }
+    this.ruleLookup = buildRuleTable(this.ruleCode, this.radius, this.ruleEncoding, this.states);
   }
 
   /**
-   * Get cell state at specific position with toroidal wrapping
+   * Get cell state at specific position, applying the boundary condition
+   * for coordinates outside the grid
    *
    * @param {Uint8Array} buffer - Buffer to read from
    * @param {number} x - X coordinate
-   * @returns {number} Cell state (0 or 1)
+   * @returns {number} Cell state (0 to k-1)
    * @private
    */
   _getCell(buffer, x) {
-    // Toroidal wrapping: wrap around edges
-    const wrappedX = ((x % this.width) + this.width) % this.width;
-    return buffer[wrappedX];
+    if (x >= 0 && x < this.width) {
+      return buffer[x];
+    }
+
+    switch (this.boundary) {
+      case 'fixed0':
+        return 0;
+
+      case 'fixed1':
+        return 1;
+
+      case 'reflective':
+        // Mirror across the edge: x = -1 reads cell 0, x = width reads cell width-1
+        return buffer[x < 0 ? -x - 1 : 2 * this.width - x - 1];
+
+      case 'driven':
+        return this.boundarySequence[this.currentGeneration % this.boundarySequence.length];
+
+      default: {
+        // Toroidal wrapping: wrap around edges
+        const wrappedX = ((x % this.width) + this.width) % this.width;
+        return buffer[wrappedX];
+      }
+    }
   }
 
   /**
@@ -134,15 +487,21 @@ class CAEngine {
       this.currentRow[i] = this.state[currentRowOffset + i];
     }
 
-    // Compute next generation
+    // Compute next generation with a sliding (2r+1)-cell window, read as a base-k number
+    const radius = this.radius;
+    const states = this.states;
+    const tableSize = this.ruleLookup.length;
+    const ruleMap = this.ruleMap;
+    let neighborhood = 0;
+    for (let dx = -radius; dx < radius; dx++) {
+      neighborhood = neighborhood * states + this._getCell(this.currentRow, dx);
+    }
+
     for (let x = 0; x < this.width; x++) {
-      const left = this._getCell(this.currentRow, x - 1);
-      const center = this._getCell(this.currentRow, x);
-      const right = this._getCell(this.currentRow, x + 1);
+      neighborhood = (neighborhood * states + this._getCell(this.currentRow, x + radius)) % tableSize;
 
-      // Use lookup table for fast rule application
-      const neighborhood = (left << 2) | (center << 1) | right;
-      this.nextRow[x] = this.ruleLookup[neighborhood];
+      // Use lookup table for fast rule application (the cell's zone table on hybrid rules)
+      this.nextRow[x] = ruleMap ? this.zoneLookups[ruleMap[x]][neighborhood] : this.ruleLookup[neighborhood];
     }
 
     // Update circular buffer with new generation
@@ -156,6 +515,47 @@ class CAEngine {
     }
   }
 
+  /**
+   * Whether jumpTo computes rows directly instead of stepping
+   * (additive rules with periodic edges and no rule map)
+   *
+   * @returns {boolean} True if jumps take O(log n) convolutions
+   */
+  canJumpDirectly() {
+    return this.boundary === 'periodic' && !this.ruleMap &&
+      additiveRuleForm(this.ruleLookup, this.radius, this.states) !== null;
+  }
+
+  /**
+   * Advance to a later generation: directly for additive rules (see
+   * jumpAdditiveRow), stepping only through the visible window; otherwise step by step
+   *
+   * @param {number} generation - Target generation (a safe integer, not before the current one)
+   * @returns {boolean} False if the target is invalid or in the past
+   */
+  jumpTo(generation) {
+    if (!Number.isSafeInteger(generation) || generation < this.currentGeneration) {
+      return false;
+    }
+
+    const first = generation - this.height + 1;
+    if (first > this.currentGeneration && this.canJumpDirectly()) {
+      const offset = (this.currentGeneration % this.height) * this.width;
+      const form = additiveRuleForm(this.ruleLookup, this.radius, this.states);
+      const row = jumpAdditiveRow(this.state.subarray(offset, offset + this.width), form,
+        this.radius, this.states, first - this.currentGeneration);
+
+      this.currentGeneration = first;
+      this.state.set(row, (first % this.height) * this.width);
+    }
+
+    while (this.currentGeneration < generation) {
+      this.step();
+    }
+
+    return true;
+  }
+
   /**
    * Get current state buffer
    *
@@ -175,55 +575,151 @@ class CAEngine {
   }
 
   /**
-   * Set initial condition for the CA
+   * Build the first row for an initial-condition pattern
    *
-   * @param {string|Uint8Array} pattern - Pattern type or custom initial state
-   *   - "single": Single alive cell in center
-   *   - "random": Random noise
-   *   - Uint8Array: Custom pattern (must be width long)
-   * @param {Object} options - Additional options
-   * @param {number} options.density - Density for random pattern (0.0-1.0, default 0.5)
+   * @param {string|Uint8Array} pattern - Pattern name or custom row (see setInitialCondition)
+   * @param {Object} options - Pattern parameters (see setInitialCondition)
+   * @returns {Uint8Array} Initial row, width cells long
+   * @private
    */
-  setInitialCondition(pattern, options = {}) {
-    const { density = 0.5 } = options;
-
-    // Clear entire state buffer
-    this.state.fill(0);
+  _buildInitialRow(pattern, options) {
+    const width = this.width;
+    const row = new Uint8Array(width);
+    const centerX = Math.floor(width / 2);
 
-    // Reset generation counter
-    this.currentGeneration = 0;
-
-    // Set initial row (row 0)
-    const initialRow = new Uint8Array(this.width);
+    // Live cells of random patterns take a random non-zero state
+    const randomCell = (density) =>
+      this._random() < density ? 1 + Math.floor(this._random() * (this.states - 1)) : 0;
 
     if (pattern === 'single') {
       // Single alive cell in the center
-      const centerX = Math.floor(this.width / 2);
-      initialRow[centerX] = 1;
+      row[centerX] = 1;
 
     } else if (pattern === 'random') {
       // Random noise with specified density
-      for (let x = 0; x < this.width; x++) {
-        initialRow[x] = Math.random() < density ? 1 : 0;
+      const { density = 0.5 } = options;
+      for (let x = 0; x < width; x++) {
+        row[x] = randomCell(density);
+      }
+
+    } else if (pattern === 'points') {
+      // Evenly spaced points, each centered in its share of the row
+      const count = Math.max(1, Math.min(width, Math.floor(options.count || 2)));
+      for (let i = 0; i < count; i++) {
+        row[Math.floor((i + 0.5) * width / count)] = 1;
+      }
+
+    } else if (pattern === 'block') {
+      // Centered block of live cells
+      const blockWidth = Math.max(1, Math.min(width, Math.floor(options.blockWidth || 10)));
+      const start = centerX - Math.floor(blockWidth / 2);
+      row.fill(1, start, start + blockWidth);
+
+    } else if (pattern === 'tile') {
+      // Periodic tile, anchored at the left edge
+      const digits = String(options.tile || '110').replace(/[^0-9]/g, '');
+      const tile = (digits || '1').split('').map((d) => Math.min(this.states - 1, Number(d)));
+      for (let x = 0; x < width; x++) {
+        row[x] = tile[x % tile.length];
+      }
+
+    } else if (pattern === 'gradient') {
+      // Density ramps linearly from left edge to right edge
+      const { densityStart = 0, densityEnd = 1 } = options;
+      for (let x = 0; x < width; x++) {
+        const t = width > 1 ? x / (width - 1) : 0;
+        row[x] = randomCell(densityStart + (densityEnd - densityStart) * t);
+      }
+
+    } else if (pattern === 'window') {
+      // Random noise in a central window, quiescent elsewhere
+      const { density = 0.5 } = options;
+      const windowWidth = Math.max(1, Math.min(width, Math.floor(options.windowWidth || width / 4)));
+      const start = centerX - Math.floor(windowWidth / 2);
+      for (let x = start; x < start + windowWidth; x++) {
+        row[x] = randomCell(density);
+      }
+
+    } else if (pattern === 'text') {
+      // ASCII bits, 8 per character (most significant first), centered and clipped to the row
+      const text = options.text === undefined ? 'CA' : String(options.text);
+      const bits = [];
+      for (const char of text) {
+        const code = char.charCodeAt(0) & 0xFF;
+        for (let b = 7; b >= 0; b--) {
+          bits.push((code >> b) & 1);
+        }
+      }
+      const start = centerX - Math.floor(bits.length / 2);
+      for (let i = 0; i < bits.length; i++) {
+        if (start + i >= 0 && start + i < width) {
+          row[start + i] = bits[i];
+        }
       }
 
     } else if (pattern instanceof Uint8Array) {
       // Custom pattern
-      if (pattern.length !== this.width) {
-        console.warn(`Custom pattern length (${pattern.length}) does not match width (${this.width}). Truncating or padding.`);
+      if (pattern.length !== width) {
+        console.warn(`Custom pattern length (${pattern.length}) does not match width (${width}). Truncating or padding.`);
       }
 
-      const copyLength = Math.min(pattern.length, this.width);
-      for (let i = 0; i < copyLength; i++) {
-        initialRow[i] = pattern[i];
-      }
+      row.set(pattern.subarray(0, Math.min(pattern.length, width)));
 
     } else {
       console.warn(`Unknown pattern type: ${pattern}. Using single cell.`);
-      const centerX = Math.floor(this.width / 2);
-      initialRow[centerX] = 1;
+      row[centerX] = 1;
+    }
+
+    return row;
+  }
+
+  /**
+   * Set initial condition for the CA
+   *
+   * @param {string|Uint8Array} pattern - One of INITIAL_PATTERNS or a custom initial state
+   *   - "single": Single alive cell in center
+   *   - "random": Random noise
+   *   - "points": N evenly spaced live cells
+   *   - "block": Centered block of live cells
+   *   - "tile": Bitstring (e.g. "110") repeated across the row
+   *   - "gradient": Random noise whose density ramps across the row
+   *   - "window": Random noise confined to a central window
+   *   - "text": ASCII text as bits (8 per character, most significant first), centered
+   *   - Uint8Array: Custom pattern (must be width long)
+   * @param {Object} options - Additional options
+   * @param {number} options.density - Density for random / window patterns (0.0-1.0, default 0.5)
+   * @param {number} options.count - Number of points (default 2)
+   * @param {number} options.blockWidth - Block width in cells (default 10)
+   * @param {string} options.tile - Tile digits for "tile" (default "110"); digits above k-1 are clamped
+   * @param {number} options.densityStart - Gradient density at the left edge (default 0)
+   * @param {number} options.densityEnd - Gradient density at the right edge (default 1)
+   * @param {number} options.windowWidth - Noise window width in cells (default a quarter of the row)
+   * @param {string} options.text - Text for "text" (default "CA")
+   * @param {number|string} options.seed - PRNG seed for the run. A random pattern (random,
+   *   gradient, window) without a seed draws a fresh one; read it back with getSeed() to
+   *   recreate the run.
+   */
+  setInitialCondition(pattern, options = {}) {
+    const { seed } = options;
+
+    if (seed !== undefined) {
+      this.seed = normalizeSeed(seed);
+    } else if (RANDOM_PATTERNS.includes(pattern)) {
+      this.seed = normalizeSeed(Math.random() * 0x100000000);
     }
 
+    // Clear entire state buffer
+    this.state.fill(0);
+
+    // Reset generation counter
+    this.currentGeneration = 0;
+
+    // Every run replays the same pattern and noise for the same seed
+    this.randomState = this.seed;
+
+    // Set initial row (row 0)
+    const initialRow = this._buildInitialRow(pattern, options);
+
     // Copy initial row to state buffer (row 0)
     for (let i = 0; i < this.width; i++) {
       this.state[i] = initialRow[i];
@@ -235,14 +731,104 @@ class CAEngine {
     }
   }
 
+  /**
+   * Next number in [0, 1) from the seeded PRNG (mulberry32)
+   *
+   * @returns {number} Uniform random number
+   * @private
+   */
+  _random() {
+    let t = (this.randomState = (this.randomState + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Set a per-cell rule map (hybrid CA)
+   * Cell x is updated by zone map[x]: zone 0 is the main rule (see setRule),
+   * zone i >= 1 is rules[i - 1]. Zone rules share the main rule's radius,
+   * encoding and state count.
+   *
+   * @param {Uint8Array|number[]|null} map - Zone index per cell (width long), or null to clear
+   * @param {Array<number|bigint|string>} rules - Rule codes for zones 1, 2, ... (up to 255)
+   */
+  setRuleMap(map, rules = []) {
+    if (map === null) {
+      this.clearRuleMap();
+      return;
+    }
+
+    if (map.length !== this.width) {
+      console.warn(`Rule map length (${map.length}) does not match width (${this.width}). Truncating or padding.`);
+    }
+
+    this.zoneRules = Array.from(rules).slice(0, 255).map((rule) => parseRuleCode(rule));
+    this.ruleMap = new Uint8Array(this.width);
+    for (let x = 0; x < Math.min(map.length, this.width); x++) {
+      // Unknown zones fall back to the main rule
+      this.ruleMap[x] = map[x] <= this.zoneRules.length ? map[x] : 0;
+    }
+
+    this._buildZoneLookups();
+  }
+
+  /**
+   * Remove the rule map so every cell uses the main rule
+   */
+  clearRuleMap() {
+    this.ruleMap = null;
+    this.zoneRules = [];
+    this._buildZoneLookups();
+  }
+
+  /**
+   * Build one lookup table per rule-map zone for the current rule space
+   * Zone rules that are invalid or out of range fall back to the main rule.
+   * @private
+   */
+  _buildZoneLookups() {
+    const count = ruleCodeCount(this.radius, this.ruleEncoding, this.states);
+
+    this.zoneLookups = [this.ruleLookup];
+    for (const code of this.zoneRules) {
+      if (code === null || code < 0n || code >= count) {
+        console.warn(`Zone rule ${code} is not valid for this rule space. Using the main rule.`);
+        this.zoneLookups.push(this.ruleLookup);
+      } else {
+        this.zoneLookups.push(buildRuleTable(code, this.radius, this.ruleEncoding, this.states));
+      }
+    }
+  }
+
+  /**
+   * Set the PRNG seed and restart the random stream
+   *
+   * @param {number|string} seed - Seed (strings are hashed)
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.randomState = this.seed;
+  }
+
+  /**
+   * Get the PRNG seed
+   *
+   * @returns {number} Unsigned 32-bit seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
   /**
    * Reset the CA with optional new rule
    *
-   * @param {number} [newRule] - New rule number (0-255), or keep current rule if undefined
+   * @param {number|bigint|string} [newRule] - New rule code, or keep current rule if undefined
+   * @param {Object} [ruleOptions] - Radius, encoding and states for the new rule (see setRule)
    */
-  reset(newRule) {
+  reset(newRule, ruleOptions = {}) {
     if (newRule !== undefined) {
-      this.setRule(newRule);
+      this.setRule(newRule, ruleOptions);
     }
 
     // Reset to initial condition (single cell by default)
@@ -251,54 +837,819 @@ class CAEngine {
 
   /**
    * Change the active rule
+   * With no options this is an elementary rule (radius 1, Wolfram code 0-255).
    *
-   * @param {number} rule - New rule number (0-255)
+   * @param {number|bigint|string} rule - Rule code; large codes as BigInt or hex string ("0x...")
+   * @param {Object} options - Rule options
+   * @param {number} options.radius - Neighborhood radius (1-3, default 1)
+   * @param {string} options.encoding - One of RULE_ENCODINGS (default 'wolfram')
+   * @param {number} options.states - Number of cell states k (2-5, default 2)
    */
-  setRule(rule) {
-    if (rule < 0 || rule > 255) {
-      console.warn(`Invalid rule number: ${rule}. Must be 0-255. Clamping.`);
-      rule = Math.max(0, Math.min(255, rule));
+  setRule(rule, options = {}) {
+    let { radius = 1, encoding = 'wolfram', states = 2 } = options;
+
+    if (!Number.isInteger(radius) || radius < 1 || radius > MAX_RULE_RADIUS) {
+      console.warn(`Invalid rule radius: ${radius}. Must be 1-${MAX_RULE_RADIUS}. Using 1.`);
+      radius = 1;
     }
 
-    this.rule = rule;
+    if (!RULE_ENCODINGS.includes(encoding)) {
+      console.warn(`Unknown rule encoding: ${encoding}. Using wolfram.`);
+      encoding = 'wolfram';
+    }
+
+    if (!Number.isInteger(states) || states < 2 || states > MAX_CELL_STATES) {
+      console.warn(`Invalid state count: ${states}. Must be 2-${MAX_CELL_STATES}. Using 2.`);
+      states = 2;
+    }
+
+    let code = parseRuleCode(rule);
+    const maxCode = ruleCodeCount(radius, encoding, states) - 1n;
+
+    if (code === null) {
+      console.warn(`Invalid rule code: ${rule}. Using 0.`);
+      code = 0n;
+    } else if (code < 0n || code > maxCode) {
+      console.warn(`Invalid rule number: ${rule}. Must be 0-${maxCode}. Clamping.`);
+      code = code < 0n ? 0n : maxCode;
+    }
+
+    this.radius = radius;
+    this.ruleEncoding = encoding;
+    this.states = states;
+    this.ruleCode = code;
+    this.rule = code <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(code) : code;
     this._buildRuleLookup();
+    this._buildZoneLookups();
   }
 
   /**
    * Get current rule number
    *
-   * @returns {number} Current rule (0-255)
+   * @returns {number|bigint} Current rule (a BigInt when too large for a number)
    */
   getRule() {
     return this.rule;
   }
 
   /**
-   * Generate multiple generations at once
-   * Useful for initial population of the grid
+   * Get the full rule specification
    *
-   * @param {number} steps - Number of generations to compute
+   * @returns {{rule: number|bigint, radius: number, encoding: string, states: number}}
+   *   Rule code, radius, encoding and number of cell states
    */
-  generate(steps) {
-    for (let i = 0; i < steps; i++) {
-      this.step();
-    }
+  getRuleSpec() {
+    return {
+      rule: this.rule,
+      radius: this.radius,
+      encoding: this.ruleEncoding,
+      states: this.states
+    };
   }
-}
-
-// ============================================================================
-// WORKER MESSAGE HANDLING
-// ============================================================================
 
-let engine = null;
+  /**
+   * Get the number of cell states (colors)
+   *
+   * @returns {number} k (2 for binary rules)
+   */
+  getStateCount() {
+    return this.states;
+  }
 
-/**
- * Main message handler for worker
+  /**
+   * Change the boundary condition
+   *
+   * @param {string} mode - One of BOUNDARY_MODES ('periodic', 'fixed0', 'fixed1', 'reflective', 'driven')
+   * @param {Object} options - Additional options
+   * @param {string|number[]} options.sequence - Bit sequence for 'driven' edges (e.g. "0110"),
+   *   cycled one bit per generation
+   */
+  setBoundary(mode, options = {}) {
+    if (!BOUNDARY_MODES.includes(mode)) {
+      console.warn(`Unknown boundary mode: ${mode}. Using periodic.`);
+      mode = 'periodic';
+    }
+
+    this.boundary = mode;
+
+    if (options.sequence !== undefined) {
+      this.boundarySequence = parseBoundarySequence(options.sequence);
+    }
+  }
+
+  /**
+   * Get the active boundary condition
+   *
+   * @returns {{mode: string, sequence: string}} Boundary mode and driven bit sequence
+   */
+  getBoundary() {
+    return {
+      mode: this.boundary,
+      sequence: Array.from(this.boundarySequence).join('')
+    };
+  }
+
+
+  /**
+   * Generate multiple generations at once
+   * Useful for initial population of the grid
+   *
+   * @param {number} steps - Number of generations to compute
+   */
+  generate(steps) {
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+  }
+}
+
+// ============================================================================
+// INLINED LIFE-LIKE ENGINE (from life-engine.js)
+// ============================================================================
+
+/**
+ * Well-known Life-like rules
+ * @constant {Object<string, string>}
+ */
+const LIFE_PRESETS = {
+  life: 'B3/S23',
+  highlife: 'B36/S23',
+  seeds: 'B2/S',
+  daynight: 'B3678/S34678'
+};
+
+/**
+ * Parse a Life-like rulestring
+ * Accepts B/S notation in either order ("B3/S23", "b3s23", "S23/B3") and the
+ * older S/B digit notation ("23/3").
+ *
+ * @param {string} text - Rulestring
+ * @returns {{birth: Uint8Array, survive: Uint8Array}|null} Flags per neighbor count (0-8),
+ *   or null if the rulestring is invalid
+ */
+function parseLifeRule(text) {
+  const rule = String(text).trim().toUpperCase().replace(/\s+/g, '');
+  const birth = new Uint8Array(9);
+  const survive = new Uint8Array(9);
+
+  let birthDigits;
+  let surviveDigits;
+  const tagged = /^(?:B([0-8]*)\/?S([0-8]*)|S([0-8]*)\/?B([0-8]*))$/.exec(rule);
+  const legacy = /^([0-8]*)\/([0-8]*)$/.exec(rule);
+  if (tagged) {
+    birthDigits = tagged[1] !== undefined ? tagged[1] : tagged[4];
+    surviveDigits = tagged[2] !== undefined ? tagged[2] : tagged[3];
+  } else if (legacy) {
+    surviveDigits = legacy[1];
+    birthDigits = legacy[2];
+  } else {
+    return null;
+  }
+
+  for (const digit of birthDigits) {
+    birth[Number(digit)] = 1;
+  }
+  for (const digit of surviveDigits) {
+    survive[Number(digit)] = 1;
+  }
+
+  return { birth, survive };
+}
+
+/**
+ * Canonical B/S rulestring
+ *
+ * @param {{birth: Uint8Array, survive: Uint8Array}} rule - Parsed rule
+ * @returns {string} Rulestring such as "B3/S23"
+ */
+function formatLifeRule(rule) {
+  const digits = (flags) => Array.from(flags, (flag, count) => (flag ? count : '')).join('');
+  return `B${digits(rule.birth)}/S${digits(rule.survive)}`;
+}
+
+/**
+ * LifeEngine - Life-like cellular automaton on a toroidal grid
+ */
+class LifeEngine {
+  /**
+   * Create a new Life-like engine
+   *
+   * @param {string} rule - B/S rulestring (e.g. "B3/S23")
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   */
+  constructor(rule, width, height) {
+    this.width = width;
+    this.height = height;
+    this.currentGeneration = 0;
+
+    // Current world and the buffer the next generation is written into
+    this.state = new Uint8Array(width * height);
+    this.nextState = new Uint8Array(width * height);
+
+    // ruleLookup[alive * 9 + neighbors] = next state
+    this.ruleLookup = new Uint8Array(18);
+    this.rule = 'B3/S23';
+    if (!this.setRule(rule)) {
+      this.setRule(LIFE_PRESETS.life);
+    }
+
+    // Seeded mulberry32 stream for random initial conditions
+    this.seed = normalizeSeed(Math.random() * 0x100000000);
+    this.randomState = this.seed;
+  }
+
+  /**
+   * Change the rule (the world is kept)
+   *
+   * @param {string} rule - B/S rulestring
+   * @returns {boolean} False if the rulestring is invalid (the rule is unchanged)
+   */
+  setRule(rule) {
+    const parsed = parseLifeRule(rule);
+    if (!parsed) {
+      console.warn(`Invalid Life-like rule: ${rule}`);
+      return false;
+    }
+
+    for (let count = 0; count <= 8; count++) {
+      this.ruleLookup[count] = parsed.birth[count];
+      this.ruleLookup[9 + count] = parsed.survive[count];
+    }
+    this.rule = formatLifeRule(parsed);
+    return true;
+  }
+
+  /**
+   * Get the current rule
+   *
+   * @returns {string} Canonical B/S rulestring
+   */
+  getRule() {
+    return this.rule;
+  }
+
+  /**
+   * Compute the next generation (edges wrap around)
+   */
+  step() {
+    const width = this.width;
+    const height = this.height;
+    const state = this.state;
+    const next = this.nextState;
+    const lookup = this.ruleLookup;
+
+    for (let y = 0; y < height; y++) {
+      const up = ((y + height - 1) % height) * width;
+      const row = y * width;
+      const down = ((y + 1) % height) * width;
+
+      for (let x = 0; x < width; x++) {
+        const left = x === 0 ? width - 1 : x - 1;
+        const right = x === width - 1 ? 0 : x + 1;
+        const neighbors =
+          state[up + left] + state[up + x] + state[up + right] +
+          state[row + left] + state[row + right] +
+          state[down + left] + state[down + x] + state[down + right];
+
+        next[row + x] = lookup[state[row + x] * 9 + neighbors];
+      }
+    }
+
+    this.nextState = state;
+    this.state = next;
+    this.currentGeneration++;
+  }
+
+  /**
+   * Compute several generations
+   *
+   * @param {number} steps - Number of generations to compute
+   */
+  generate(steps) {
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+  }
+
+  /**
+   * Get the current world
+   *
+   * @returns {Uint8Array} Cell states, row by row (read-only reference)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get current generation number
+   *
+   * @returns {number} Generations since the initial condition
+   */
+  getGeneration() {
+    return this.currentGeneration;
+  }
+
+  /**
+   * Number of live cells
+   *
+   * @returns {number} Population of the current world
+   */
+  getPopulation() {
+    let population = 0;
+    for (let i = 0; i < this.state.length; i++) {
+      population += this.state[i];
+    }
+    return population;
+  }
+
+  /**
+   * Get the number of cell states
+   *
+   * @returns {number} Always 2 (dead or alive)
+   */
+  getStateCount() {
+    return 2;
+  }
+
+  /**
+   * Set one cell (e.g. drawing with the mouse)
+   *
+   * @param {number} x - Column (wrapped onto the torus)
+   * @param {number} y - Row (wrapped onto the torus)
+   * @param {number} value - 0 (dead) or 1 (alive)
+   */
+  setCell(x, y, value) {
+    const wrappedX = ((x % this.width) + this.width) % this.width;
+    const wrappedY = ((y % this.height) + this.height) % this.height;
+    this.state[wrappedY * this.width + wrappedX] = value ? 1 : 0;
+  }
+
+  /**
+   * Get one cell
+   *
+   * @param {number} x - Column (wrapped onto the torus)
+   * @param {number} y - Row (wrapped onto the torus)
+   * @returns {number} 0 (dead) or 1 (alive)
+   */
+  getCell(x, y) {
+    const wrappedX = ((x % this.width) + this.width) % this.width;
+    const wrappedY = ((y % this.height) + this.height) % this.height;
+    return this.state[wrappedY * this.width + wrappedX];
+  }
+
+  /**
+   * Start a new world from generation 0
+   *
+   * @param {string|Uint8Array} pattern - Pattern name or a custom world (width * height cells)
+   *   - "single": an R-pentomino in the center (a single cell would just die)
+   *   - "random": random noise
+   *   - "block": centered square of live cells
+   *   - "gradient": random noise whose density ramps from left to right
+   *   - "window": random noise in a central square
+   *   Other 1D patterns (points, tile, text) fall back to random noise.
+   * @param {Object} [options] - Pattern parameters, as for CAEngine.setInitialCondition
+   * @param {number} [options.density=0.5] - Density for random / window patterns
+   * @param {number} [options.blockWidth=10] - Block side in cells
+   * @param {number} [options.densityStart=0] - Gradient density at the left edge
+   * @param {number} [options.densityEnd=1] - Gradient density at the right edge
+   * @param {number} [options.windowWidth] - Noise square side (default a quarter of the width)
+   * @param {number|string} [options.seed] - PRNG seed (a random pattern without one draws a fresh seed)
+   */
+  setInitialCondition(pattern, options = {}) {
+    const { seed } = options;
+    if (seed !== undefined) {
+      this.seed = normalizeSeed(seed);
+    } else if (typeof pattern === 'string' && pattern !== 'single' && pattern !== 'block') {
+      this.seed = normalizeSeed(Math.random() * 0x100000000);
+    }
+    this.randomState = this.seed;
+    this.currentGeneration = 0;
+
+    const width = this.width;
+    const height = this.height;
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
+    const world = this.state;
+    world.fill(0);
+
+    // Square of cells [x0, x0 + side) x [y0, y0 + side), clipped to the grid
+    const fillSquare = (side, cell) => {
+      const x0 = centerX - Math.floor(side / 2);
+      const y0 = centerY - Math.floor(side / 2);
+      for (let y = Math.max(0, y0); y < Math.min(height, y0 + side); y++) {
+        for (let x = Math.max(0, x0); x < Math.min(width, x0 + side); x++) {
+          world[y * width + x] = cell(x);
+        }
+      }
+    };
+
+    if (pattern instanceof Uint8Array) {
+      // Custom world
+      world.set(pattern.subarray(0, Math.min(pattern.length, world.length)));
+
+    } else if (pattern === 'single') {
+      // R-pentomino: .XX / XX. / .X.
+      for (const [dx, dy] of [[0, -1], [1, -1], [-1, 0], [0, 0], [0, 1]]) {
+        this.setCell(centerX + dx, centerY + dy, 1);
+      }
+
+    } else if (pattern === 'block') {
+      fillSquare(Math.max(1, Math.floor(options.blockWidth || 10)), () => 1);
+
+    } else if (pattern === 'gradient') {
+      const { densityStart = 0, densityEnd = 1 } = options;
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const t = width > 1 ? x / (width - 1) : 0;
+          world[y * width + x] = this._random() < densityStart + (densityEnd - densityStart) * t ? 1 : 0;
+        }
+      }
+
+    } else if (pattern === 'window') {
+      const { density = 0.5 } = options;
+      fillSquare(Math.max(1, Math.floor(options.windowWidth || width / 4)), () => (this._random() < density ? 1 : 0));
+
+    } else {
+      if (pattern !== 'random') {
+        console.warn(`Pattern ${pattern} has no 2D version. Using random noise.`);
+      }
+      const { density = 0.5 } = options;
+      for (let i = 0; i < world.length; i++) {
+        world[i] = this._random() < density ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Set the PRNG seed
+   *
+   * @param {number|string} seed - Seed (strings are hashed)
+   */
+  setSeed(seed) {
+    this.seed = normalizeSeed(seed);
+    this.randomState = this.seed;
+  }
+
+  /**
+   * Get the PRNG seed
+   *
+   * @returns {number} Unsigned 32-bit seed
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Reset to the default pattern, optionally with a new rule
+   *
+   * @param {string} [newRule] - New rulestring, or keep the current rule if undefined
+   */
+  reset(newRule) {
+    if (newRule !== undefined) {
+      this.setRule(newRule);
+    }
+    this.setInitialCondition('single');
+  }
+
+  /**
+   * Next number in [0, 1) from the seeded PRNG (mulberry32)
+   *
+   * @returns {number} Uniform random number
+   * @private
+   */
+  _random() {
+    let t = (this.randomState = (this.randomState + 0x6D2B79F5) | 0);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+// ============================================================================
+// INLINED BASIN ANALYSIS (from basins.js)
+// ============================================================================
+
+/**
+ * Most states (k^n) enumerated: binary rings up to 22 cells
+ * @constant {number}
+ */
+const MAX_BASIN_STATES = 1 << 22;
+
+/**
+ * Number of states of a ring
+ *
+ * @param {number} width - Ring width in cells
+ * @param {number} [states=2] - Number of cell states k
+ * @returns {number} k^width
+ */
+function basinStateCount(width, states = 2) {
+  return states ** width;
+}
+
+/**
+ * Build the state-transition graph of an engine's rule and find its basins
+ *
+ * @param {CAEngine} engine - Engine of the ring's width (at least 2 rows high), set up with the
+ *   rule and boundary to analyze; its run is overwritten
+ * @returns {Object|null} Graph, or null if the ring has more than MAX_BASIN_STATES states
+ *   - width, states, stateCount: ring width, cell states k, k^width
+ *   - next: Uint32Array successor of each state
+ *   - depth: Uint32Array transient length of each state (0 on the attractor)
+ *   - basin: Uint32Array index into attractors of each state's basin
+ *   - attractors: one per basin, largest basin first:
+ *     { state (smallest state on the cycle), period, basinSize, maxTransient, gardenOfEden, group }
+ *   - groups: basins equal up to rotation, largest first:
+ *     { attractor (index of a representative), count, period, basinSize, maxTransient }
+ *   - gardenOfEden, maxTransient: totals over the whole graph
+ */
+function analyzeBasins(engine) {
+  const width = engine.width;
+  const states = engine.getStateCount();
+  const stateCount = basinStateCount(width, states);
+  if (stateCount > MAX_BASIN_STATES) {
+    return null;
+  }
+
+  // Successor of every state, one engine step each
+  const next = new Uint32Array(stateCount);
+  const row = new Uint8Array(width);
+  for (let s = 0; s < stateCount; s++) {
+    for (let x = width - 1, rest = s; x >= 0; x--, rest = Math.floor(rest / states)) {
+      row[x] = rest % states;
+    }
+    engine.setInitialCondition(row);
+    engine.step();
+
+    const state = engine.getState();
+    const offset = (1 % engine.height) * width;
+    let successor = 0;
+    for (let x = 0; x < width; x++) {
+      successor = successor * states + state[offset + x];
+    }
+    next[s] = successor;
+  }
+
+  // Walk from each unvisited state until the walk meets a known state or closes a cycle
+  const UNSEEN = 0xFFFFFFFF;
+  const basin = new Uint32Array(stateCount).fill(UNSEEN);
+  const depth = new Uint32Array(stateCount);
+  const onPath = new Uint8Array(stateCount);
+  const hasPredecessor = new Uint8Array(stateCount);
+  const attractors = [];
+  const path = [];
+
+  for (let s = 0; s < stateCount; s++) {
+    hasPredecessor[next[s]] = 1;
+  }
+
+  for (let s = 0; s < stateCount; s++) {
+    if (basin[s] !== UNSEEN) continue;
+
+    path.length = 0;
+    let t = s;
+    while (basin[t] === UNSEEN && !onPath[t]) {
+      onPath[t] = 1;
+      path.push(t);
+      t = next[t];
+    }
+
+    let end = path.length;
+    if (onPath[t]) {
+      // A new attractor: the path's tail from t on is the cycle
+      const index = attractors.length;
+      const start = path.indexOf(t);
+      let smallest = t;
+      for (let i = start; i < path.length; i++) {
+        basin[path[i]] = index;
+        smallest = Math.min(smallest, path[i]);
+      }
+      attractors.push({ state: smallest, period: path.length - start, basinSize: 0, maxTransient: 0, gardenOfEden: 0 });
+      end = start;
+    }
+
+    // Transient states take the basin of the state they lead into, one step further out
+    for (let i = end - 1; i >= 0; i--) {
+      const u = path[i];
+      basin[u] = basin[next[u]];
+      depth[u] = depth[next[u]] + 1;
+    }
+    for (const u of path) {
+      onPath[u] = 0;
+    }
+  }
+
+  let gardenOfEden = 0;
+  let maxTransient = 0;
+  for (let s = 0; s < stateCount; s++) {
+    const attractor = attractors[basin[s]];
+    attractor.basinSize++;
+    attractor.maxTransient = Math.max(attractor.maxTransient, depth[s]);
+    if (!hasPredecessor[s]) {
+      attractor.gardenOfEden++;
+      gardenOfEden++;
+    }
+    maxTransient = Math.max(maxTransient, depth[s]);
+  }
+
+  // Largest basins first (state indices follow the new order)
+  const order = attractors.map((_, i) => i).sort((a, b) =>
+    attractors[b].basinSize - attractors[a].basinSize || attractors[a].state - attractors[b].state);
+  const rank = new Uint32Array(attractors.length);
+  order.forEach((i, r) => { rank[i] = r; });
+  for (let s = 0; s < stateCount; s++) {
+    basin[s] = rank[basin[s]];
+  }
+  const sorted = order.map((i) => attractors[i]);
+
+  const groups = groupBasins(sorted, next, width, states, engine.getBoundary().mode === 'periodic');
+
+  return {
+    width,
+    states,
+    stateCount,
+    next,
+    depth,
+    basin,
+    attractors: sorted,
+    groups,
+    gardenOfEden,
+    maxTransient
+  };
+}
+
+/**
+ * Group basins that are rotations of each other (periodic rings only)
+ * Rotating a state rotates its whole basin, so the smallest rotation of any
+ * state on an attractor identifies the group.
+ *
+ * @param {Object[]} attractors - Attractors, largest basin first (group is set on each)
+ * @param {Uint32Array} next - Successor of each state
+ * @param {number} width - Ring width
+ * @param {number} states - Number of cell states k
+ * @param {boolean} periodic - Whether rotations are symmetries of the rule
+ * @returns {Object[]} Groups, largest basin first
+ * @private
+ */
+function groupBasins(attractors, next, width, states, periodic) {
+  const groups = [];
+  const byKey = new Map();
+  const high = states ** (width - 1);
+
+  attractors.forEach((attractor, index) => {
+    let key = index;
+    if (periodic) {
+      // Smallest rotation over the cycle's states
+      key = Infinity;
+      let s = attractor.state;
+      for (let i = 0; i < attractor.period; i++) {
+        let rotated = s;
+        for (let r = 0; r < width; r++) {
+          key = Math.min(key, rotated);
+          rotated = (rotated % high) * states + Math.floor(rotated / high);
+        }
+        s = next[s];
+      }
+    }
+
+    if (!byKey.has(key)) {
+      byKey.set(key, groups.length);
+      groups.push({
+        attractor: index,
+        count: 0,
+        period: attractor.period,
+        basinSize: attractor.basinSize,
+        maxTransient: attractor.maxTransient
+      });
+    }
+    attractor.group = byKey.get(key);
+    groups[attractor.group].count++;
+  });
+
+  return groups;
+}
+
+// ============================================================================
+// INLINED ATTRACTOR CENSUS (from census.js)
+// ============================================================================
+
+/**
+ * Widest ring sampled (rows are keyed as exact integers)
+ * @constant {number}
+ */
+const CENSUS_MAX_WIDTH = 32;
+
+/**
+ * Sample the attractors of one rule on a ring
+ *
+ * @param {number} rule - Elementary rule (0-255)
+ * @param {number} width - Ring width (1 to CENSUS_MAX_WIDTH)
+ * @param {Object} [options] - Sampling settings
+ * @param {number} [options.samples=32] - Random seeds run
+ * @param {number} [options.maxGenerations=10000] - Generations a seed may run before it is
+ *   given up on (counted as unresolved)
+ * @param {number} [options.seed=1] - Seed of the first run; run i uses seed + i
+ * @returns {{rule: number, width: number, samples: number, cycles: number, longestPeriod: number,
+ *   meanTransient: number|null, unresolved: number}} Distinct cycles reached, longest period and
+ *   mean transient length (null if no seed reached a cycle)
+ */
+function censusRule(rule, width, options = {}) {
+  const { samples = 32, maxGenerations = 10000, seed = 1 } = options;
+
+  const engine = new CAEngine(0, width, 2);
+  engine.setRule(rule);
+
+  const cycles = new Set();
+  let longestPeriod = 0;
+  let transientSum = 0;
+  let resolved = 0;
+  let unresolved = 0;
+
+  for (let i = 0; i < samples; i++) {
+    engine.setInitialCondition('random', { density: 0.5, seed: seed + i });
+
+    // Generation each row was first seen, and the rows in order
+    const seen = new Map();
+    const history = [];
+    let key = censusRowKey(engine);
+
+    while (!seen.has(key) && history.length <= maxGenerations) {
+      seen.set(key, history.length);
+      history.push(key);
+      engine.step();
+      key = censusRowKey(engine);
+    }
+
+    if (!seen.has(key)) {
+      unresolved++;
+      continue;
+    }
+
+    const transient = seen.get(key);
+    const period = history.length - transient;
+    let smallest = key;
+    for (let g = transient; g < history.length; g++) {
+      smallest = Math.min(smallest, history[g]);
+    }
+
+    cycles.add(smallest);
+    longestPeriod = Math.max(longestPeriod, period);
+    transientSum += transient;
+    resolved++;
+  }
+
+  return {
+    rule,
+    width,
+    samples,
+    cycles: cycles.size,
+    longestPeriod,
+    meanTransient: resolved > 0 ? transientSum / resolved : null,
+    unresolved
+  };
+}
+
+/**
+ * Current row of an engine as a binary number (cell 0 most significant)
+ *
+ * @param {CAEngine} engine - Engine of an elementary rule
+ * @returns {number} Row key
+ * @private
+ */
+function censusRowKey(engine) {
+  const state = engine.getState();
+  const offset = (engine.getGeneration() % engine.height) * engine.width;
+  let key = 0;
+  for (let x = 0; x < engine.width; x++) {
+    key = key * 2 + state[offset + x];
+  }
+  return key;
+}
+
+// ============================================================================
+// WORKER MESSAGE HANDLING
+// ============================================================================
+
+let engine = null;
+
+/**
+ * Messages that need a 1D engine
+ * @constant {string[]}
+ */
+const ECA_ONLY_MESSAGES = ['setBoundary', 'setRuleMap', 'jumpTo', 'analyzeBasins'];
+
+/**
+ * Main message handler for worker
  */
 self.addEventListener('message', (event) => {
   const { type, id } = event.data;
 
   try {
+    if (engine instanceof LifeEngine && ECA_ONLY_MESSAGES.includes(type)) {
+      sendError(`${type} is not available in Life mode`, id);
+      return;
+    }
+
     switch (type) {
       case 'init':
         handleInit(event.data, id);
@@ -320,6 +1671,26 @@ self.addEventListener('message', (event) => {
         handleReset(event.data, id);
         break;
 
+      case 'setBoundary':
+        handleSetBoundary(event.data, id);
+        break;
+
+      case 'setRuleMap':
+        handleSetRuleMap(event.data, id);
+        break;
+
+      case 'jumpTo':
+        handleJumpTo(event.data, id);
+        break;
+
+      case 'analyzeBasins':
+        handleAnalyzeBasins(event.data, id);
+        break;
+
+      case 'census':
+        handleCensus(event.data, id);
+        break;
+
       case 'getState':
         handleGetState(event.data, id);
         break;
@@ -336,14 +1707,31 @@ self.addEventListener('message', (event) => {
  * Initialize the CA engine
  */
 function handleInit(data, id) {
-  const { rule, width, height } = data;
+  const { mode, rule, width, height, radius, encoding, states, boundary, boundarySequence, seed } = data;
 
   if (rule === undefined || width === undefined || height === undefined) {
     sendError('Missing required parameters: rule, width, height', id);
     return;
   }
 
-  engine = new CAEngine(rule, width, height);
+  if (mode === 'life') {
+    if (!parseLifeRule(rule)) {
+      sendError(`Invalid Life-like rule: ${rule}`, id);
+      return;
+    }
+    engine = new LifeEngine(rule, width, height);
+  } else {
+    engine = new CAEngine(0, width, height);
+    engine.setRule(rule, { radius, encoding, states });
+  }
+
+  if (boundary !== undefined && mode !== 'life') {
+    engine.setBoundary(boundary, { sequence: boundarySequence });
+  }
+
+  if (seed !== undefined) {
+    engine.setSeed(seed);
+  }
 
   self.postMessage({
     type: 'ready',
@@ -399,7 +1787,8 @@ function handleSetInitialCondition(data, id) {
     type: 'state',
     id,
     state: stateCopy,
-    generation: engine.getGeneration()
+    generation: engine.getGeneration(),
+    seed: engine.getSeed()
   }, [stateCopy.buffer]);
 }
 
@@ -412,19 +1801,38 @@ function handleSetRule(data, id) {
     return;
   }
 
-  const { rule } = data;
+  const { rule, radius, encoding, states } = data;
 
   if (rule === undefined) {
     sendError('Missing required parameter: rule', id);
     return;
   }
 
-  engine.setRule(rule);
+  if (engine instanceof LifeEngine) {
+    if (!engine.setRule(rule)) {
+      sendError(`Invalid Life-like rule: ${rule}`, id);
+      return;
+    }
+
+    self.postMessage({
+      type: 'ruleChanged',
+      id,
+      rule: engine.getRule()
+    });
+    return;
+  }
+
+  if (parseRuleCode(rule) === null) {
+    sendError(`Invalid rule code: ${rule}`, id);
+    return;
+  }
+
+  engine.setRule(rule, { radius, encoding, states });
 
   self.postMessage({
     type: 'ruleChanged',
     id,
-    rule: engine.getRule()
+    ...engine.getRuleSpec()
   });
 }
 
@@ -437,9 +1845,9 @@ function handleReset(data, id) {
     return;
   }
 
-  const { newRule } = data;
+  const { newRule, radius, encoding, states } = data;
 
-  engine.reset(newRule);
+  engine.reset(newRule, { radius, encoding, states });
 
   // Send updated state
   const state = engine.getState();
@@ -453,6 +1861,150 @@ function handleReset(data, id) {
   }, [stateCopy.buffer]);
 }
 
+/**
+ * Change boundary condition
+ */
+function handleSetBoundary(data, id) {
+  if (!engine) {
+    sendError('Engine not initialized. Call init first.', id);
+    return;
+  }
+
+  const { mode, sequence } = data;
+
+  if (mode === undefined) {
+    sendError('Missing required parameter: mode', id);
+    return;
+  }
+
+  engine.setBoundary(mode, { sequence });
+
+  self.postMessage({
+    type: 'boundaryChanged',
+    id,
+    ...engine.getBoundary()
+  });
+}
+
+/**
+ * Set or clear the per-cell rule map
+ */
+function handleSetRuleMap(data, id) {
+  if (!engine) {
+    sendError('Engine not initialized. Call init first.', id);
+    return;
+  }
+
+  const { map, rules } = data;
+
+  if (map === undefined) {
+    sendError('Missing required parameter: map', id);
+    return;
+  }
+
+  engine.setRuleMap(map, rules || []);
+
+  self.postMessage({
+    type: 'ruleMapChanged',
+    id,
+    zones: engine.zoneRules.length
+  });
+}
+
+/**
+ * Jump to a later generation
+ */
+function handleJumpTo(data, id) {
+  if (!engine) {
+    sendError('Engine not initialized. Call init first.', id);
+    return;
+  }
+
+  const { generation } = data;
+
+  if (!engine.jumpTo(generation)) {
+    sendError(`Cannot jump to generation ${generation} from ${engine.getGeneration()}`, id);
+    return;
+  }
+
+  const state = engine.getState();
+  const stateCopy = new Uint8Array(state);
+
+  self.postMessage({
+    type: 'state',
+    id,
+    state: stateCopy,
+    generation: engine.getGeneration()
+  }, [stateCopy.buffer]);
+}
+
+/**
+ * Enumerate the state-transition graph of the current rule and boundary on a small ring
+ */
+function handleAnalyzeBasins(data, id) {
+  if (!engine) {
+    sendError('Engine not initialized. Call init first.', id);
+    return;
+  }
+
+  const { width } = data;
+
+  if (!Number.isInteger(width) || width < 1) {
+    sendError(`Invalid ring width: ${width}`, id);
+    return;
+  }
+
+  // A separate engine of the ring's width, sharing the rule and boundary
+  const { rule, radius, encoding, states } = engine.getRuleSpec();
+  const { mode, sequence } = engine.getBoundary();
+  const ring = new CAEngine(0, width, 2);
+  ring.setRule(rule, { radius, encoding, states });
+  ring.setBoundary(mode, { sequence });
+
+  const graph = analyzeBasins(ring);
+  if (!graph) {
+    sendError(`Too many states: ${states}^${width} > ${MAX_BASIN_STATES}`, id);
+    return;
+  }
+
+  self.postMessage({
+    type: 'basins',
+    id,
+    ...graph
+  }, [graph.next.buffer, graph.depth.buffer, graph.basin.buffer]);
+}
+
+/**
+ * Sample the attractors of a batch of elementary rules over a range of ring widths
+ */
+function handleCensus(data, id) {
+  const { rules, widths, samples, maxGenerations, seed } = data;
+
+  if (!Array.isArray(rules) || !Array.isArray(widths) || widths.length !== 2) {
+    sendError('Missing required parameters: rules, widths', id);
+    return;
+  }
+
+  const [minWidth, maxWidth] = widths;
+  if (!(minWidth >= 1 && maxWidth >= minWidth && maxWidth <= CENSUS_MAX_WIDTH)) {
+    sendError(`Invalid ring widths: ${minWidth}-${maxWidth} (1 to ${CENSUS_MAX_WIDTH})`, id);
+    return;
+  }
+
+  const records = [];
+  for (const rule of rules) {
+    for (let width = minWidth; width <= maxWidth; width++) {
+      records.push(censusRule(rule, width, { samples, maxGenerations, seed }));
+    }
+  }
+
+  self.postMessage({
+    type: 'census',
+    id,
+    records
+  });
+}
+
 /**
  * Get current state
  */